@@ -10,6 +10,7 @@ import "./App.css";
 import Storepanel from './pages/Storepanel';
 import Livequeue from './pages/Livequeue';
 import Analytics from './pages/Analytics';
+import AcceptInvitation from './pages/AcceptInvitation';
 
 function App() {
   return (
@@ -55,6 +56,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route 
+                path='/invitations/:token' 
+                element={
+                  <ProtectedRoute>
+                    <AcceptInvitation/>
+                  </ProtectedRoute>
+                }
+              />
               
               {/* Default redirect to dashboard */}
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from 'react';
+import { useRetailData } from '../context/RetailDataContext';
+import { storeGroupAPI } from '../services/api';
+import StoreSelector from './StoreSelector';
+import { formatPercent } from '../utils/analytics';
+import '../styles/Dashboard.css';
+
+// Group figures are refreshed on this interval (ms)
+const GROUP_REFRESH_INTERVAL = 60000;
+
+const RANKING_OPTIONS = [
+  { value: 'busiest', label: 'Busiest' },
+  { value: 'queue', label: 'Longest queues' },
+  { value: 'alerts', label: 'Most critical alerts' },
+  { value: 'conversion', label: 'Best conversion' }
+];
+
+const GROUP_TYPE_LABELS = {
+  region: 'Region',
+  format: 'Format',
+  tag: 'Tag'
+};
+
+// Live figures for the selected store, or summed across a store group
+// with a ranking of its stores
+export default function StoreOverview() {
+  const { currentOccupancy, totalQueue, windowStats, alerts } = useRetailData();
+
+  const [view, setView] = useState('store');
+  const [groups, setGroups] = useState([]);
+  const [groupId, setGroupId] = useState('');
+  const [sortBy, setSortBy] = useState('busiest');
+  const [groupData, setGroupData] = useState(null);
+  const [error, setError] = useState('');
+
+  // Load the groups once the group view is opened
+  useEffect(() => {
+    if (view !== 'group') return undefined;
+    let cancelled = false;
+
+    storeGroupAPI.getAll()
+      .then(response => {
+        if (cancelled) return;
+        setGroups(response.data.groups);
+        setGroupId(current => current || response.data.groups[0]?._id || '');
+      })
+      .catch(err => {
+        console.error('Error fetching store groups:', err);
+        if (!cancelled) setError('Failed to load store groups');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [view]);
+
+  // Load and refresh the selected group's figures and ranking
+  useEffect(() => {
+    if (view !== 'group' || !groupId) return undefined;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const [windowResponse, alertResponse, rankingResponse] = await Promise.all([
+          storeGroupAPI.getWindowStats(groupId, 60),
+          storeGroupAPI.getAlertStats(groupId),
+          storeGroupAPI.getRanking(groupId, sortBy, 60)
+        ]);
+        if (cancelled) return;
+        setGroupData({
+          window: windowResponse.data.data,
+          alertStats: alertResponse.data.data.stats,
+          ranking: rankingResponse.data.data.ranking
+        });
+        setError('');
+      } catch (err) {
+        console.error('Error fetching group data:', err);
+        if (!cancelled) setError('Failed to load group data');
+      }
+    };
+
+    load();
+    const interval = setInterval(load, GROUP_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [view, groupId, sortBy]);
+
+  const activeAlerts = alerts.filter(alert => alert.isActive).length;
+
+  return (
+    <section className="analytics-section">
+      <div className="controls-grid">
+        <div className="store-selector">
+          <label htmlFor="overview-view">View</label>
+          <select id="overview-view" value={view} onChange={(e) => setView(e.target.value)}>
+            <option value="store">Single store</option>
+            <option value="group">Store group</option>
+          </select>
+        </div>
+
+        {view === 'store' ? (
+          <StoreSelector id="overview-store" />
+        ) : (
+          <div className="store-selector">
+            <label htmlFor="overview-group">Group</label>
+            <select
+              id="overview-group"
+              value={groupId}
+              onChange={(e) => setGroupId(e.target.value)}
+              disabled={groups.length === 0}
+            >
+              {groups.length === 0 && <option value="">No groups</option>}
+              {groups.map(group => (
+                <option key={group._id} value={group._id}>
+                  {group.name} ({GROUP_TYPE_LABELS[group.type] || group.type})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {view === 'store' && (
+        <div className="analytics-grid">
+          <div className="analytics-card">
+            <div className="analytics-value">{currentOccupancy}</div>
+            <p className="analytics-label">In Store Now</p>
+          </div>
+          <div className="analytics-card">
+            <div className="analytics-value">{totalQueue}</div>
+            <p className="analytics-label">Queueing Now</p>
+          </div>
+          <div className="analytics-card">
+            <div className="analytics-value">{windowStats?.totalEntries ?? 0}</div>
+            <p className="analytics-label">Entries (Last Hour)</p>
+          </div>
+          <div className="analytics-card">
+            <div className="analytics-value">{formatPercent(windowStats?.conversionRate)}</div>
+            <p className="analytics-label">Conversion (Last Hour)</p>
+          </div>
+          <div className="analytics-card">
+            <div className="analytics-value">{activeAlerts}</div>
+            <p className="analytics-label">Active Alerts</p>
+          </div>
+        </div>
+      )}
+
+      {view === 'group' && groupData && (
+        <>
+          <div className="analytics-grid">
+            <div className="analytics-card">
+              <div className="analytics-value">{groupData.window.storeCount}</div>
+              <p className="analytics-label">Stores</p>
+            </div>
+            <div className="analytics-card">
+              <div className="analytics-value">{groupData.window.latestOccupancy}</div>
+              <p className="analytics-label">In Stores Now</p>
+            </div>
+            <div className="analytics-card">
+              <div className="analytics-value">{groupData.window.latestQueueLength}</div>
+              <p className="analytics-label">Queueing Now</p>
+            </div>
+            <div className="analytics-card">
+              <div className="analytics-value">{groupData.window.totalEntries}</div>
+              <p className="analytics-label">Entries (Last Hour)</p>
+            </div>
+            <div className="analytics-card">
+              <div className="analytics-value">{formatPercent(groupData.window.conversionRate)}</div>
+              <p className="analytics-label">Conversion (Last Hour)</p>
+            </div>
+            <div className="analytics-card">
+              <div className="analytics-value">{groupData.alertStats.activeAlerts}</div>
+              <p className="analytics-label">Active Alerts</p>
+            </div>
+          </div>
+
+          <div className="chart-header">
+            <h3>Store Ranking</h3>
+            <select aria-label="Rank stores by" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+              {RANKING_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {groupData.ranking.length === 0 ? (
+            <div className="empty-state">
+              <p>No stores in this group that you can access</p>
+            </div>
+          ) : (
+            <table className="ranking-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Store</th>
+                  <th>Entries (1h)</th>
+                  <th>In Store</th>
+                  <th>Queue</th>
+                  <th>Conversion</th>
+                  <th>Alerts (critical / high)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {groupData.ranking.map(row => (
+                  <tr key={row.storeId}>
+                    <td>{row.rank}</td>
+                    <td>{row.storeName} ({row.storeId})</td>
+                    <td>{row.totalEntries}</td>
+                    <td>{row.latestOccupancy}</td>
+                    <td>{row.latestQueueLength}</td>
+                    <td>{formatPercent(row.conversionRate)}</td>
+                    <td>
+                      {row.activeAlerts.total} ({row.activeAlerts.critical} / {row.activeAlerts.high})
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
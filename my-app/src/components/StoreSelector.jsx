@@ -0,0 +1,27 @@
+import React from 'react';
+import { useRetailData } from '../context/RetailDataContext';
+import '../styles/Dashboard.css';
+
+// Dropdown switching the store every page shows
+export default function StoreSelector({ id = 'store-selector' }) {
+  const { stores, selectedStore, setSelectedStore } = useRetailData();
+
+  return (
+    <div className="store-selector">
+      <label htmlFor={id}>Store</label>
+      <select
+        id={id}
+        value={selectedStore || ''}
+        onChange={(e) => setSelectedStore(e.target.value)}
+        disabled={stores.length === 0}
+      >
+        {stores.length === 0 && <option value="">No stores</option>}
+        {stores.map(store => (
+          <option key={store.storeId} value={store.storeId}>
+            {store.storeName} ({store.storeId})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { storeAPI, footfallAPI, alertAPI } from '../services/api';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { storeAPI, footfallAPI, alertAPI, streamAPI } from '../services/api';
 
 const RetailDataContext = createContext();
 
@@ -11,19 +11,75 @@ export const useRetailData = () => {
   return context;
 };
 
+// Data held for each store, so switching back to a store shows what was
+// last loaded while it refreshes
+const EMPTY_STORE_DATA = {
+  footfallData: null,
+  windowStats: null,
+  alerts: [],
+  staffing: null,
+  analytics: null,
+  lastUpdated: null
+};
+
+// Most active alerts fetched per store
+const ALERT_LIMIT = 50;
+
+// Apply a pushed alert lifecycle event to the list of active alerts
+const applyAlertEvent = (alerts, event, alert) => {
+  const others = alerts.filter(existing => existing._id !== alert._id);
+  if (event === 'resolved') {
+    return others;
+  }
+  if (event === 'created' || others.length === alerts.length) {
+    return [alert, ...others];
+  }
+  return alerts.map(existing => (existing._id === alert._id ? alert : existing));
+};
+
+// Put an alert back after a failed optimistic update
+const restoreAlert = (alerts, alert) => (
+  alerts.some(existing => existing._id === alert._id)
+    ? alerts.map(existing => (existing._id === alert._id ? alert : existing))
+    : [alert, ...alerts]
+);
+
 export const RetailDataProvider = ({ children }) => {
   const [stores, setStores] = useState([]);
   const [selectedStore, setSelectedStore] = useState(null);
-  const [footfallData, setFootfallData] = useState(null);
-  const [alerts, setAlerts] = useState([]);
-  const [windowStats, setWindowStats] = useState(null);
-  const [analytics, setAnalytics] = useState(null);
+  const [storeData, setStoreData] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [lastUpdated, setLastUpdated] = useState(null);
+  // True while the store's event stream is connected
+  const [isLive, setIsLive] = useState(false);
+  const [streamAttempt, setStreamAttempt] = useState(0);
+
+  // Latest cached data, for looking up alerts from inside callbacks
+  const storeDataRef = useRef(storeData);
+  storeDataRef.current = storeData;
 
-  // Auto-refresh interval (5-10 seconds)
+  // Auto-refresh interval (5-10 seconds), used when the stream is unavailable
   const REFRESH_INTERVAL = 8000; // 8 seconds
+  // While live, readings and alerts are pushed; window stats and staffing
+  // are aggregates and are still fetched, less often
+  const LIVE_REFRESH_INTERVAL = 60000; // 1 minute
+  // How long to poll before trying to open a stream the server refused
+  const STREAM_RETRY_INTERVAL = 60000; // 1 minute
+
+  // Merge fields into a store's cached data. Responses are keyed by the
+  // store they were requested for, so a slow response never lands on
+  // another store.
+  const updateStoreData = useCallback((storeId, changes) => {
+    setStoreData(prevData => {
+      const current = prevData[storeId] || EMPTY_STORE_DATA;
+      const next = typeof changes === 'function' ? changes(current) : changes;
+      return { ...prevData, [storeId]: { ...current, ...next } };
+    });
+  }, []);
+
+  const updateAlerts = useCallback((storeId, update) => {
+    updateStoreData(storeId, current => ({ alerts: update(current.alerts) }));
+  }, [updateStoreData]);
 
   // Fetch stores
   const fetchStores = useCallback(async () => {
@@ -40,56 +96,53 @@ export const RetailDataProvider = ({ children }) => {
     return [];
   }, []);
 
-  // Fetch footfall data for selected store
+  // Fetch the latest reading (with queue metrics) for a store
   const fetchFootfallData = useCallback(async (storeId) => {
     if (!storeId) return null;
-    
+
     try {
-      const response = await footfallAPI.getCurrent(storeId);
+      const response = await footfallAPI.getLatest(storeId);
       if (response.data.success) {
-        setFootfallData(response.data.data);
+        updateStoreData(storeId, { footfallData: response.data.data });
         return response.data.data;
       }
     } catch (error) {
+      // A store without readings yet answers 404
+      if (error.response?.status === 404) {
+        updateStoreData(storeId, { footfallData: null });
+        return null;
+      }
       console.error('Error fetching footfall data:', error);
       setError('Failed to fetch footfall data');
     }
     return null;
-  }, []);
+  }, [updateStoreData]);
 
   // Fetch window stats (last 1 hour)
-  const fetchWindowStats = useCallback(async (storeId) => {
+  const fetchWindowStats = useCallback(async (storeId, minutes = 60) => {
     if (!storeId) return null;
-    
+
     try {
-      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-      const response = await footfallAPI.getByTimeRange(storeId, oneHourAgo, new Date());
+      const response = await footfallAPI.getWindowStats(storeId, minutes);
       if (response.data.success) {
-        const data = response.data.data;
-        const stats = {
-          entries: data.reduce((sum, item) => sum + item.entries, 0),
-          exits: data.reduce((sum, item) => sum + item.exits, 0),
-          peakOccupancy: Math.max(...data.map(item => item.currentOccupancy), 0),
-          avgWaitTime: data.length > 0 ? data.reduce((sum, item) => sum + item.avgWaitTime, 0) / data.length : 0
-        };
-        setWindowStats(stats);
-        return stats;
+        updateStoreData(storeId, { windowStats: response.data.data });
+        return response.data.data;
       }
     } catch (error) {
       console.error('Error fetching window stats:', error);
       setError('Failed to fetch window stats');
     }
     return null;
-  }, []);
+  }, [updateStoreData]);
 
-  // Fetch alerts for selected store
+  // Fetch active alerts for a store
   const fetchAlerts = useCallback(async (storeId) => {
     if (!storeId) return [];
-    
+
     try {
-      const response = await alertAPI.getActive(storeId);
+      const response = await alertAPI.getAll({ storeId, isActive: true, limit: ALERT_LIMIT });
       if (response.data.success) {
-        setAlerts(response.data.alerts);
+        updateStoreData(storeId, { alerts: response.data.alerts });
         return response.data.alerts;
       }
     } catch (error) {
@@ -97,24 +150,51 @@ export const RetailDataProvider = ({ children }) => {
       setError('Failed to fetch alerts');
     }
     return [];
-  }, []);
+  }, [updateStoreData]);
+
+  // Fetch staffing recommendation (queue-theory based, computed server side)
+  const fetchStaffing = useCallback(async (storeId) => {
+    if (!storeId) return null;
+
+    try {
+      const response = await footfallAPI.getStaffing(storeId);
+      if (response.data.success) {
+        updateStoreData(storeId, { staffing: response.data.data });
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching staffing recommendation:', error);
+      setError('Failed to fetch staffing recommendation');
+    }
+    return null;
+  }, [updateStoreData]);
 
-  // Fetch analytics data
-  const fetchAnalytics = useCallback(async (storeId, timeRange = '7d') => {
+  // Fetch analytics data (period: today, week or month; groupBy: hour or day)
+  const fetchAnalytics = useCallback(async (storeId, period = 'today', groupBy = 'hour') => {
     if (!storeId) return null;
-    
+
     try {
-      const response = await footfallAPI.getAnalytics(storeId, timeRange);
+      const response = await footfallAPI.getAnalytics(storeId, period, groupBy);
       if (response.data.success) {
-        setAnalytics(response.data.analytics);
-        return response.data.analytics;
+        updateStoreData(storeId, { analytics: response.data.data });
+        return response.data.data;
       }
     } catch (error) {
       console.error('Error fetching analytics:', error);
       setError('Failed to fetch analytics');
     }
     return null;
-  }, []);
+  }, [updateStoreData]);
+
+  // Reload the store list, e.g. after joining an organization
+  const reloadStores = useCallback(async () => {
+    const storesList = await fetchStores();
+    // Auto-select first store if none selected
+    if (storesList.length > 0) {
+      setSelectedStore(current => current || storesList[0].storeId);
+    }
+    return storesList;
+  }, [fetchStores]);
 
   // Initialize data load
   useEffect(() => {
@@ -123,11 +203,7 @@ export const RetailDataProvider = ({ children }) => {
       setError(null);
 
       try {
-        const storesList = await fetchStores();
-        // Auto-select first store if none selected
-        if (!selectedStore && storesList.length > 0) {
-          setSelectedStore(storesList[0].storeId);
-        }
+        await reloadStores();
       } catch (error) {
         console.error('Error during initialization:', error);
         setError('Failed to initialize data');
@@ -137,38 +213,106 @@ export const RetailDataProvider = ({ children }) => {
     };
 
     initialize();
-  }, [fetchStores, selectedStore]);
+  }, [reloadStores]);
 
-  // Real-time data updates for selected store
+  // Live updates pushed by the server for the selected store. When the
+  // stream drops, polling takes over until it reconnects.
+  useEffect(() => {
+    if (!selectedStore || typeof window.EventSource === 'undefined') return;
+
+    let source = null;
+    let retryTimer = null;
+    let cancelled = false;
+
+    const retryLater = () => {
+      retryTimer = setTimeout(() => setStreamAttempt(attempt => attempt + 1), STREAM_RETRY_INTERVAL);
+    };
+
+    streamAPI.getStoreUrl(selectedStore)
+      .then(url => {
+        if (cancelled) return;
+        source = new window.EventSource(url);
+
+        source.addEventListener('ready', () => setIsLive(true));
+
+        source.addEventListener('reading', (event) => {
+          updateStoreData(selectedStore, { footfallData: JSON.parse(event.data), lastUpdated: new Date() });
+        });
+
+        source.addEventListener('alert', (event) => {
+          const { event: alertEvent, alert } = JSON.parse(event.data);
+          updateAlerts(selectedStore, alerts => applyAlertEvent(alerts, alertEvent, alert));
+        });
+
+        source.onerror = () => {
+          setIsLive(false);
+          // The browser retries dropped connections itself, but gives up
+          // when the server refuses the stream (e.g. once the stream token
+          // has expired); a new token is fetched for the next attempt
+          if (source.readyState === window.EventSource.CLOSED) {
+            retryLater();
+          }
+        };
+      })
+      .catch(error => {
+        console.error('Error opening live stream:', error);
+        if (!cancelled) retryLater();
+      });
+
+    return () => {
+      cancelled = true;
+      if (source) source.close();
+      clearTimeout(retryTimer);
+      setIsLive(false);
+    };
+  }, [selectedStore, streamAttempt, updateStoreData, updateAlerts]);
+
+  // Data updates for selected store: a full load whenever the store or the
+  // stream state changes (catching up on anything missed while
+  // disconnected), then polling or, while live, aggregate refreshes
   useEffect(() => {
     if (!selectedStore) return;
 
-    const updateStoreData = async () => {
+    const loadStoreData = async () => {
       try {
         await Promise.all([
           fetchFootfallData(selectedStore),
           fetchWindowStats(selectedStore),
-          fetchAlerts(selectedStore)
+          fetchAlerts(selectedStore),
+          fetchStaffing(selectedStore)
+        ]);
+        updateStoreData(selectedStore, { lastUpdated: new Date() });
+      } catch (error) {
+        console.error('Error updating store data:', error);
+      }
+    };
+
+    const loadAggregates = async () => {
+      try {
+        await Promise.all([
+          fetchWindowStats(selectedStore),
+          fetchStaffing(selectedStore)
         ]);
-        setLastUpdated(new Date());
       } catch (error) {
         console.error('Error updating store data:', error);
       }
     };
 
     // Initial load
-    updateStoreData();
+    loadStoreData();
 
     // Set up auto-refresh
-    const interval = setInterval(updateStoreData, REFRESH_INTERVAL);
+    const interval = isLive
+      ? setInterval(loadAggregates, LIVE_REFRESH_INTERVAL)
+      : setInterval(loadStoreData, REFRESH_INTERVAL);
 
     return () => clearInterval(interval);
-  }, [selectedStore, fetchFootfallData, fetchWindowStats, fetchAlerts]);
+  }, [selectedStore, isLive, updateStoreData, fetchFootfallData, fetchWindowStats, fetchAlerts, fetchStaffing]);
 
   // Manually refresh all data
   const refreshData = useCallback(async () => {
     if (!selectedStore) return;
-    
+
     setLoading(true);
     setError(null);
 
@@ -178,46 +322,107 @@ export const RetailDataProvider = ({ children }) => {
         fetchFootfallData(selectedStore),
         fetchWindowStats(selectedStore),
         fetchAlerts(selectedStore),
+        fetchStaffing(selectedStore),
         fetchAnalytics(selectedStore)
       ]);
-      setLastUpdated(new Date());
+      updateStoreData(selectedStore, { lastUpdated: new Date() });
     } catch (error) {
       console.error('Error refreshing data:', error);
       setError('Failed to refresh data');
     } finally {
       setLoading(false);
     }
-  }, [selectedStore, fetchStores, fetchFootfallData, fetchWindowStats, fetchAlerts, fetchAnalytics]);
+  }, [selectedStore, updateStoreData, fetchStores, fetchFootfallData, fetchWindowStats, fetchAlerts, fetchStaffing, fetchAnalytics]);
 
-  // Acknowledge alert
+  // Find an alert in the cached data. Returns { storeId, alert } or null.
+  const findAlert = useCallback((alertId) => {
+    for (const [storeId, data] of Object.entries(storeDataRef.current)) {
+      const alert = data.alerts.find(existing => existing._id === alertId);
+      if (alert) {
+        return { storeId, alert };
+      }
+    }
+    return null;
+  }, []);
+
+  // Acknowledge alert (shown as acknowledged straight away)
   const acknowledgeAlert = useCallback(async (alertId) => {
+    const found = findAlert(alertId);
+    if (!found) return false;
+    const { storeId, alert } = found;
+
+    updateAlerts(storeId, alerts => alerts.map(existing => (
+      existing._id === alertId
+        ? { ...existing, isAcknowledged: true, acknowledgedAt: new Date().toISOString() }
+        : existing
+    )));
+
     try {
       const response = await alertAPI.acknowledge(alertId);
       if (response.data.success) {
-        setAlerts(prevAlerts => 
-          prevAlerts.map(alert => 
-            alert._id === alertId 
-              ? { ...alert, acknowledged: true, acknowledgedAt: new Date() }
-              : alert
-          )
-        );
+        updateAlerts(storeId, alerts => alerts.map(existing => (
+          existing._id === alertId ? response.data.alert : existing
+        )));
         return true;
       }
     } catch (error) {
       console.error('Error acknowledging alert:', error);
       setError('Failed to acknowledge alert');
     }
+    updateAlerts(storeId, alerts => restoreAlert(alerts, alert));
     return false;
-  }, []);
+  }, [findAlert, updateAlerts]);
+
+  // Resolve alert (removed from the active list straight away)
+  const resolveAlert = useCallback(async (alertId) => {
+    const found = findAlert(alertId);
+    if (!found) return false;
+    const { storeId, alert } = found;
+
+    updateAlerts(storeId, alerts => alerts.filter(existing => existing._id !== alertId));
+
+    try {
+      const response = await alertAPI.resolve(alertId);
+      if (response.data.success) {
+        return true;
+      }
+    } catch (error) {
+      console.error('Error resolving alert:', error);
+      setError('Failed to resolve alert');
+    }
+    updateAlerts(storeId, alerts => restoreAlert(alerts, alert));
+    return false;
+  }, [findAlert, updateAlerts]);
+
+  // Delete alert (removed from the list straight away)
+  const deleteAlert = useCallback(async (alertId) => {
+    const found = findAlert(alertId);
+    if (!found) return false;
+    const { storeId, alert } = found;
+
+    updateAlerts(storeId, alerts => alerts.filter(existing => existing._id !== alertId));
+
+    try {
+      const response = await alertAPI.delete(alertId);
+      if (response.data.success) {
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting alert:', error);
+      setError('Failed to delete alert');
+    }
+    updateAlerts(storeId, alerts => restoreAlert(alerts, alert));
+    return false;
+  }, [findAlert, updateAlerts]);
 
   // Update store configuration
   const updateStoreConfig = useCallback(async (storeId, config) => {
     try {
       const response = await storeAPI.update(storeId, config);
       if (response.data.success) {
-        setStores(prevStores => 
-          prevStores.map(store => 
-            store.storeId === storeId 
+        setStores(prevStores =>
+          prevStores.map(store =>
+            store.storeId === storeId
               ? { ...store, ...config }
               : store
           )
@@ -231,41 +436,16 @@ export const RetailDataProvider = ({ children }) => {
     return false;
   }, []);
 
-  // Generate staffing recommendation
-  const getStaffingRecommendation = useCallback((currentOccupancy, maxCapacity, currentStaff) => {
-    const occupancyRate = currentOccupancy / maxCapacity;
-    let recommendation = {
-      action: 'maintain',
-      reason: 'Current staffing is adequate',
-      suggestedStaff: currentStaff,
-      priority: 'low'
-    };
-
-    if (occupancyRate > 0.8) {
-      recommendation = {
-        action: 'increase',
-        reason: 'High occupancy detected - consider adding staff',
-        suggestedStaff: Math.ceil(currentStaff * 1.3),
-        priority: 'high'
-      };
-    } else if (occupancyRate > 0.6) {
-      recommendation = {
-        action: 'increase',
-        reason: 'Moderate occupancy - slight staff increase recommended',
-        suggestedStaff: currentStaff + 1,
-        priority: 'medium'
-      };
-    } else if (occupancyRate < 0.3 && currentStaff > 1) {
-      recommendation = {
-        action: 'decrease',
-        reason: 'Low occupancy - staff reduction possible',
-        suggestedStaff: Math.max(1, currentStaff - 1),
-        priority: 'low'
-      };
-    }
-
-    return recommendation;
-  }, []);
+  // Selected store's data and the queue metrics derived from it
+  const {
+    footfallData,
+    windowStats,
+    alerts,
+    staffing,
+    analytics,
+    lastUpdated
+  } = storeData[selectedStore] || EMPTY_STORE_DATA;
+  const queueMetrics = footfallData?.queueMetrics;
 
   const value = {
     // State
@@ -275,17 +455,30 @@ export const RetailDataProvider = ({ children }) => {
     alerts,
     windowStats,
     analytics,
+    staffing,
     loading,
     error,
     lastUpdated,
+    isLive,
+
+    // Derived queue metrics for the selected store
+    currentOccupancy: footfallData?.currentOccupancy ?? 0,
+    totalQueue: queueMetrics?.totalQueue ?? 0,
+    avgWaitTime: queueMetrics?.avgWaitTime ?? 0,
+    activeTills: queueMetrics?.activeTills ?? 0,
+    peakOccupancy: windowStats?.maxOccupancy ?? 0,
 
     // Actions
     setSelectedStore,
     refreshData,
+    reloadStores,
     acknowledgeAlert,
+    resolveAlert,
+    deleteAlert,
     updateStoreConfig,
     fetchAnalytics,
-    getStaffingRecommendation,
+    fetchStaffing,
+    fetchWindowStats,
 
     // Utilities
     REFRESH_INTERVAL
@@ -298,4 +491,4 @@ export const RetailDataProvider = ({ children }) => {
   );
 };
 
-export default RetailDataContext;
\ No newline at end of file
+export default RetailDataContext;
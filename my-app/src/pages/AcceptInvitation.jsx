@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useRetailData } from '../context/RetailDataContext';
+import { organizationAPI } from '../services/api';
+import '../styles/Auth.css';
+
+const ROLE_LABELS = {
+  org_admin: 'Organization admin',
+  regional_manager: 'Regional manager',
+  store_manager: 'Store manager',
+  staff: 'Staff',
+  read_only: 'Read-only'
+};
+
+// Opened from an invitation email: shows the invitation and lets the
+// signed-in user join the organization
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const { user } = useAuth();
+  const { reloadStores } = useRetailData();
+  const navigate = useNavigate();
+
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    organizationAPI.getInvitation(token)
+      .then(response => {
+        if (!cancelled) {
+          setInvitation(response.data.invitation);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.response?.data?.message || 'Failed to load invitation');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    setError('');
+
+    try {
+      const response = await organizationAPI.acceptInvitation(token);
+      setSuccess(response.data.message);
+      await reloadStores();
+      setTimeout(() => navigate('/dashboard'), 1500);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to accept invitation');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  const wrongEmail = invitation && user?.email && user.email.toLowerCase() !== invitation.email;
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Invitation</h1>
+          {invitation && (
+            <p>
+              {invitation.invitedBy?.name || 'Someone'} invited you to join{' '}
+              <strong>{invitation.organization?.name}</strong> as{' '}
+              {ROLE_LABELS[invitation.role] || invitation.role}
+            </p>
+          )}
+        </div>
+
+        {loading && <div className="loading-spinner" style={{ margin: '0 auto' }}></div>}
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+
+        {invitation && !success && (
+          invitation.isOpen ? (
+            <>
+              {wrongEmail && (
+                <div className="error-message">
+                  This invitation was sent to {invitation.email}. Sign in with that email to accept it.
+                </div>
+              )}
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleAccept}
+                disabled={accepting || wrongEmail}
+              >
+                {accepting ? <div className="loading-spinner"></div> : 'Accept invitation'}
+              </button>
+            </>
+          ) : (
+            <div className="error-message">
+              This invitation is {invitation.status === 'pending' ? 'expired' : invitation.status}.
+              Ask an organization admin to send a new one.
+            </div>
+          )
+        )}
+
+        <div className="login-footer">
+          <Link to="/dashboard">Go to dashboard</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
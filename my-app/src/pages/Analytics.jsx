@@ -1,49 +1,70 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useRetailData } from '../context/RetailDataContext';
+import { footfallAPI, alertAPI } from '../services/api';
+import { formatChange, formatPercent, groupLabel, summarizeAnalytics } from '../utils/analytics';
 import '../styles/Dashboard.css';
 import Navbar from '../components/Navbar';
+import StoreSelector from '../components/StoreSelector';
+
+const PERIOD_LABELS = {
+  today: 'Today',
+  week: 'Last 7 Days',
+  month: 'This Month'
+};
+
+const COMPARE_PERIOD_LABELS = {
+  previous: {
+    today: 'Yesterday',
+    week: 'Previous 7 days',
+    month: 'Previous month'
+  },
+  lastYear: {
+    today: 'Same day last year',
+    week: 'Same week last year',
+    month: 'Same month last year'
+  }
+};
+
+const COMPARISON_METRIC_LABELS = {
+  totalEntries: 'Entries',
+  avgOccupancy: 'Avg Occupancy',
+  avgPosRate: 'POS Rate',
+  avgQueueLength: 'Avg Queue Length',
+  conversionRate: 'Conversion'
+};
+
+// Comparison totals as shown on the cards
+const formatMetric = (metric, value) => (metric === 'conversionRate' ? formatPercent(value) : value);
 
 export default function Analytics() {
   const { user, logout } = useAuth();
+  const { selectedStore, stores, windowStats, alerts } = useRetailData();
 
-  // Mock analytics data for Phase 1
-  const [dailyStats] = useState({
-    date: new Date().toLocaleDateString(),
-    totalEntries: 127,
-    totalExits: 115,
-    peakHour: '2-3 PM',
-    avgWaitTime: 8.5,
-    customerSatisfaction: 4.2
-  });
+  // Report controls
+  const [period, setPeriod] = useState('today');
+  const [groupBy, setGroupBy] = useState('hour');
+
+  const [analytics, setAnalytics] = useState(null);
+  const [alertStats, setAlertStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
 
-  const [weeklyData] = useState([
-    { day: 'Mon', entries: 98, exits: 92, avgWait: 7.2 },
-    { day: 'Tue', entries: 112, exits: 108, avgWait: 8.1 },
-    { day: 'Wed', entries: 89, exits: 85, avgWait: 6.8 },
-    { day: 'Thu', entries: 134, exits: 128, avgWait: 9.3 },
-    { day: 'Fri', entries: 156, exits: 149, avgWait: 12.1 },
-    { day: 'Sat', entries: 203, exits: 195, avgWait: 15.4 },
-    { day: 'Sun', entries: 127, exits: 115, avgWait: 8.5 }
-  ]);
-
-  const [hourlyData] = useState([
-    { hour: '9 AM', customers: 12, waitTime: 3.2 },
-    { hour: '10 AM', customers: 18, waitTime: 4.1 },
-    { hour: '11 AM', customers: 25, waitTime: 6.3 },
-    { hour: '12 PM', customers: 31, waitTime: 8.7 },
-    { hour: '1 PM', customers: 28, waitTime: 7.9 },
-    { hour: '2 PM', customers: 35, waitTime: 12.1 },
-    { hour: '3 PM', customers: 32, waitTime: 9.8 },
-    { hour: '4 PM', customers: 29, waitTime: 8.2 },
-    { hour: '5 PM', customers: 24, waitTime: 6.5 },
-    { hour: '6 PM', customers: 19, waitTime: 4.8 }
-  ]);
-
-  const [staffingAlerts] = useState([
-    { id: 1, type: 'warning', message: 'High queue predicted at 2 PM - Consider opening Till 4', priority: 'high' },
-    { id: 2, type: 'info', message: 'Optimal staffing for current period', priority: 'low' },
-    { id: 3, type: 'suggestion', message: 'Lunch break rotation recommended at 12:30 PM', priority: 'medium' }
-  ]);
+  // Comparison overlaid on the trends chart: '', 'previous', 'lastYear'
+  // or 'store:<storeId>'
+  const [compareWith, setCompareWith] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [comparisonError, setComparisonError] = useState(null);
+
+  // Export options
+  const [exportOptions, setExportOptions] = useState({
+    dataset: 'analytics',
+    format: 'csv',
+    days: 30
+  });
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
 
   const getInitials = (name) => {
     return name
@@ -62,10 +83,197 @@ export default function Analytics() {
     }
   };
 
+  const handleExportChange = (e) => {
+    const { name, value } = e.target;
+    setExportOptions(prev => ({
+      ...prev,
+      [name]: name === 'days' ? parseInt(value) : value
+    }));
+  };
+
+  const handleExport = async () => {
+    if (!selectedStore) return;
+
+    setExporting(true);
+    setExportError(null);
+
+    try {
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - exportOptions.days * 24 * 60 * 60 * 1000);
+      const params = {
+        dataset: exportOptions.dataset,
+        format: exportOptions.format,
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString()
+      };
+      if (exportOptions.dataset === 'analytics') {
+        params.groupBy = exportOptions.days > 7 ? 'day' : 'hour';
+      }
+
+      const response = await footfallAPI.exportData(selectedStore, params);
+
+      // Use the server's file name when it is exposed to the browser
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const fileName = match ? match[1] : `footfall-${selectedStore}.${exportOptions.format}`;
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export error:', error);
+      setExportError('Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   useEffect(() => {
     document.title = "Analytics - Retail Insights";
   }, []);
 
+  // Never show one store's report under another
+  useEffect(() => {
+    setAnalytics(null);
+    setAlertStats(null);
+    setComparison(null);
+    setCompareWith(current => (current === `store:${selectedStore}` ? '' : current));
+  }, [selectedStore]);
+
+  // Load the report for the selected store, period and grouping
+  useEffect(() => {
+    if (!selectedStore) return;
+
+    let cancelled = false;
+
+    const loadReport = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const [analyticsResponse, statsResponse] = await Promise.all([
+          footfallAPI.getAnalytics(selectedStore, period, groupBy),
+          alertAPI.getStats(selectedStore)
+        ]);
+        if (!cancelled) {
+          setAnalytics(analyticsResponse.data.data);
+          setAlertStats(statsResponse.data.data.stats);
+        }
+      } catch (error) {
+        console.error('Analytics error:', error);
+        if (!cancelled) {
+          setAnalytics(null);
+          setAlertStats(null);
+          setError('Could not load analytics for this store.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadReport();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedStore, period, groupBy, reloadCount]);
+
+  // Load the comparison for the selected store, period and grouping
+  useEffect(() => {
+    if (!selectedStore || !compareWith) {
+      setComparison(null);
+      setComparisonError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const params = { period, groupBy };
+    if (compareWith.startsWith('store:')) {
+      params.storeIds = [selectedStore, compareWith.slice('store:'.length)].join(',');
+    } else {
+      params.storeIds = selectedStore;
+      params.compareTo = compareWith;
+    }
+
+    footfallAPI.compare(params)
+      .then(response => {
+        if (!cancelled) {
+          setComparison(response.data.data);
+          setComparisonError(null);
+        }
+      })
+      .catch(error => {
+        console.error('Comparison error:', error);
+        if (!cancelled) {
+          setComparison(null);
+          setComparisonError('Could not load the comparison.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedStore, compareWith, period, groupBy, reloadCount]);
+
+  const groups = analytics?.analytics || [];
+  const dwellTime = analytics?.dwellTime;
+  const summary = summarizeAnalytics(groups);
+  const [baseline, compared] = comparison?.series || [];
+  // With a comparison the chart shows its aligned rows: the selected
+  // store's current figures next to the compared store or period
+  const chartRows = comparison
+    ? comparison.aligned.map(row => ({ _id: row._id, current: row.groups[0], other: row.groups[1], delta: row.deltas[1] }))
+    : groups.map(group => ({ _id: group._id, current: group }));
+  const chartMax = Math.max(1, ...chartRows.map(({ current, other }) => Math.max(
+    current?.totalEntries || 0,
+    current?.totalExits || 0,
+    other?.totalEntries || 0
+  )));
+  // Hour labels only need the day when the report spans several days
+  const labelOptions = { withDay: period !== 'today' };
+
+  const renderReportState = () => {
+    if (!selectedStore) {
+      return (
+        <div className="empty-state">
+          <h3>No store selected</h3>
+          <p>Create a store to start collecting analytics.</p>
+        </div>
+      );
+    }
+    if (loading && !analytics) {
+      return <div className="empty-state"><p>Loading analytics...</p></div>;
+    }
+    if (error) {
+      return (
+        <div className="empty-state">
+          <h3>Something went wrong</h3>
+          <p>{error}</p>
+          <button className="control-btn primary" onClick={() => setReloadCount(count => count + 1)}>
+            Try again
+          </button>
+        </div>
+      );
+    }
+    if (groups.length === 0) {
+      return (
+        <div className="empty-state">
+          <h3>No data yet</h3>
+          <p>No footfall was recorded for {PERIOD_LABELS[period].toLowerCase()}.</p>
+        </div>
+      );
+    }
+    return null;
+  };
+
+  const reportState = renderReportState();
+
   return (
     <>
       <header className="dashboard-header">
@@ -95,124 +303,343 @@ export default function Analytics() {
       <Navbar />
 
       <div className="main-content">
-        {/* Daily Overview */}
-        <div className="analytics-section">
-          <h2>Today's Overview - {dailyStats.date}</h2>
-          <div className="analytics-grid">
-            <div className="analytics-card">
-              <div className="analytics-value">{dailyStats.totalEntries}</div>
-              <p className="analytics-label">Total Entries</p>
-            </div>
-            <div className="analytics-card">
-              <div className="analytics-value">{dailyStats.totalExits}</div>
-              <p className="analytics-label">Total Exits</p>
-            </div>
-            <div className="analytics-card">
-              <div className="analytics-value">{dailyStats.peakHour}</div>
-              <p className="analytics-label">Peak Hour</p>
-            </div>
-            <div className="analytics-card">
-              <div className="analytics-value">{dailyStats.avgWaitTime} min</div>
-              <p className="analytics-label">Avg Wait Time</p>
-            </div>
-            <div className="analytics-card">
-              <div className="analytics-value">{dailyStats.customerSatisfaction}/5</div>
-              <p className="analytics-label">Customer Rating</p>
-            </div>
+        {/* Report Controls */}
+        <div className="export-controls">
+          <StoreSelector id="analytics-store" />
+          <div className="store-selector">
+            <label htmlFor="analytics-period">Period</label>
+            <select id="analytics-period" value={period} onChange={(e) => setPeriod(e.target.value)}>
+              <option value="today">Today</option>
+              <option value="week">Last 7 days</option>
+              <option value="month">This month</option>
+            </select>
+          </div>
+          <div className="store-selector">
+            <label htmlFor="analytics-group">Group by</label>
+            <select id="analytics-group" value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              <option value="hour">Hour</option>
+              <option value="day">Day</option>
+            </select>
           </div>
+          {loading && analytics && <p>Updating...</p>}
         </div>
 
-        {/* Weekly Trends */}
-        <div className="trends-section">
-          <h2>Weekly Trends</h2>
-          <div className="chart-container">
-            <div className="chart-header">
-              <h3>Entries vs Exits by Day</h3>
+        {/* Data Export */}
+        <div className="export-section">
+          <h2>Export Data</h2>
+          <div className="export-controls">
+            <div className="store-selector">
+              <label htmlFor="export-dataset">Data</label>
+              <select id="export-dataset" name="dataset" value={exportOptions.dataset} onChange={handleExportChange}>
+                <option value="analytics">Aggregated analytics</option>
+                <option value="history">Raw readings</option>
+              </select>
             </div>
-            <div className="chart-data">
-              {weeklyData.map((day, index) => (
-                <div key={index} className="chart-bar">
-                  <div className="bar-group">
-                    <div 
-                      className="bar entries" 
-                      style={{ height: `${(day.entries / 250) * 100}%` }}
-                      title={`Entries: ${day.entries}`}
-                    ></div>
-                    <div 
-                      className="bar exits" 
-                      style={{ height: `${(day.exits / 250) * 100}%` }}
-                      title={`Exits: ${day.exits}`}
-                    ></div>
-                  </div>
-                  <div className="bar-label">{day.day}</div>
-                  <div className="bar-values">
-                    <span className="entries-value">↗ {day.entries}</span>
-                    <span className="exits-value">↙ {day.exits}</span>
-                  </div>
-                </div>
-              ))}
+            <div className="store-selector">
+              <label htmlFor="export-days">Range</label>
+              <select id="export-days" name="days" value={exportOptions.days} onChange={handleExportChange}>
+                <option value={1}>Last 24 hours</option>
+                <option value={7}>Last 7 days</option>
+                <option value={30}>Last 30 days</option>
+                <option value={90}>Last 90 days</option>
+              </select>
+            </div>
+            <div className="store-selector">
+              <label htmlFor="export-format">Format</label>
+              <select id="export-format" name="format" value={exportOptions.format} onChange={handleExportChange}>
+                <option value="csv">CSV</option>
+                <option value="ndjson">NDJSON</option>
+              </select>
             </div>
+            <button
+              className="control-btn primary"
+              onClick={handleExport}
+              disabled={!selectedStore || exporting}
+            >
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
           </div>
+          {exportError && <p className="export-error">{exportError}</p>}
         </div>
 
-        {/* Hourly Analysis */}
-        <div className="hourly-section">
-          <h2>Today's Hourly Analysis</h2>
-          <div className="hourly-grid">
-            {hourlyData.map((hour, index) => (
-              <div key={index} className="hourly-card">
-                <div className="hourly-time">{hour.hour}</div>
-                <div className="hourly-stats">
-                  <div className="hourly-customers">👥 {hour.customers}</div>
-                  <div className="hourly-wait">⏱️ {hour.waitTime}m</div>
+        {/* Daily Overview */}
+        <div className="analytics-section">
+          <h2>{PERIOD_LABELS[period]} Overview{analytics?.timezone && ` (${analytics.timezone})`}</h2>
+          {reportState || (
+            <div className="analytics-grid">
+              <div className="analytics-card">
+                <div className="analytics-value">{summary.totalEntries}</div>
+                <p className="analytics-label">Total Entries</p>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{summary.totalExits}</div>
+                <p className="analytics-label">Total Exits</p>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">
+                  {summary.peak ? groupLabel(summary.peak._id, labelOptions) : '-'}
                 </div>
+                <p className="analytics-label">Busiest {groupBy === 'hour' ? 'Hour' : 'Day'}</p>
               </div>
-            ))}
-          </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{summary.maxOccupancy}</div>
+                <p className="analytics-label">Peak Occupancy</p>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{summary.avgQueueLength}</div>
+                <p className="analytics-label">Avg Queue Length</p>
+              </div>
+            </div>
+          )}
         </div>
 
-        {/* Staffing Alerts */}
-        <div className="alerts-section">
-          <h2>Staffing Recommendations & Alerts</h2>
-          <div className="alerts-container">
-            {staffingAlerts.map((alert) => (
-              <div key={alert.id} className={`alert-card ${alert.type} ${alert.priority}`}>
-                <div className="alert-icon">
-                  {alert.type === 'warning' ? '⚠️' : 
-                   alert.type === 'info' ? 'ℹ️' : '💡'}
+        {!reportState && (
+          <>
+            {/* Trends */}
+            <div className="trends-section">
+              <h2>Trends</h2>
+              <div className="chart-container">
+                <div className="chart-header">
+                  <h3>
+                    Entries vs Exits by {groupBy === 'hour' ? 'Hour' : 'Day'}
+                    {compared && ` (compared with ${compared.label})`}
+                  </h3>
+                  <select
+                    aria-label="Compare with"
+                    value={compareWith}
+                    onChange={(e) => setCompareWith(e.target.value)}
+                  >
+                    <option value="">No comparison</option>
+                    <option value="previous">{COMPARE_PERIOD_LABELS.previous[period]}</option>
+                    <option value="lastYear">{COMPARE_PERIOD_LABELS.lastYear[period]}</option>
+                    {stores.filter(store => store.storeId !== selectedStore).map(store => (
+                      <option key={store.storeId} value={`store:${store.storeId}`}>
+                        {store.storeName} ({store.storeId})
+                      </option>
+                    ))}
+                  </select>
                 </div>
-                <div className="alert-content">
-                  <span className={`priority-badge ${alert.priority}`}>
-                    {alert.priority.toUpperCase()}
-                  </span>
-                  <p>{alert.message}</p>
+                {comparisonError && <p className="export-error">{comparisonError}</p>}
+                <div className="chart-data">
+                  {chartRows.map(({ _id, current, other, delta }) => (
+                    <div key={groupLabel(_id)} className="chart-bar">
+                      <div className="bar-group">
+                        <div 
+                          className="bar entries" 
+                          style={{ height: `${((current?.totalEntries || 0) / chartMax) * 100}%` }}
+                          title={`Entries: ${current?.totalEntries || 0}`}
+                        ></div>
+                        <div 
+                          className="bar exits" 
+                          style={{ height: `${((current?.totalExits || 0) / chartMax) * 100}%` }}
+                          title={`Exits: ${current?.totalExits || 0}`}
+                        ></div>
+                        {compared && (
+                          <div
+                            className="bar comparison"
+                            style={{ height: `${((other?.totalEntries || 0) / chartMax) * 100}%` }}
+                            title={`${compared.label} entries: ${other?.totalEntries || 0}`}
+                          ></div>
+                        )}
+                      </div>
+                      <div className="bar-label">{groupLabel(_id, labelOptions)}</div>
+                      <div className="bar-values">
+                        <span className="entries-value">↗ {current?.totalEntries || 0}</span>
+                        <span className="exits-value">↙ {current?.totalExits || 0}</span>
+                        {compared && (
+                          <span className="comparison-value" title={`Entries vs ${compared.label}`}>
+                            {formatChange(delta?.totalEntries)}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  ))}
                 </div>
               </div>
-            ))}
-          </div>
-        </div>
 
-        {/* Performance Metrics */}
-        <div className="performance-section">
-          <h2>Performance Metrics</h2>
-          <div className="metrics-grid">
-            <div className="metric-card efficiency">
-              <h3>Store Efficiency</h3>
-              <div className="efficiency-score">87%</div>
-              <p>Above average performance</p>
+              {compared && (
+                <div className="analytics-grid comparison-grid">
+                  {comparison.metrics.map(metric => (
+                    <div key={metric} className="analytics-card">
+                      <div className="analytics-value">{formatChange(compared.deltas[metric])}</div>
+                      <p className="analytics-label">
+                        {COMPARISON_METRIC_LABELS[metric]}: {formatMetric(metric, baseline.totals[metric])}
+                        {' vs '}{formatMetric(metric, compared.totals[metric])}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
-            <div className="metric-card throughput">
-              <h3>Customer Throughput</h3>
-              <div className="throughput-value">4.2/min</div>
-              <p>Customers served per minute</p>
+
+            {/* Breakdown */}
+            <div className="hourly-section">
+              <h2>{groupBy === 'hour' ? 'Hourly' : 'Daily'} Breakdown</h2>
+              <div className="hourly-grid">
+                {groups.map((group) => (
+                  <div key={groupLabel(group._id)} className="hourly-card">
+                    <div className="hourly-time">{groupLabel(group._id, labelOptions)}</div>
+                    <div className="hourly-stats">
+                      <div className="hourly-customers" title="Peak occupancy">👥 {group.maxOccupancy}</div>
+                      <div className="hourly-wait" title="Average queue length">🧾 {Math.round(group.avgQueueLength * 10) / 10}</div>
+                      <div className="hourly-conversion" title="Conversion rate (transactions per entry)">
+                        🛒 {formatPercent(group.conversionRate)}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
             </div>
-            <div className="metric-card utilization">
-              <h3>Till Utilization</h3>
-              <div className="utilization-value">73%</div>
-              <p>Average till usage rate</p>
+
+            {/* Performance Metrics */}
+            <div className="performance-section">
+              <h2>Performance Metrics</h2>
+              <div className="metrics-grid">
+                <div className="metric-card throughput">
+                  <h3>Checkout Throughput</h3>
+                  <div className="throughput-value">{summary.avgPosRate}/min</div>
+                  <p>Average POS transactions per minute</p>
+                </div>
+                <div className="metric-card efficiency">
+                  <h3>Average Occupancy</h3>
+                  <div className="efficiency-score">{summary.avgOccupancy}</div>
+                  <p>Customers in store on average</p>
+                </div>
+                <div className="metric-card conversion">
+                  <h3>Conversion Rate</h3>
+                  <div className="conversion-value">{formatPercent(summary.conversionRate)}</div>
+                  <p>{summary.transactions} transactions from {summary.totalEntries} entries</p>
+                </div>
+                {summary.basketValue !== null && (
+                  <div className="metric-card basket">
+                    <h3>Basket Value</h3>
+                    <div className="conversion-value">{summary.basketValue}</div>
+                    <p>Average sale; {summary.salesPerVisitor} per visitor</p>
+                  </div>
+                )}
+                <div className="metric-card utilization">
+                  <h3>Last Hour</h3>
+                  <div className="utilization-value">{windowStats?.totalEntries ?? 0}</div>
+                  <p>Entries in the last 60 minutes</p>
+                </div>
+              </div>
+            </div>
+
+            {/* Dwell Time (estimated from entries and occupancy) */}
+            {dwellTime && (
+              <div className="dwell-section">
+                <h2>Dwell Time <span className="estimate-badge">Estimate</span></h2>
+                <div className="analytics-grid">
+                  <div className="analytics-card">
+                    <div className="analytics-value">
+                      {dwellTime.averageMinutes === null ? '-' : `~${Math.round(dwellTime.averageMinutes)} min`}
+                    </div>
+                    <p className="analytics-label">Average Time in Store</p>
+                  </div>
+                </div>
+
+                <table className="ranking-table dwell-distribution">
+                  <thead>
+                    <tr>
+                      <th>Estimated stay</th>
+                      <th>Hours</th>
+                      <th>Visitors</th>
+                      <th>Share</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {dwellTime.distribution.map(range => (
+                      <tr key={range.label}>
+                        <td>{range.label}</td>
+                        <td>{range.hours}</td>
+                        <td>{range.visitors}</td>
+                        <td>
+                          <div className="share-bar">
+                            <div className="share-fill" style={{ width: `${range.share * 100}%` }}></div>
+                          </div>
+                          {formatPercent(range.share)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="hourly-grid">
+                  {dwellTime.hours.map(hour => (
+                    <div key={groupLabel(hour._id)} className={`hourly-card${hour.reliable ? '' : ' unreliable'}`}>
+                      <div className="hourly-time">{groupLabel(hour._id, labelOptions)}</div>
+                      <div className="hourly-stats">
+                        <div
+                          className="hourly-wait"
+                          title={hour.reliable ? 'Estimated average stay' : 'Too few entries for a reliable estimate'}
+                        >
+                          ⏱ {hour.dwellMinutes === null ? '-' : `~${Math.round(hour.dwellMinutes)} min`}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <details className="dwell-assumptions">
+                  <summary>How this is estimated</summary>
+                  <ul>
+                    {dwellTime.assumptions.map(assumption => (
+                      <li key={assumption}>{assumption}</li>
+                    ))}
+                  </ul>
+                </details>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Alerts */}
+        {selectedStore && alertStats && (
+          <div className="alerts-section">
+            <h2>Alerts</h2>
+            <div className="analytics-grid">
+              <div className="analytics-card">
+                <div className="analytics-value">{alertStats.activeAlerts}</div>
+                <p className="analytics-label">Active</p>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{alertStats.criticalAlerts}</div>
+                <p className="analytics-label">Critical</p>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{alertStats.highAlerts}</div>
+                <p className="analytics-label">High</p>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{alertStats.acknowledgedAlerts}</div>
+                <p className="analytics-label">Acknowledged</p>
+              </div>
+              <div className="analytics-card">
+                <div className="analytics-value">{alertStats.totalAlerts}</div>
+                <p className="analytics-label">All Time</p>
+              </div>
+            </div>
+            <div className="alerts-container">
+              {alerts.length === 0 && <p>No active alerts.</p>}
+              {alerts.slice(0, 3).map((alert) => (
+                <div key={alert._id} className={`alert-card ${alert.alertType} ${alert.severity}`}>
+                  <div className="alert-icon">
+                    {alert.severity === 'critical' ? '🚨' : 
+                     alert.severity === 'high' ? '⚠️' : 
+                     alert.severity === 'medium' ? '💡' : 'ℹ️'}
+                  </div>
+                  <div className="alert-content">
+                    <span className={`priority-badge ${alert.severity}`}>
+                      {alert.severity.toUpperCase()}
+                    </span>
+                    <h4>{alert.title}</h4>
+                    <p>{alert.message}</p>
+                  </div>
+                </div>
+              ))}
             </div>
           </div>
-        </div>
+        )}
       </div>
     </>
   );
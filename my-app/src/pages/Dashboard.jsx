@@ -4,6 +4,7 @@ import { projectsAPI, tasksAPI } from "../services/api";
 import "../styles/Dashboard.css";
 import { Link} from "react-router-dom";
 import Navbar from "../components/Navbar";
+import StoreOverview from "../components/StoreOverview";
 
 const Dashboard = () => {
   const { user, logout } = useAuth();
@@ -155,6 +156,9 @@ const Dashboard = () => {
           <p>Count the People around you with ease and accurate</p>
         </section>
 
+        {/* Live store or store group overview */}
+        <StoreOverview />
+
         {/* Stats Cards */}
         <section className="dashboard-stats">
           <div className="stat-card">
@@ -15,6 +15,7 @@ export default function Livequeue() {
     avgWaitTime,
     activeTills,
     lastUpdated,
+    isLive,
     acknowledgeAlert,
     resolveAlert,
     loading
@@ -120,7 +121,7 @@ export default function Livequeue() {
         <div className="queue-stats-section">
           <h2>Live Queue Statistics 
             {lastUpdated && (
-              <span className="last-updated"> (Updated: {lastUpdated.toLocaleTimeString()})</span>
+              <span className="last-updated"> (Updated: {lastUpdated.toLocaleTimeString()}{isLive ? ', live' : ''})</span>
             )}
           </h2>
           <div className="stats-grid">
@@ -192,6 +193,11 @@ export default function Livequeue() {
                     </span>
                     <h4>{alert.title}</h4>
                     <p>{alert.message}</p>
+                    {alert.occurrenceCount > 1 && (
+                      <p className="alert-occurrences">
+                        Seen {alert.occurrenceCount} times, last at {new Date(alert.lastSeenAt).toLocaleTimeString()}
+                      </p>
+                    )}
                     {!alert.isAcknowledged && (
                       <div className="alert-actions">
                         <button 
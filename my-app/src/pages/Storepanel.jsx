@@ -1,33 +1,52 @@
 import React from 'react'
 import { useState , useEffect} from 'react';
 import { useAuth } from "../context/AuthContext";
+import { useRetailData } from "../context/RetailDataContext";
+import { footfallAPI, storeAPI } from "../services/api";
+import { groupLabel, summarizeAnalytics } from '../utils/analytics';
 import '../styles/Dashboard.css';
 import Navbar from '../components/Navbar';
+import StoreSelector from '../components/StoreSelector';
+
+// How often the next-hour forecast is refreshed
+const FORECAST_REFRESH_INTERVAL = 5 * 60 * 1000;
+// How often today's totals are refreshed
+const TODAY_REFRESH_INTERVAL = 60 * 1000;
+
+// Badge label and style for each staffing action
+const STAFFING_BADGES = {
+  increase: { label: 'INCREASE', className: 'warning' },
+  decrease: { label: 'REDUCE', className: 'optimal' },
+  maintain: { label: 'OPTIMAL', className: 'optimal' }
+};
+
+const pluralTills = (count) => `${count} till${count === 1 ? '' : 's'}`;
+
+// Badge style for each forecast trend
+const TREND_BADGES = {
+  increase: 'warning',
+  decrease: 'optimal',
+  steady: 'optimal',
+  closed: 'neutral'
+};
 
 export default function Storepanel() {
    const { user, logout } = useAuth();
-  const [stats] = useState({
-      totalStrength: 15,
-      currentOccupancy: 8,
-      avgServiceTime: 4.5,
-      peakHours: "2-4 PM",
-    });
-
-  // Mock entry/exit data
-  const [entryExitData] = useState({
-    entriesCount: 23,
-    exitsCount: 15,
-    currentQueue: 8,
-    posRate: 2.3  
-  });
-
-  // Mock store configuration
-  const [storeConfig] = useState({
-    storeId: "ST001",
-    storeName: "Downtown Branch",
-    tillCount: 3,
-    operatingHours: "9 AM - 9 PM"
-  });
+  const {
+    selectedStore,
+    staffing,
+    footfallData,
+    currentOccupancy,
+    totalQueue,
+    activeTills
+  } = useRetailData();
+  const [forecast, setForecast] = useState(null);
+  const [forecastLoading, setForecastLoading] = useState(false);
+  const [forecastError, setForecastError] = useState(null);
+  const [store, setStore] = useState(null);
+  const [storeLoading, setStoreLoading] = useState(false);
+  const [storeError, setStoreError] = useState(null);
+  const [today, setToday] = useState(null);
 
   const getInitials = (name) => {
     return name
@@ -49,6 +68,234 @@ export default function Storepanel() {
   useEffect(() => {
     document.title = "Store Panel - Retail Analytics"
   }, [])
+
+  // Load the selected store's configuration
+  useEffect(() => {
+    if (!selectedStore) return;
+
+    let cancelled = false;
+
+    const loadStore = async () => {
+      setStore(null);
+      setStoreLoading(true);
+      setStoreError(null);
+      try {
+        const response = await storeAPI.getById(selectedStore);
+        if (!cancelled) {
+          setStore(response.data.store);
+        }
+      } catch (error) {
+        console.error('Store error:', error);
+        if (!cancelled) {
+          setStoreError('Could not load this store');
+        }
+      } finally {
+        if (!cancelled) {
+          setStoreLoading(false);
+        }
+      }
+    };
+
+    loadStore();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedStore]);
+
+  // Load today's hourly totals for the selected store
+  useEffect(() => {
+    if (!selectedStore) return;
+
+    let cancelled = false;
+    setToday(null);
+
+    const loadToday = async () => {
+      try {
+        const response = await footfallAPI.getAnalytics(selectedStore, 'today', 'hour');
+        if (!cancelled) {
+          setToday(summarizeAnalytics(response.data.data.analytics));
+        }
+      } catch (error) {
+        console.error('Today totals error:', error);
+      }
+    };
+
+    loadToday();
+    const interval = setInterval(loadToday, TODAY_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [selectedStore]);
+
+  // Load the next-hour forecast for the selected store
+  useEffect(() => {
+    if (!selectedStore) return;
+
+    let cancelled = false;
+
+    const loadForecast = async () => {
+      setForecastLoading(true);
+      try {
+        const response = await footfallAPI.getForecast(selectedStore, 'hour');
+        if (!cancelled) {
+          setForecast(response.data.data);
+          setForecastError(null);
+        }
+      } catch (error) {
+        console.error('Forecast error:', error);
+        if (!cancelled) {
+          setForecastError('Forecast unavailable');
+        }
+      } finally {
+        if (!cancelled) {
+          setForecastLoading(false);
+        }
+      }
+    };
+
+    loadForecast();
+    const interval = setInterval(loadForecast, FORECAST_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [selectedStore]);
+
+  const renderStaffing = () => {
+    if (!staffing) {
+      return <p>Loading staffing recommendation...</p>;
+    }
+    if (!staffing.isOpen) {
+      return (
+        <>
+          <p className="status-badge neutral">CLOSED</p>
+          <p>The store is outside its operating hours</p>
+        </>
+      );
+    }
+
+    const badge = STAFFING_BADGES[staffing.action] || STAFFING_BADGES.maintain;
+    const { targetPercent, targetWaitMinutes } = staffing.serviceLevel;
+    const target = `${targetPercent}% of customers within ${targetWaitMinutes} min`;
+
+    let summary;
+    if (staffing.action === 'increase') {
+      summary = `Open ${pluralTills(staffing.change)} more: ${staffing.requiredTills} needed to serve ${target} (currently ${staffing.current.serviceLevel}%)`;
+    } else if (staffing.action === 'decrease') {
+      summary = `${pluralTills(staffing.requiredTills)} of ${staffing.activeTills} open would still serve ${staffing.recommended.serviceLevel}% within ${targetWaitMinutes} min`;
+    } else {
+      summary = `${pluralTills(staffing.activeTills)} open serve ${staffing.current.serviceLevel}% within ${targetWaitMinutes} min (target ${targetPercent}%)`;
+    }
+
+    return (
+      <>
+        <p className={`status-badge ${badge.className}`}>{badge.label}</p>
+        <p>{summary}</p>
+        <p>
+          Arrivals {staffing.inputs.arrivalRate}/min, service time {staffing.inputs.serviceTimeMinutes} min
+          {staffing.exceedsTillCount && ` - demand exceeds the store's ${pluralTills(staffing.tillCount)}`}
+        </p>
+      </>
+    );
+  };
+
+  const configuration = store?.configuration;
+  const operatingHours = configuration?.operatingHours?.open && configuration?.operatingHours?.close
+    ? `${configuration.operatingHours.open} - ${configuration.operatingHours.close}`
+    : 'Not set';
+
+  // Average service time reported by the open tills, else the one the
+  // staffing calculation assumed
+  const openTills = (footfallData?.queueData?.tillQueues || []).filter(till => till.status === 'active');
+  const avgServiceTime = openTills.length > 0
+    ? Math.round(openTills.reduce((sum, till) => sum + till.avgServiceTime, 0) / openTills.length * 10) / 10
+    : staffing?.inputs?.serviceTimeMinutes;
+
+  const renderStoreConfig = () => {
+    if (!selectedStore) {
+      return (
+        <div className="empty-state">
+          <h3>No store selected</h3>
+          <p>Create a store to see its configuration and live metrics.</p>
+        </div>
+      );
+    }
+    if (storeLoading) {
+      return <p>Loading store...</p>;
+    }
+    if (storeError || !store) {
+      return <p className="export-error">{storeError || 'Store not found'}</p>;
+    }
+
+    return (
+      <div className="config-grid">
+        <div className="config-card">
+          <h3>Store ID</h3>
+          <p className="config-value">{store.storeId}</p>
+        </div>
+        <div className="config-card">
+          <h3>Store Name</h3>
+          <p className="config-value">{store.storeName}</p>
+        </div>
+        <div className="config-card">
+          <h3>Till Count</h3>
+          <p className="config-value">{configuration.tillCount}</p>
+        </div>
+        <div className="config-card">
+          <h3>Operating Hours</h3>
+          <p className="config-value">{operatingHours}</p>
+          <p>{configuration.timezone}</p>
+        </div>
+      </div>
+    );
+  };
+
+  const nextHour = forecast?.points?.[0];
+  const trend = forecast?.trend;
+
+  const renderForecast = () => {
+    if (forecastLoading && !forecast) {
+      return <p>Loading forecast...</p>;
+    }
+    if (forecastError) {
+      return <p>{forecastError}</p>;
+    }
+    if (!nextHour || !trend) {
+      return <p>Not enough history yet to forecast the next hour</p>;
+    }
+    if (nextHour.closed) {
+      return (
+        <>
+          <p className="status-badge neutral">CLOSED</p>
+          <p>The store is closed during the next hour</p>
+        </>
+      );
+    }
+
+    // Store-local start of the forecast hour, e.g. "14:00"
+    const hourLabel = nextHour.localTime.slice(11, 16);
+
+    return (
+      <>
+        <p className={`status-badge ${TREND_BADGES[trend.direction] || 'neutral'}`}>
+          {trend.direction.toUpperCase()}
+        </p>
+        <p>
+          Expected {Math.round(nextHour.entries.expected)} entries in the hour from {hourLabel} (80% range{' '}
+          {Math.round(nextHour.entries.lower80)}-{Math.round(nextHour.entries.upper80)}),
+          vs {trend.lastHourEntries} in the last hour
+        </p>
+        <p>
+          Occupancy around {Math.round(nextHour.occupancy.expected)}, queue around{' '}
+          {nextHour.queueLength.expected.toFixed(1)}
+        </p>
+      </>
+    );
+  };
   return (
      <>
            <header className="dashboard-header">
@@ -79,27 +326,12 @@ export default function Storepanel() {
       <Navbar />
 
       <div className="main-content">
+        <StoreSelector id="storepanel-store" />
+
         {/* Store Information Section */}
         <div className="store-info-section">
           <h2>Store Configuration</h2>
-          <div className="config-grid">
-            <div className="config-card">
-              <h3>Store ID</h3>
-              <p className="config-value">{storeConfig.storeId}</p>
-            </div>
-            <div className="config-card">
-              <h3>Store Name</h3>
-              <p className="config-value">{storeConfig.storeName}</p>
-            </div>
-            <div className="config-card">
-              <h3>Till Count</h3>
-              <p className="config-value">{storeConfig.tillCount}</p>
-            </div>
-            <div className="config-card">
-              <h3>Operating Hours</h3>
-              <p className="config-value">{storeConfig.operatingHours}</p>
-            </div>
-          </div>
+          {renderStoreConfig()}
         </div>
 
         {/* Real-time Stats Section */}
@@ -107,20 +339,24 @@ export default function Storepanel() {
           <h2>Live Store Metrics</h2>
           <div className="stats-grid">
             <div className="stat-card">
-              <div className="stat-number">{stats.totalStrength}</div>
-              <p className="stat-label">Total Staff</p>
+              <div className="stat-number">
+                {activeTills}{configuration && `/${configuration.tillCount}`}
+              </div>
+              <p className="stat-label">Open Tills</p>
             </div>
             <div className="stat-card">
-              <div className="stat-number">{stats.currentOccupancy}</div>
+              <div className="stat-number">{currentOccupancy}</div>
               <p className="stat-label">Current Occupancy</p>
             </div>
             <div className="stat-card">
-              <div className="stat-number">{stats.avgServiceTime}min</div>
+              <div className="stat-number">{avgServiceTime !== undefined ? `${avgServiceTime}min` : '-'}</div>
               <p className="stat-label">Avg Service Time</p>
             </div>
             <div className="stat-card">
-              <div className="stat-number">{stats.peakHours}</div>
-              <p className="stat-label">Peak Hours</p>
+              <div className="stat-number">
+                {today?.peak ? groupLabel(today.peak._id, { withDay: false }) : '-'}
+              </div>
+              <p className="stat-label">Busiest Hour Today</p>
             </div>
           </div>
         </div>
@@ -133,28 +369,28 @@ export default function Storepanel() {
               <div className="tracking-icon">↗</div>
               <div className="tracking-info">
                 <h3>Entries Today</h3>
-                <p className="tracking-value">{entryExitData.entriesCount}</p>
+                <p className="tracking-value">{today ? today.totalEntries : '-'}</p>
               </div>
             </div>
             <div className="tracking-card exits">
               <div className="tracking-icon">↙</div>
               <div className="tracking-info">
                 <h3>Exits Today</h3>
-                <p className="tracking-value">{entryExitData.exitsCount}</p>
+                <p className="tracking-value">{today ? today.totalExits : '-'}</p>
               </div>
             </div>
             <div className="tracking-card queue">
               <div className="tracking-icon">👥</div>
               <div className="tracking-info">
                 <h3>Current Queue</h3>
-                <p className="tracking-value">{entryExitData.currentQueue}</p>
+                <p className="tracking-value">{totalQueue}</p>
               </div>
             </div>
             <div className="tracking-card pos-rate">
               <div className="tracking-icon">💳</div>
               <div className="tracking-info">
                 <h3>POS Rate</h3>
-                <p className="tracking-value">{entryExitData.posRate}/min</p>
+                <p className="tracking-value">{footfallData ? `${footfallData.posRate}/min` : '-'}</p>
               </div>
             </div>
           </div>
@@ -166,13 +402,11 @@ export default function Storepanel() {
           <div className="recommendations-grid">
             <div className="recommendation-card optimal">
               <h3>Current Status</h3>
-              <p className="status-badge optimal">OPTIMAL</p>
-              <p>Current staffing levels are adequate for the current queue</p>
+              {renderStaffing()}
             </div>
             <div className="recommendation-card suggestion">
               <h3>Next Hour Prediction</h3>
-              <p className="status-badge warning">INCREASE</p>
-              <p>Consider adding 1 more till operator for expected rush</p>
+              {renderForecast()}
             </div>
           </div>
         </div>
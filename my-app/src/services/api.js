@@ -114,11 +114,50 @@ export const storeAPI = {
   delete: (storeId) => api.delete(`/api/stores/${storeId}`),
 };
 
+// Store group API calls
+export const storeGroupAPI = {
+  // Get store groups (optionally filtered by type: region, format or tag)
+  getAll: (params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/store-groups?${queryParams.toString()}`);
+  },
+  
+  // Get a group with the member stores the current user can access
+  getById: (groupId) => api.get(`/api/store-groups/${groupId}`),
+  
+  // Create a group (organizationId shares it with an organization)
+  create: (groupData) => api.post('/api/store-groups', groupData),
+  
+  // Update a group
+  update: (groupId, groupData) => api.put(`/api/store-groups/${groupId}`, groupData),
+  
+  // Delete a group
+  delete: (groupId) => api.delete(`/api/store-groups/${groupId}`),
+  
+  // Get window statistics summed across the group's stores
+  getWindowStats: (groupId, minutes = 60) =>
+    api.get(`/api/store-groups/${groupId}/window?minutes=${minutes}`),
+  
+  // Get analytics combined across the group's stores
+  getAnalytics: (groupId, period = 'today', groupBy = 'hour') =>
+    api.get(`/api/store-groups/${groupId}/analytics?period=${period}&groupBy=${groupBy}`),
+  
+  // Get alert statistics across the group's stores
+  getAlertStats: (groupId) => api.get(`/api/store-groups/${groupId}/alerts/stats`),
+  
+  // Rank the group's stores (sortBy: busiest, queue or alerts)
+  getRanking: (groupId, sortBy = 'busiest', minutes = 60) =>
+    api.get(`/api/store-groups/${groupId}/ranking?sortBy=${sortBy}&minutes=${minutes}`),
+};
+
 // Footfall API calls
 export const footfallAPI = {
   // Ingest footfall data
   ingest: (storeId, data) => api.post('/api/footfall/ingest', { storeId, ...data }),
   
+  // Ingest a batch of buffered readings
+  ingestBatch: (readings) => api.post('/api/footfall/ingest/batch', { readings }),
+  
   // Get latest footfall data
   getLatest: (storeId) => api.get(`/api/footfall/latest/${storeId}`),
   
@@ -135,6 +174,60 @@ export const footfallAPI = {
   // Get analytics data
   getAnalytics: (storeId, period = 'today', groupBy = 'hour') => 
     api.get(`/api/footfall/analytics/${storeId}?period=${period}&groupBy=${groupBy}`),
+  
+  // Compare stores ({ storeIds: 'A,B' }) or one store across periods
+  // ({ storeIds: 'A', compareTo: 'previous' })
+  compare: (params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/footfall/compare?${queryParams.toString()}`);
+  },
+  
+  // Tills needed to meet the store's service level (optional what-if overrides)
+  getStaffing: (storeId, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/footfall/staffing/${storeId}?${queryParams.toString()}`);
+  },
+  
+  // Forecast the next hour or the next day
+  getForecast: (storeId, horizon = 'hour') =>
+    api.get(`/api/footfall/forecast/${storeId}?horizon=${horizon}`),
+  
+  // Preview what the retention policy would remove (dry run)
+  previewRetention: (storeId, overrides = {}) => {
+    const queryParams = new URLSearchParams(overrides);
+    return api.get(`/api/footfall/retention/${storeId}/preview?${queryParams.toString()}`);
+  },
+  
+  // Update retention policy
+  updateRetention: (storeId, policy) => api.put(`/api/footfall/retention/${storeId}`, policy),
+  
+  // Re-run hourly/daily rollups for a date range
+  rebuildRollups: (storeId, startDate, endDate) =>
+    api.post(`/api/footfall/rollups/${storeId}/rebuild`, { startDate, endDate }),
+
+  // Download history or analytics for a date range as CSV or NDJSON
+  exportData: (storeId, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/footfall/export/${storeId}?${queryParams.toString()}`, {
+      responseType: 'blob'
+    });
+  },
+
+  // Validate a CSV and column mapping without importing
+  previewImport: (storeId, csv, mapping) =>
+    api.post(`/api/footfall/imports/${storeId}/preview`, { csv, mapping }),
+
+  // Start a CSV import (processed in the background)
+  startImport: (storeId, importData) => api.post(`/api/footfall/imports/${storeId}`, importData),
+
+  // Get import jobs for a store
+  getImportJobs: (storeId) => api.get(`/api/footfall/imports/${storeId}`),
+
+  // Get an import job's progress and row errors
+  getImportJob: (jobId) => api.get(`/api/footfall/imports/jobs/${jobId}`),
+
+  // Undo an import
+  undoImport: (jobId) => api.post(`/api/footfall/imports/jobs/${jobId}/undo`),
 };
 
 // Alert API calls
@@ -157,6 +250,9 @@ export const alertAPI = {
   // Resolve alert
   resolve: (id) => api.put(`/api/alerts/${id}/resolve`),
   
+  // Pause, resume, edit or end a recurring alert
+  updateRecurrence: (id, changes) => api.put(`/api/alerts/${id}/recurrence`, changes),
+  
   // Delete alert
   delete: (id) => api.delete(`/api/alerts/${id}`),
   
@@ -164,6 +260,192 @@ export const alertAPI = {
   getStats: (storeId) => api.get(`/api/alerts/stats/${storeId}`),
 };
 
+// Alert rule API calls
+export const alertRuleAPI = {
+  // Get a store's alert rules
+  getAll: (storeId) => api.get(`/api/alerts/rules?storeId=${encodeURIComponent(storeId)}`),
+  
+  // Get the metrics and operators rule conditions can use
+  getMetrics: () => api.get('/api/alerts/rules/metrics'),
+  
+  // Get single alert rule
+  getById: (id) => api.get(`/api/alerts/rules/${id}`),
+  
+  // Create new alert rule
+  create: (ruleData) => api.post('/api/alerts/rules', ruleData),
+  
+  // Update alert rule
+  update: (id, ruleData) => api.put(`/api/alerts/rules/${id}`, ruleData),
+  
+  // Delete alert rule
+  delete: (id) => api.delete(`/api/alerts/rules/${id}`),
+  
+  // Replay a saved rule over the last 24 hours of readings
+  test: (id) => api.post(`/api/alerts/rules/${id}/test`),
+  
+  // Replay an unsaved rule definition over the last 24 hours of readings
+  testDraft: (ruleData) => api.post('/api/alerts/rules/test', ruleData),
+};
+
+// Escalation policy API calls
+export const escalationPolicyAPI = {
+  // Get a store's escalation policies
+  getAll: (storeId) => api.get(`/api/alerts/escalation-policies?storeId=${encodeURIComponent(storeId)}`),
+  
+  // Get single escalation policy
+  getById: (id) => api.get(`/api/alerts/escalation-policies/${id}`),
+  
+  // Create new escalation policy (step notifyUsers take user IDs or emails)
+  create: (policyData) => api.post('/api/alerts/escalation-policies', policyData),
+  
+  // Update escalation policy
+  update: (id, policyData) => api.put(`/api/alerts/escalation-policies/${id}`, policyData),
+  
+  // Delete escalation policy
+  delete: (id) => api.delete(`/api/alerts/escalation-policies/${id}`),
+};
+
+// Webhook API calls
+export const webhookAPI = {
+  // Get webhook subscriptions (optionally filtered by store)
+  getAll: (params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/webhooks?${queryParams.toString()}`);
+  },
+  
+  // Get single webhook subscription
+  getById: (id) => api.get(`/api/webhooks/${id}`),
+  
+  // Subscribe a URL to a store's alert events and receive its signing secret
+  create: (webhookData) => api.post('/api/webhooks', webhookData),
+  
+  // Update webhook subscription
+  update: (id, webhookData) => api.put(`/api/webhooks/${id}`, webhookData),
+  
+  // Delete webhook subscription
+  delete: (id) => api.delete(`/api/webhooks/${id}`),
+  
+  // Replace the signing secret
+  rotateSecret: (id) => api.post(`/api/webhooks/${id}/rotate-secret`),
+  
+  // Send a test event
+  test: (id) => api.post(`/api/webhooks/${id}/test`),
+  
+  // Get the delivery log
+  getDeliveries: (id, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/webhooks/${id}/deliveries?${queryParams.toString()}`);
+  },
+  
+  // Send a delivery again
+  redeliver: (deliveryId) => api.post(`/api/webhooks/deliveries/${deliveryId}/redeliver`),
+};
+
+// Notification API calls
+export const notificationAPI = {
+  // Get the current user's email preferences for a store
+  getPreferences: (storeId) => api.get(`/api/notifications/preferences/${storeId}`),
+  
+  // Update the current user's email preferences for a store
+  updatePreferences: (storeId, preferences) => api.put(`/api/notifications/preferences/${storeId}`, preferences),
+  
+  // Send a test email to the current user
+  sendTestEmail: () => api.post('/api/notifications/test-email'),
+  
+  // Email yesterday's digest now (preview returns it without sending)
+  sendDigest: (storeId, { preview = false } = {}) => api.post(`/api/notifications/digest/${storeId}?preview=${preview}`),
+};
+
+// Organization API calls
+export const organizationAPI = {
+  // Get the organizations the current user belongs to, with their role
+  getAll: () => api.get('/api/organizations'),
+  
+  // Create an organization with the current user as its admin
+  create: (organizationData) => api.post('/api/organizations', organizationData),
+  
+  // Rename an organization
+  update: (orgId, organizationData) => api.put(`/api/organizations/${orgId}`, organizationData),
+  
+  // Move a store the current user controls into the organization
+  addStore: (orgId, storeId) => api.post(`/api/organizations/${orgId}/stores`, { storeId }),
+  
+  // Get members with their roles and store assignments
+  getMembers: (orgId) => api.get(`/api/organizations/${orgId}/members`),
+  
+  // Change a member's role or store assignments
+  updateMember: (orgId, membershipId, changes) =>
+    api.put(`/api/organizations/${orgId}/members/${membershipId}`, changes),
+  
+  // Remove a member (or leave, with the current user's own membership)
+  removeMember: (orgId, membershipId) => api.delete(`/api/organizations/${orgId}/members/${membershipId}`),
+  
+  // Get invitations (optionally filtered by status)
+  getInvitations: (orgId, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/organizations/${orgId}/invitations?${queryParams.toString()}`);
+  },
+  
+  // Invite by email with a role and store assignments
+  invite: (orgId, invitationData) => api.post(`/api/organizations/${orgId}/invitations`, invitationData),
+  
+  // Send a pending invitation again with a new link
+  resendInvitation: (orgId, invitationId) =>
+    api.post(`/api/organizations/${orgId}/invitations/${invitationId}/resend`),
+  
+  // Revoke a pending invitation
+  revokeInvitation: (orgId, invitationId) => api.delete(`/api/organizations/${orgId}/invitations/${invitationId}`),
+  
+  // Get the invitation an invitation link refers to
+  getInvitation: (token) => api.get(`/api/organizations/invitations/${token}`),
+  
+  // Accept an invitation sent to the current user's email
+  acceptInvitation: (token) => api.post(`/api/organizations/invitations/${token}/accept`),
+  
+  // Get the audit log of invitations and access changes
+  getAuditLog: (orgId, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/organizations/${orgId}/audit-log?${queryParams.toString()}`);
+  },
+};
+
+// Device API calls
+export const deviceAPI = {
+  // Get all devices (optionally filtered by store)
+  getAll: (params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return api.get(`/api/devices?${queryParams.toString()}`);
+  },
+  
+  // Get single device
+  getById: (id) => api.get(`/api/devices/${id}`),
+  
+  // Register a device and receive its API key
+  register: (deviceData) => api.post('/api/devices', deviceData),
+  
+  // Update device
+  update: (id, deviceData) => api.put(`/api/devices/${id}`, deviceData),
+  
+  // Rotate device API key
+  rotateKey: (id) => api.post(`/api/devices/${id}/rotate`),
+  
+  // Revoke device
+  revoke: (id) => api.post(`/api/devices/${id}/revoke`),
+};
+
+// Live stream of a store's readings and alert events (Server-Sent Events).
+// EventSource cannot send headers, so the token goes in the query string.
+export const streamAPI = {
+  // URL to open with new EventSource(). It carries a short-lived stream
+  // token rather than the login token, so get a fresh URL for every
+  // connection.
+  getStoreUrl: async (storeId) => {
+    const path = `/api/stream/${encodeURIComponent(storeId)}`;
+    const response = await api.post(`${path}/token`);
+    return `${api.defaults.baseURL}${path}?token=${encodeURIComponent(response.data.token)}`;
+  },
+};
+
 // Health check
 export const healthCheck = () => api.get('/health');
 
@@ -0,0 +1,71 @@
+// Helpers for the groups returned by /api/footfall/analytics. Group ids
+// are calendar fields in the store's timezone.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Label for a group, e.g. "14:00", "Mon 3 Jun" or "Mon 3 Jun 14:00"
+export const groupLabel = ({ year, month, day, hour }, { withDay = true } = {}) => {
+  // Built in UTC so the browser's own timezone does not shift the day
+  const dayLabel = new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(undefined, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    timeZone: 'UTC'
+  });
+
+  if (hour === undefined) {
+    return dayLabel;
+  }
+  return withDay ? `${dayLabel} ${pad(hour)}:00` : `${pad(hour)}:00`;
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Ratio (e.g. a conversion rate) as a percentage, "-" when there is none
+export const formatPercent = (ratio) => (
+  ratio === null || ratio === undefined ? '-' : `${round(ratio * 100)}%`
+);
+
+// Totals across groups. Averages are weighted by the readings behind each
+// group; peak is the group with the most entries. Conversion is
+// transactions per entry; basket value needs sales reported by the POS.
+export const summarizeAnalytics = (groups = []) => {
+  const dataPoints = groups.reduce((sum, group) => sum + (group.dataPoints || 0), 0);
+  const weighted = (field) => (dataPoints > 0
+    ? round(groups.reduce((sum, group) => sum + (group[field] || 0) * (group.dataPoints || 0), 0) / dataPoints)
+    : 0);
+
+  const total = (field) => groups.reduce((sum, group) => sum + (group[field] || 0), 0);
+  const totalEntries = total('totalEntries');
+  const transactions = total('transactions');
+  const salesValue = total('salesValue');
+  const salesTransactions = total('salesTransactions');
+
+  const peak = groups.reduce((best, group) => (
+    !best || group.totalEntries > best.totalEntries ? group : best
+  ), null);
+
+  return {
+    totalEntries,
+    totalExits: total('totalExits'),
+    maxOccupancy: groups.reduce((max, group) => Math.max(max, group.maxOccupancy || 0), 0),
+    avgOccupancy: weighted('avgOccupancy'),
+    avgQueueLength: weighted('avgQueueLength'),
+    avgPosRate: weighted('avgPosRate'),
+    dataPoints,
+    transactions: round(transactions),
+    conversionRate: totalEntries > 0 ? transactions / totalEntries : null,
+    basketValue: salesTransactions > 0 ? round(salesValue / salesTransactions, 2) : null,
+    salesPerVisitor: salesTransactions > 0 && totalEntries > 0 ? round(salesValue / totalEntries, 2) : null,
+    peak: peak && peak.totalEntries > 0 ? peak : null
+  };
+};
+
+// Percentage change from /api/footfall/compare, e.g. "+12.5%"; "n/a" when
+// there is nothing to compare against
+export const formatChange = (delta) => {
+  if (!delta || delta.percentChange === null || delta.percentChange === undefined) {
+    return 'n/a';
+  }
+  return `${delta.percentChange > 0 ? '+' : ''}${delta.percentChange}%`;
+};
@@ -0,0 +1,8 @@
+const { autoResolveClearedAlerts } = require('../services/alertService');
+
+// Resolve alerts whose condition has cleared for long enough
+module.exports = {
+  name: 'alert-auto-resolve',
+  intervalMs: (parseInt(process.env.ALERT_RESOLVE_INTERVAL_SECONDS) || 60) * 1000,
+  run: () => autoResolveClearedAlerts()
+};
@@ -0,0 +1,8 @@
+const { sendDueDigests } = require('../services/notificationService');
+
+// Email each store's daily digest once its subscribers' digest hour passes
+module.exports = {
+  name: 'daily-digest',
+  intervalMs: (parseInt(process.env.DIGEST_INTERVAL_SECONDS) || 900) * 1000,
+  run: () => sendDueDigests()
+};
@@ -0,0 +1,8 @@
+const { escalateDueAlerts } = require('../services/escalationService');
+
+// Escalate unacknowledged alerts under their store's escalation policies
+module.exports = {
+  name: 'alert-escalation',
+  intervalMs: (parseInt(process.env.ESCALATION_INTERVAL_SECONDS) || 60) * 1000,
+  run: () => escalateDueAlerts()
+};
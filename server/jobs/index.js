@@ -0,0 +1,34 @@
+const { scheduleJob, stopJobs } = require('./scheduler');
+const rollupJob = require('./rollupJob');
+const retentionJob = require('./retentionJob');
+const alertResolveJob = require('./alertResolveJob');
+const escalationJob = require('./escalationJob');
+const recurrenceJob = require('./recurrenceJob');
+const webhookDeliveryJob = require('./webhookDeliveryJob');
+const digestJob = require('./digestJob');
+
+const jobs = [
+  rollupJob,
+  retentionJob,
+  alertResolveJob,
+  escalationJob,
+  recurrenceJob,
+  webhookDeliveryJob,
+  digestJob
+];
+
+// Start all background jobs (set DISABLE_JOBS=true to run the API only)
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️  Background jobs disabled');
+    return;
+  }
+
+  jobs.forEach(job => scheduleJob(job));
+  console.log(`⏱️  Started ${jobs.length} background job(s)`);
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,8 @@
+const { fireDueRecurrences } = require('../services/recurrenceService');
+
+// Re-raise recurring alerts whose next trigger time has passed
+module.exports = {
+  name: 'alert-recurrence',
+  intervalMs: (parseInt(process.env.RECURRENCE_INTERVAL_SECONDS) || 60) * 1000,
+  run: () => fireDueRecurrences()
+};
@@ -0,0 +1,9 @@
+const { applyRetentionToAllStores } = require('../services/retentionService');
+
+// Enforce each store's data retention policy
+module.exports = {
+  name: 'footfall-retention',
+  intervalMs: (parseInt(process.env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+  initialDelayMs: 60 * 1000,
+  run: () => applyRetentionToAllStores()
+};
@@ -0,0 +1,18 @@
+const { rollupChangedSince, backfillRollups } = require('../services/rollupService');
+
+// Overlap with the previous run so readings written mid-run are not missed
+const OVERLAP_MS = 60 * 1000;
+
+// Aggregate new, late and corrected realtime readings into hourly and daily
+// rollups. The very first run rolls up all existing history instead.
+module.exports = {
+  name: 'footfall-rollup',
+  intervalMs: (parseInt(process.env.ROLLUP_INTERVAL_MINUTES) || 15) * 60 * 1000,
+  run: ({ lastSuccessAt, startedAt }) => {
+    if (!lastSuccessAt) {
+      return backfillRollups(startedAt);
+    }
+
+    return rollupChangedSince(new Date(lastSuccessAt.getTime() - OVERLAP_MS));
+  }
+};
@@ -0,0 +1,61 @@
+const JobState = require('../models/JobState');
+
+const timers = [];
+
+// Run a job every intervalMs. A run never overlaps the previous one, and
+// each run receives the time the last successful run started so it can
+// process only what changed since then.
+const scheduleJob = ({ name, intervalMs, initialDelayMs = 5000, run }) => {
+  let running = false;
+
+  const execute = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    const startedAt = new Date();
+
+    try {
+      const state = await JobState.findOne({ name });
+      const result = await run({ lastSuccessAt: state ? state.lastSuccessAt : null, startedAt });
+
+      await JobState.updateOne({ name }, {
+        $set: {
+          lastRunAt: startedAt,
+          lastSuccessAt: startedAt,
+          lastDurationMs: Date.now() - startedAt.getTime(),
+          lastResult: result || null
+        },
+        $unset: { lastError: '' }
+      }, { upsert: true });
+
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      await JobState.updateOne({ name }, {
+        $set: {
+          lastRunAt: startedAt,
+          lastDurationMs: Date.now() - startedAt.getTime(),
+          lastError: error.message
+        }
+      }, { upsert: true }).catch(stateError => console.error(`Job ${name} state error:`, stateError));
+
+    } finally {
+      running = false;
+    }
+  };
+
+  timers.push(setTimeout(execute, initialDelayMs));
+  timers.push(setInterval(execute, intervalMs));
+};
+
+// Stop all scheduled jobs (used on shutdown)
+const stopJobs = () => {
+  timers.forEach(timer => clearTimeout(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  scheduleJob,
+  stopJobs
+};
@@ -0,0 +1,8 @@
+const { deliverDueWebhooks } = require('../services/webhookService');
+
+// Retry webhook deliveries whose backoff has elapsed
+module.exports = {
+  name: 'webhook-delivery',
+  intervalMs: (parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 15) * 1000,
+  run: () => deliverDueWebhooks()
+};
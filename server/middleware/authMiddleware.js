@@ -4,71 +4,74 @@ const User = require('../models/User');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-fallback-secret-key';
 
-// Authentication middleware that accepts both JWT and Firebase tokens
-const authMiddleware = async (req, res, next) => {
+// Stream tokens only open one store's event stream and expire quickly, as
+// they are passed in the URL (see streamAuthMiddleware)
+const STREAM_TOKEN_SCOPE = 'stream';
+const STREAM_TOKEN_TTL = '1m';
+
+// Resolve a JWT or Firebase token to { userId }. Throws an error with
+// status 401 (and details for development) when the token is not valid.
+const authenticateToken = async (token) => {
+  const unauthorized = (message, details) => Object.assign(new Error(message), { status: 401, details });
+
+  // Try to verify as JWT token first
+  let decoded;
   try {
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (jwtError) {
+    // If JWT verification fails, try Firebase token verification
+    let decodedFirebaseToken;
+    try {
+      decodedFirebaseToken = await verifyFirebaseToken(token);
+    } catch (firebaseError) {
+      // Both JWT and Firebase token verification failed
+      throw unauthorized('Invalid token. Authentication failed.', process.env.NODE_ENV === 'development' ? {
+        jwtError: jwtError.message,
+        firebaseError: firebaseError.message
+      } : undefined);
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    // Find user by Firebase UID
+    const user = await User.findOne({ 
+      firebaseUid: decodedFirebaseToken.uid,
+      authProvider: 'google'
+    });
 
-    // Try to verify as JWT token first
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      
-      // Check if user exists
-      const user = await User.findById(decoded.userId);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token. User not found.'
-        });
-      }
-
-      req.user = { userId: decoded.userId };
-      return next();
-
-    } catch (jwtError) {
-      // If JWT verification fails, try Firebase token verification
-      try {
-        const decodedFirebaseToken = await verifyFirebaseToken(token);
-        
-        // Find user by Firebase UID
-        const user = await User.findOne({ 
-          firebaseUid: decodedFirebaseToken.uid,
-          authProvider: 'google'
-        });
-
-        if (!user) {
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid Firebase token. User not found.'
-          });
-        }
-
-        req.user = { userId: user._id };
-        return next();
-
-      } catch (firebaseError) {
-        // Both JWT and Firebase token verification failed
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token. Authentication failed.',
-          details: process.env.NODE_ENV === 'development' ? {
-            jwtError: jwtError.message,
-            firebaseError: firebaseError.message
-          } : undefined
-        });
-      }
+    if (!user) {
+      throw unauthorized('Invalid Firebase token. User not found.');
     }
 
+    return { userId: user._id };
+  }
+
+  // Scoped tokens (such as stream tokens) are not accepted as logins
+  if (decoded.scope) {
+    throw unauthorized('Invalid token. Authentication failed.');
+  }
+
+  // Check if user exists
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    throw unauthorized('Invalid token. User not found.');
+  }
+
+  return { userId: decoded.userId };
+};
+
+// Authenticate a request with the given token, responding 401/500 on failure
+const authenticateRequest = async (token, req, res, next) => {
+  try {
+    req.user = await authenticateToken(token);
+    return next();
   } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+
     console.error('Auth middleware error:', error);
     return res.status(500).json({
       success: false,
@@ -77,45 +80,81 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-// Optional authentication middleware (doesn't fail if no token)
-const optionalAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      req.user = null;
-      return next();
-    }
+// Authentication middleware that accepts both JWT and Firebase tokens
+const authMiddleware = (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
 
-    const token = authHeader.substring(7);
+  return authenticateRequest(authHeader.substring(7), req, res, next); // Remove 'Bearer ' prefix
+};
 
-    // Try JWT first
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId);
-      req.user = user ? { userId: decoded.userId } : null;
-      return next();
-    } catch (jwtError) {
-      // Try Firebase token
-      try {
-        const decodedFirebaseToken = await verifyFirebaseToken(token);
-        const user = await User.findOne({ 
-          firebaseUid: decodedFirebaseToken.uid,
-          authProvider: 'google'
-        });
-        req.user = user ? { userId: user._id } : null;
-        return next();
-      } catch (firebaseError) {
-        req.user = null;
-        return next();
-      }
-    }
+// Issue a short-lived token that opens a store's event stream
+const issueStreamToken = (userId, storeId) => jwt.sign(
+  { userId, storeId, scope: STREAM_TOKEN_SCOPE },
+  JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_TTL }
+);
+
+// Authentication for EventSource streams, which cannot set headers: a
+// stream token may be passed as a ?token= query parameter instead. Regular
+// tokens are never taken from the URL, where they would end up in logs and
+// browser history. Sets req.user.streamStoreId to the store a stream token
+// is limited to.
+const streamAuthMiddleware = (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authenticateRequest(authHeader.substring(7), req, res, next);
+  }
+
+  if (!req.query.token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(req.query.token, JWT_SECRET);
   } catch (error) {
-    console.error('Optional auth middleware error:', error);
+    decoded = null;
+  }
+
+  if (!decoded || decoded.scope !== STREAM_TOKEN_SCOPE) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired stream token.'
+    });
+  }
+
+  req.user = { userId: decoded.userId, streamStoreId: decoded.storeId };
+  return next();
+};
+
+// Optional authentication middleware (doesn't fail if no token)
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
     req.user = null;
     return next();
   }
+
+  try {
+    req.user = await authenticateToken(authHeader.substring(7));
+  } catch (error) {
+    if (error.status !== 401) {
+      console.error('Optional auth middleware error:', error);
+    }
+    req.user = null;
+  }
+  return next();
 };
 
 // Admin middleware (requires user to be authenticated and admin)
@@ -147,7 +186,10 @@ const adminMiddleware = async (req, res, next) => {
 };
 
 module.exports = {
+  authenticateToken,
   authMiddleware,
+  issueStreamToken,
+  streamAuthMiddleware,
   optionalAuth,
   adminMiddleware
 };
\ No newline at end of file
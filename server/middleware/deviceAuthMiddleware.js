@@ -0,0 +1,85 @@
+const Device = require('../models/Device');
+const { authMiddleware } = require('./authMiddleware');
+
+// Read a device API key from the X-Device-Key header or "Authorization: Device <key>"
+const getDeviceKey = (req) => {
+  const headerKey = req.header('X-Device-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authHeader = req.header('Authorization');
+  if (authHeader && authHeader.startsWith('Device ')) {
+    return authHeader.substring(7).trim();
+  }
+
+  return null;
+};
+
+// Device authentication middleware, requiring the given scope on the key
+const deviceAuth = (scope) => async (req, res, next) => {
+  try {
+    const apiKey = getDeviceKey(req);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No device key provided.'
+      });
+    }
+
+    const device = await Device.findByApiKey(apiKey);
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked device key.'
+      });
+    }
+
+    if (!device.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device key does not allow this action'
+      });
+    }
+
+    // Record last-seen without blocking the request on failure
+    Device.updateOne(
+      { _id: device._id },
+      { lastSeenAt: new Date(), lastSeenIp: req.ip }
+    ).catch(error => console.error('Device last-seen update error:', error));
+
+    req.device = {
+      deviceId: device._id,
+      storeId: device.storeId,
+      owner: device.owner,
+      scopes: device.scopes
+    };
+    return next();
+
+  } catch (error) {
+    console.error('Device auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during device authentication'
+    });
+  }
+};
+
+// Accept either a device key with the given scope or a regular user token
+const userOrDeviceAuth = (scope) => {
+  const authenticateDevice = deviceAuth(scope);
+
+  return (req, res, next) => {
+    if (getDeviceKey(req)) {
+      return authenticateDevice(req, res, next);
+    }
+    return authMiddleware(req, res, next);
+  };
+};
+
+module.exports = {
+  deviceAuth,
+  userOrDeviceAuth
+};
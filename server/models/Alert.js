@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { alertEvents } = require('../services/alertEvents');
+
+const ALERT_TYPES = [
+  'staffing_increase',
+  'staffing_decrease',
+  'queue_overflow',
+  'till_maintenance',
+  'peak_hour_warning',
+  'low_efficiency',
+  'system_notification'
+];
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
 
 const AlertSchema = new mongoose.Schema({
   storeId: {
@@ -10,20 +23,12 @@ const AlertSchema = new mongoose.Schema({
   alertType: {
     type: String,
     required: true,
-    enum: [
-      'staffing_increase',
-      'staffing_decrease', 
-      'queue_overflow',
-      'till_maintenance',
-      'peak_hour_warning',
-      'low_efficiency',
-      'system_notification'
-    ]
+    enum: ALERT_TYPES
   },
   severity: {
     type: String,
     required: true,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: SEVERITIES,
     default: 'medium'
   },
   title: {
@@ -43,7 +48,10 @@ const AlertSchema = new mongoose.Schema({
     posRate: Number,
     staffCount: Number,
     threshold: Number,
-    tillNumber: Number
+    tillNumber: Number,
+    requiredTills: Number,
+    arrivalRate: Number,
+    serviceLevel: Number
   },
   recommendations: [{
     action: {
@@ -72,16 +80,87 @@ const AlertSchema = new mongoose.Schema({
   },
   acknowledgedAt: Date,
   resolvedAt: Date,
+  resolvedReason: {
+    type: String,
+    enum: ['manual', 'condition_cleared']
+  },
   autoGenerated: {
     type: Boolean,
     default: true
   },
+  // Alert rule that raised an auto-generated alert
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule'
+  },
+  // Store, type and till the alert is about. Only one active alert exists
+  // per key; repeat triggers update it instead of creating another.
+  dedupKey: String,
+  occurrenceCount: {
+    type: Number,
+    default: 1
+  },
+  firstSeenAt: Date,
+  lastSeenAt: Date,
+  // First reading that no longer triggered the alert; cleared again if
+  // the condition returns
+  conditionClearedAt: {
+    type: Date,
+    default: null
+  },
+  // Escalation of an unacknowledged alert (see services/escalationService)
+  escalation: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationPolicy'
+    },
+    // Number of policy steps applied so far
+    level: {
+      type: Number,
+      default: 0
+    },
+    // Severity the alert was escalated to; repeat triggers never lower it
+    severity: {
+      type: String,
+      enum: SEVERITIES
+    },
+    lastEscalatedAt: Date,
+    history: [{
+      _id: false,
+      level: Number,
+      escalatedAt: Date,
+      fromSeverity: String,
+      toSeverity: String,
+      notifiedUsers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }]
+    }]
+  },
   recurrence: {
     type: String,
     enum: ['once', 'daily', 'weekly', 'monthly'],
     default: 'once'
   },
   nextTriggerTime: Date,
+  // Recurring alerts (see services/recurrenceService). The alert created
+  // with a recurrence is its source; each time it re-fires a copy is
+  // created pointing back to it.
+  recurrenceStatus: {
+    type: String,
+    enum: ['active', 'paused', 'ended']
+  },
+  // Occurrences fall at this local time of day (and weekday or day of
+  // month) in the store's timezone
+  recurrenceAnchor: Date,
+  recurrenceEndsAt: Date,
+  lastRecurredAt: Date,
+  recurrenceSourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  // Slot an occurrence was created for
+  scheduledFor: Date,
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -96,109 +175,213 @@ AlertSchema.index({ storeId: 1, isActive: 1, createdAt: -1 });
 AlertSchema.index({ alertType: 1, severity: 1 });
 AlertSchema.index({ owner: 1, isActive: 1 });
 AlertSchema.index({ isAcknowledged: 1, isActive: 1 });
+AlertSchema.index(
+  { dedupKey: 1 },
+  { unique: true, partialFilterExpression: { isActive: true, dedupKey: { $exists: true } } }
+);
+AlertSchema.index({ dedupKey: 1, resolvedAt: -1 });
+AlertSchema.index({ isActive: 1, conditionClearedAt: 1 });
+AlertSchema.index({ isActive: 1, isAcknowledged: 1, storeId: 1 });
+AlertSchema.index({ recurrenceStatus: 1, nextTriggerTime: 1 });
+// One occurrence per slot, so a restart or a second server cannot fire a
+// recurrence twice
+AlertSchema.index(
+  { recurrenceSourceId: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { recurrenceSourceId: { $exists: true } } }
+);
 
-// Static method to create staffing alert
-AlertSchema.statics.createStaffingAlert = function(storeId, owner, data) {
-  const { queueLength, avgWaitTime, currentOccupancy } = data;
-  
-  let alertType, severity, title, message, recommendations;
-  
-  if (queueLength > 10 || avgWaitTime > 15) {
-    alertType = 'staffing_increase';
-    severity = queueLength > 15 ? 'high' : 'medium';
-    title = 'High Queue Alert';
-    message = `Queue length is ${queueLength} with average wait time of ${avgWaitTime} minutes. Consider increasing staff.`;
-    recommendations = [
-      {
-        action: 'Open additional till',
-        priority: 'high',
-        estimatedImpact: 'Reduce wait time by 30-40%',
-        timeframe: 'Immediate'
-      },
-      {
-        action: 'Call backup staff',
-        priority: 'medium',
-        estimatedImpact: 'Improve overall efficiency',
-        timeframe: '15-20 minutes'
-      }
-    ];
-  } else if (queueLength < 2 && avgWaitTime < 3) {
-    alertType = 'staffing_decrease';
-    severity = 'low';
-    title = 'Low Queue Alert';
-    message = `Queue is minimal with wait time of ${avgWaitTime} minutes. Consider optimizing staff allocation.`;
-    recommendations = [
-      {
-        action: 'Rotate staff for break',
-        priority: 'low',
-        estimatedImpact: 'Maintain efficiency while managing costs',
-        timeframe: 'Next 30 minutes'
-      }
-    ];
+AlertSchema.statics.ALERT_TYPES = ALERT_TYPES;
+AlertSchema.statics.SEVERITIES = SEVERITIES;
+
+// Static method to count a store's alerts by state and severity,
+// optionally only those created within [from, to). A list of store IDs
+// counts the alerts of all of them together.
+AlertSchema.statics.getStatsForStore = async function(storeId, { owner, from, to } = {}) {
+  const match = { storeId: Array.isArray(storeId) ? { $in: storeId } : storeId };
+
+  // Aggregation pipelines are not cast by mongoose
+  if (owner) {
+    match.owner = new mongoose.Types.ObjectId(String(owner));
   }
-  
-  if (alertType) {
-    return this.create({
-      storeId,
-      owner,
-      alertType,
-      severity,
-      title,
-      message,
-      triggerData: data,
-      recommendations
-    });
+  if (from || to) {
+    match.createdAt = {};
+    if (from) {
+      match.createdAt.$gte = from;
+    }
+    if (to) {
+      match.createdAt.$lt = to;
+    }
   }
-  
-  return null;
-};
 
-// Static method to create queue overflow alert
-AlertSchema.statics.createQueueAlert = function(storeId, owner, data) {
-  const { queueLength, tillNumber, avgWaitTime } = data;
-  
-  if (queueLength > 8) {
-    return this.create({
-      storeId,
-      owner,
-      alertType: 'queue_overflow',
-      severity: queueLength > 12 ? 'critical' : 'high',
-      title: `Till ${tillNumber} Queue Overflow`,
-      message: `Till ${tillNumber} has ${queueLength} customers with ${avgWaitTime} minutes wait time.`,
-      triggerData: data,
-      recommendations: [
-        {
-          action: `Direct customers to other tills`,
-          priority: 'high',
-          estimatedImpact: 'Distribute queue load',
-          timeframe: 'Immediate'
+  const stats = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        totalAlerts: { $sum: 1 },
+        activeAlerts: {
+          $sum: { $cond: ['$isActive', 1, 0] }
+        },
+        acknowledgedAlerts: {
+          $sum: { $cond: ['$isAcknowledged', 1, 0] }
+        },
+        criticalAlerts: {
+          $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] }
         },
-        {
-          action: 'Announce queue management',
-          priority: 'medium',
-          estimatedImpact: 'Improve customer experience',
-          timeframe: 'Immediate'
+        highAlerts: {
+          $sum: { $cond: [{ $eq: ['$severity', 'high'] }, 1, 0] }
+        },
+        mediumAlerts: {
+          $sum: { $cond: [{ $eq: ['$severity', 'medium'] }, 1, 0] }
+        },
+        lowAlerts: {
+          $sum: { $cond: [{ $eq: ['$severity', 'low'] }, 1, 0] }
         }
-      ]
+      }
+    }
+  ]);
+
+  return stats.length > 0 ? stats[0] : {
+    totalAlerts: 0,
+    activeAlerts: 0,
+    acknowledgedAlerts: 0,
+    criticalAlerts: 0,
+    highAlerts: 0,
+    mediumAlerts: 0,
+    lowAlerts: 0
+  };
+};
+
+// Static method to count the active alerts of each store by severity:
+// { [storeId]: { critical, high, medium, low, total } }
+AlertSchema.statics.getActiveCountsByStore = async function(storeIds) {
+  const groups = await this.aggregate([
+    { $match: { storeId: { $in: storeIds }, isActive: true } },
+    { $group: { _id: { storeId: '$storeId', severity: '$severity' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = {};
+  storeIds.forEach(storeId => {
+    counts[storeId] = { critical: 0, high: 0, medium: 0, low: 0, total: 0 };
+  });
+  groups.forEach(({ _id, count }) => {
+    counts[_id.storeId][_id.severity] = count;
+    counts[_id.storeId].total += count;
+  });
+
+  return counts;
+};
+
+// Static method to build the deduplication key for an alert
+AlertSchema.statics.dedupKeyFor = function(storeId, alertType, tillNumber) {
+  return [storeId, alertType, tillNumber !== undefined && tillNumber !== null ? `till-${tillNumber}` : 'store'].join(':');
+};
+
+// Static method to restore an escalated severity that a repeat trigger
+// lowered
+AlertSchema.statics.keepEscalatedSeverity = async function(alert) {
+  const escalated = alert.escalation && alert.escalation.severity;
+
+  if (escalated && SEVERITIES.indexOf(escalated) > SEVERITIES.indexOf(alert.severity)) {
+    alert.severity = escalated;
+    await this.updateOne({ _id: alert._id }, { $set: { severity: escalated } });
+  }
+
+  return alert;
+};
+
+// Static method to raise an auto-generated alert with deduplication.
+// A trigger matching an active alert updates it in place; one arriving
+// within cooldownMinutes of an equivalent alert being resolved is dropped.
+// Returns { alert, status } with status 'created', 'updated' or 'suppressed'.
+AlertSchema.statics.raise = async function(fields, { now = new Date(), cooldownMinutes = 0 } = {}) {
+  const dedupKey = this.dedupKeyFor(fields.storeId, fields.alertType, fields.triggerData && fields.triggerData.tillNumber);
+
+  const recordOccurrence = () => this.findOneAndUpdate(
+    { dedupKey, isActive: true },
+    {
+      $set: {
+        severity: fields.severity,
+        title: fields.title,
+        message: fields.message,
+        triggerData: fields.triggerData,
+        recommendations: fields.recommendations,
+        ruleId: fields.ruleId,
+        lastSeenAt: now,
+        conditionClearedAt: null
+      },
+      $inc: { occurrenceCount: 1 }
+    },
+    { new: true }
+  );
+
+  const existing = await recordOccurrence();
+  if (existing) {
+    return { alert: await this.keepEscalatedSeverity(existing), status: 'updated' };
+  }
+
+  if (cooldownMinutes > 0) {
+    const recentlyResolved = await this.exists({
+      dedupKey,
+      isActive: false,
+      resolvedAt: { $gt: new Date(now.getTime() - cooldownMinutes * 60 * 1000) }
+    });
+    if (recentlyResolved) {
+      return { alert: null, status: 'suppressed' };
+    }
+  }
+
+  try {
+    const alert = await this.create({
+      ...fields,
+      dedupKey,
+      occurrenceCount: 1,
+      firstSeenAt: now,
+      lastSeenAt: now
     });
+    return { alert, status: 'created' };
+  } catch (error) {
+    // A concurrent trigger created the active alert first
+    if (error.code === 11000) {
+      const alert = await recordOccurrence();
+      if (alert) {
+        return { alert: await this.keepEscalatedSeverity(alert), status: 'updated' };
+      }
+    }
+    throw error;
   }
-  
-  return null;
 };
 
+// Announce newly created alerts, however they were created
+AlertSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+AlertSchema.post('save', function(alert) {
+  if (alert.$locals.wasNew) {
+    alertEvents.emit('created', alert);
+  }
+});
+
 // Instance method to acknowledge alert
-AlertSchema.methods.acknowledge = function(userId) {
+AlertSchema.methods.acknowledge = async function(userId) {
   this.isAcknowledged = true;
   this.acknowledgedBy = userId;
   this.acknowledgedAt = new Date();
-  return this.save();
+  await this.save();
+  alertEvents.emit('acknowledged', this);
+  return this;
 };
 
 // Instance method to resolve alert
-AlertSchema.methods.resolve = function() {
+AlertSchema.methods.resolve = async function(reason = 'manual') {
   this.isActive = false;
   this.resolvedAt = new Date();
-  return this.save();
+  this.resolvedReason = reason;
+  await this.save();
+  alertEvents.emit('resolved', this);
+  return this;
 };
 
 module.exports = mongoose.model('Alert', AlertSchema);
\ No newline at end of file
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Alert = require('./Alert');
+
+// Metrics a rule condition can test. Store metrics describe the whole
+// store at the time of a reading; till metrics are evaluated for each till
+// in the reading, so a rule using one raises an alert per matching till.
+// Metrics with source 'demand' or 'staffing' need the recent readings
+// window and are only computed when an enabled rule uses them.
+const METRICS = {
+  occupancy: { label: 'Current occupancy', unit: 'people', scope: 'store', source: 'reading' },
+  occupancyPercent: { label: 'Occupancy as a percentage of capacity', unit: '%', scope: 'store', source: 'reading' },
+  totalQueue: { label: 'Customers queuing across all tills', unit: 'people', scope: 'store', source: 'reading' },
+  avgWaitTime: { label: 'Average wait time', unit: 'minutes', scope: 'store', source: 'reading' },
+  posRate: { label: 'POS transactions per minute', unit: 'per minute', scope: 'store', source: 'reading' },
+  entryRate: { label: 'Entries per minute over the staffing window', unit: 'per minute', scope: 'store', source: 'demand' },
+  activeTills: { label: 'Active tills', unit: 'tills', scope: 'store', source: 'reading' },
+  arrivalRate: { label: 'Customers arriving at the tills per minute', unit: 'per minute', scope: 'store', source: 'staffing' },
+  requiredTills: { label: 'Tills needed to meet the service level', unit: 'tills', scope: 'store', source: 'staffing' },
+  tillShortfall: { label: 'Additional tills needed', unit: 'tills', scope: 'store', source: 'staffing' },
+  tillSurplus: { label: 'Open tills beyond those needed', unit: 'tills', scope: 'store', source: 'staffing' },
+  serviceLevel: { label: 'Customers served within the target wait', unit: '%', scope: 'store', source: 'staffing' },
+  tillQueue: { label: 'Queue length at a till', unit: 'people', scope: 'till', source: 'reading' },
+  tillWaitTime: { label: 'Wait time at a till', unit: 'minutes', scope: 'till', source: 'reading' },
+  tillServiceTime: { label: 'Average service time at a till', unit: 'minutes', scope: 'till', source: 'reading' }
+};
+
+const OPERATORS = {
+  gt: (actual, value) => actual > value,
+  gte: (actual, value) => actual >= value,
+  lt: (actual, value) => actual < value,
+  lte: (actual, value) => actual <= value,
+  eq: (actual, value) => actual === value,
+  neq: (actual, value) => actual !== value
+};
+
+const ConditionSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    required: true,
+    enum: Object.keys(METRICS)
+  },
+  operator: {
+    type: String,
+    required: true,
+    enum: Object.keys(OPERATORS)
+  },
+  value: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const AlertRuleSchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'Store'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Whether every condition must hold, or any one of them
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [ConditionSchema],
+    validate: {
+      validator: conditions => conditions.length > 0,
+      message: 'A rule needs at least one condition'
+    }
+  },
+  // Skip the rule outside the store's operating hours
+  onlyWhenOpen: {
+    type: Boolean,
+    default: true
+  },
+  alertType: {
+    type: String,
+    required: true,
+    enum: Alert.ALERT_TYPES
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: Alert.SEVERITIES,
+    default: 'medium'
+  },
+  // Templates may reference any metric or store setting as {{name}},
+  // e.g. "Till {{tillNumber}} has {{tillQueue}} customers waiting"
+  titleTemplate: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  messageTemplate: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  recommendations: [{
+    _id: false,
+    action: {
+      type: String,
+      required: true
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    },
+    estimatedImpact: String,
+    timeframe: String
+  }],
+  // Created from the built-in defaults rather than by the owner
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  lastTriggeredAt: Date,
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+AlertRuleSchema.index({ storeId: 1, isEnabled: 1 });
+AlertRuleSchema.index({ owner: 1, storeId: 1 });
+
+AlertRuleSchema.statics.METRICS = METRICS;
+AlertRuleSchema.statics.OPERATORS = Object.keys(OPERATORS);
+
+// Instance method to check whether the rule is evaluated per till
+AlertRuleSchema.methods.isPerTill = function() {
+  return this.conditions.some(condition => METRICS[condition.metric].scope === 'till');
+};
+
+// Instance method to check the rule's conditions against metric values.
+// A condition on a metric that could not be computed never holds.
+AlertRuleSchema.methods.matches = function(metrics) {
+  const results = this.conditions.map(({ metric, operator, value }) => {
+    const actual = metrics[metric];
+    return typeof actual === 'number' && !isNaN(actual) && OPERATORS[operator](actual, value);
+  });
+
+  return this.match === 'any'
+    ? results.some(Boolean)
+    : results.every(Boolean);
+};
+
+module.exports = mongoose.model('AlertRule', AlertRuleSchema);
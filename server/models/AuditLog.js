@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'organization.created',
+  'organization.updated',
+  'store.added',
+  'invitation.created',
+  'invitation.resent',
+  'invitation.revoked',
+  'invitation.accepted',
+  'membership.role_changed',
+  'membership.stores_changed',
+  'membership.removed'
+];
+
+// Append-only record of access changes in an organization
+const AuditLogSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // User who made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the change applied to, e.g. { type: 'membership', id, label }
+  target: {
+    type: {
+      type: String,
+      enum: ['organization', 'store', 'invitation', 'membership']
+    },
+    id: String,
+    label: String
+  },
+  // Action-specific details such as { from, to } for a role change
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+AuditLogSchema.index({ organization: 1, createdAt: -1 });
+
+// Static method to record an entry
+AuditLogSchema.statics.record = function(organization, actor, action, target, details) {
+  return this.create({ organization, actor, action, target, details });
+};
+
+AuditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Prefix that identifies device API keys (e.g. cmd_1a2b3c4d5e6f_<secret>)
+const KEY_PREFIX = 'cmd';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const DeviceSchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'Store'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  deviceType: {
+    type: String,
+    enum: ['door_counter', 'pos', 'queue_sensor', 'other'],
+    default: 'door_counter'
+  },
+  // Public identifier embedded in the key, used to look the device up
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the full API key; the key itself is only shown once
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Devices can only ever ingest data for their own store
+  scopes: {
+    type: [{
+      type: String,
+      enum: ['footfall:ingest']
+    }],
+    default: ['footfall:ingest']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: Date,
+  keyRotatedAt: Date,
+  lastSeenAt: Date,
+  lastSeenIp: String,
+  // Retried readings that were already stored
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: Date,
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+DeviceSchema.index({ storeId: 1, owner: 1 });
+DeviceSchema.index({ owner: 1, isActive: 1 });
+
+// Generate a new API key and store its hash; returns the plaintext key
+DeviceSchema.methods.issueKey = function() {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const apiKey = `${KEY_PREFIX}_${keyId}_${secret}`;
+
+  if (!this.isNew) {
+    this.keyRotatedAt = new Date();
+  }
+  this.keyId = keyId;
+  this.keyHash = hashSecret(apiKey);
+
+  return apiKey;
+};
+
+// Revoke the device so its key stops working
+DeviceSchema.methods.revoke = function() {
+  this.isActive = false;
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static method to find the active device for a plaintext API key
+DeviceSchema.statics.findByApiKey = async function(apiKey) {
+  if (typeof apiKey !== 'string') {
+    return null;
+  }
+
+  const [prefix, keyId] = apiKey.split('_');
+  if (prefix !== KEY_PREFIX || !keyId) {
+    return null;
+  }
+
+  const device = await this.findOne({ keyId, isActive: true }).select('+keyHash');
+  if (!device) {
+    return null;
+  }
+
+  const expected = Buffer.from(device.keyHash, 'hex');
+  const actual = Buffer.from(hashSecret(apiKey), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return device;
+};
+
+// Remove key material from JSON output
+DeviceSchema.methods.toJSON = function() {
+  const deviceObject = this.toObject();
+  delete deviceObject.keyHash;
+  return deviceObject;
+};
+
+module.exports = mongoose.model('Device', DeviceSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Alert = require('./Alert');
+
+const EscalationStepSchema = new mongoose.Schema({
+  // Minutes after the alert was raised, if still unacknowledged
+  afterMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Severity to raise the alert to; never lowers it
+  severity: {
+    type: String,
+    enum: Alert.SEVERITIES
+  },
+  // Users pulled in at this step
+  notifyUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
+
+const EscalationPolicySchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'Store'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Alert types the policy covers (empty covers every type)
+  alertTypes: [{
+    type: String,
+    enum: Alert.ALERT_TYPES
+  }],
+  // Least severe alert the policy covers
+  minSeverity: {
+    type: String,
+    enum: Alert.SEVERITIES,
+    default: 'low'
+  },
+  steps: {
+    type: [EscalationStepSchema],
+    validate: [
+      {
+        validator: steps => steps.length > 0,
+        message: 'A policy needs at least one step'
+      },
+      {
+        validator: steps => steps.every((step, index) => index === 0 || step.afterMinutes > steps[index - 1].afterMinutes),
+        message: 'Step times must increase'
+      },
+      {
+        validator: steps => steps.every(step => step.severity || step.notifyUsers.length > 0),
+        message: 'Each step must raise the severity or notify someone'
+      }
+    ]
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+EscalationPolicySchema.index({ storeId: 1, isEnabled: 1 });
+EscalationPolicySchema.index({ owner: 1, storeId: 1 });
+
+// Instance method to check whether the policy covers an alert
+EscalationPolicySchema.methods.covers = function(alert) {
+  const rank = severity => Alert.SEVERITIES.indexOf(severity);
+
+  return this.isEnabled &&
+    (this.alertTypes.length === 0 || this.alertTypes.includes(alert.alertType)) &&
+    rank(alert.severity) >= rank(this.minSeverity);
+};
+
+module.exports = mongoose.model('EscalationPolicy', EscalationPolicySchema);
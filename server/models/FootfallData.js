@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const {
+  transactionAccumulators,
+  ESTIMATE_FIELDS,
+  transactionsExpression,
+  salesMetricsExpression
+} = require('../utils/transactions');
 
 const FootfallDataSchema = new mongoose.Schema({
   storeId: {
@@ -12,6 +18,12 @@ const FootfallDataSchema = new mongoose.Schema({
     required: true,
     default: Date.now
   },
+  // Client-supplied reading ID (or Idempotency-Key) so retries are not stored twice
+  clientReadingId: {
+    type: String,
+    trim: true,
+    maxlength: 128
+  },
   entryCount: {
     type: Number,
     required: true,
@@ -37,6 +49,16 @@ const FootfallDataSchema = new mongoose.Schema({
     default: 0,
     // Transactions per minute
   },
+  // Transactions completed since the previous reading and their total
+  // value, when the POS reports them (see utils/transactions)
+  transactionCount: {
+    type: Number,
+    min: 0
+  },
+  salesValue: {
+    type: Number,
+    min: 0
+  },
   queueData: {
     totalQueue: {
       type: Number,
@@ -82,12 +104,47 @@ const FootfallDataSchema = new mongoose.Schema({
     enum: ['realtime', 'hourly', 'daily'],
     default: 'realtime'
   },
+  // Summary statistics, only set on hourly/daily rollup documents.
+  // On rollups entryCount/exitCount are totals, currentOccupancy is the
+  // closing occupancy and posRate/queueData hold bucket averages.
+  rollup: {
+    bucketEnd: Date,
+    dataPoints: Number,
+    avgOccupancy: Number,
+    maxOccupancy: Number,
+    avgPosRate: Number,
+    avgQueueLength: Number,
+    maxQueueLength: Number,
+    avgWaitTime: Number,
+    // Reported plus estimated transactions, and the sales value of the
+    // transactions that reported one
+    transactions: Number,
+    salesValue: Number,
+    salesTransactions: Number,
+    tills: [{
+      _id: false,
+      tillNumber: Number,
+      avgQueueLength: Number,
+      maxQueueLength: Number,
+      avgServiceTime: Number,
+      samples: Number,
+      activeSamples: Number
+    }],
+    // Set once retention removed the data this rollup summarises. Sealed
+    // rollups are final: rebuilds and pruning leave them as they are.
+    sealed: Boolean
+  },
   // Additional metadata
   weather: {
     condition: String,
     temperature: Number
   },
   specialEvents: [String],
+  // Set on readings created by a CSV import, so the import can be undone
+  importJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob'
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -102,15 +159,28 @@ FootfallDataSchema.index({ storeId: 1, timestamp: -1 });
 FootfallDataSchema.index({ storeId: 1, dataType: 1, timestamp: -1 });
 FootfallDataSchema.index({ timestamp: -1 });
 FootfallDataSchema.index({ owner: 1, timestamp: -1 });
+FootfallDataSchema.index({ dataType: 1, updatedAt: 1 });
+FootfallDataSchema.index({ importJobId: 1 }, { sparse: true });
+FootfallDataSchema.index(
+  { storeId: 1, clientReadingId: 1 },
+  { unique: true, partialFilterExpression: { clientReadingId: { $type: 'string' } } }
+);
 
 // Pre-save middleware to calculate current occupancy
 FootfallDataSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    // Calculate running occupancy based on entries and exits
+  // Only realtime readings form the running occupancy chain
+  if (this.isNew && this.dataType === 'realtime') {
+    // Calculate running occupancy based on entries and exits. The chain
+    // runs in (timestamp, _id) order, so a reading with the same timestamp
+    // as an earlier one follows it.
     const latestData = await this.constructor.findOne({
       storeId: this.storeId,
-      timestamp: { $lt: this.timestamp }
-    }).sort({ timestamp: -1 });
+      dataType: 'realtime',
+      $or: [
+        { timestamp: { $lt: this.timestamp } },
+        { timestamp: this.timestamp, _id: { $lt: this._id } }
+      ]
+    }).sort({ timestamp: -1, _id: -1 });
 
     if (latestData) {
       this.currentOccupancy = Math.max(0, 
@@ -123,12 +193,85 @@ FootfallDataSchema.pre('save', async function(next) {
   next();
 });
 
+// Static method to check whether realtime readings come after a reading in
+// the occupancy chain's (timestamp, _id) order
+FootfallDataSchema.statics.hasReadingsAfter = async function(storeId, timestamp, id) {
+  const later = await this.exists({
+    storeId,
+    dataType: 'realtime',
+    $or: [
+      { timestamp: { $gt: timestamp } },
+      { timestamp, _id: { $gt: id } }
+    ]
+  });
+  return Boolean(later);
+};
+
+// Static method to rebuild the running occupancy chain for a store.
+// Seeds from the last reading before startDate and walks every realtime
+// reading from startDate (up to endDate, if given) in timestamp order.
+FootfallDataSchema.statics.recomputeOccupancy = async function(storeId, startDate, endDate) {
+  const BULK_SIZE = 500;
+
+  const seed = await this.findOne({
+    storeId,
+    dataType: 'realtime',
+    timestamp: { $lt: startDate }
+  }).sort({ timestamp: -1, _id: -1 });
+
+  const timestampRange = { $gte: startDate };
+  if (endDate) {
+    timestampRange.$lte = endDate;
+  }
+
+  const cursor = this.find({
+    storeId,
+    dataType: 'realtime',
+    timestamp: timestampRange
+  })
+    .sort({ timestamp: 1, _id: 1 })
+    .select('entryCount exitCount currentOccupancy')
+    .cursor();
+
+  let occupancy = seed ? seed.currentOccupancy : 0;
+  let processed = 0;
+  let updated = 0;
+  let operations = [];
+
+  for (let reading = await cursor.next(); reading != null; reading = await cursor.next()) {
+    occupancy = Math.max(0, occupancy + reading.entryCount - reading.exitCount);
+    processed++;
+
+    if (reading.currentOccupancy !== occupancy) {
+      operations.push({
+        updateOne: {
+          filter: { _id: reading._id },
+          update: { $set: { currentOccupancy: occupancy } }
+        }
+      });
+    }
+
+    if (operations.length >= BULK_SIZE) {
+      await this.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+    updated += operations.length;
+  }
+
+  return { processed, updated, finalOccupancy: occupancy };
+};
+
 // Static method to get latest data for a store
 FootfallDataSchema.statics.getLatestForStore = function(storeId) {
   return this.findOne({ 
     storeId, 
     dataType: 'realtime' 
-  }).sort({ timestamp: -1 });
+  }).sort({ timestamp: -1, _id: -1 });
 };
 
 // Static method to get window stats (last N minutes/hours)
@@ -152,9 +295,48 @@ FootfallDataSchema.statics.getWindowStats = function(storeId, windowMinutes = 60
         avgOccupancy: { $avg: '$currentOccupancy' },
         maxOccupancy: { $max: '$currentOccupancy' },
         dataPoints: { $sum: 1 },
-        latestOccupancy: { $last: '$currentOccupancy' }
+        latestOccupancy: { $last: '$currentOccupancy' },
+        ...transactionAccumulators
       }
-    }
+    },
+    { $addFields: { transactions: transactionsExpression(windowMinutes) } },
+    { $addFields: salesMetricsExpression },
+    { $unset: ESTIMATE_FIELDS }
+  ]);
+};
+
+// Static method to get window statistics for several stores, one entry
+// per store with _id set to its storeId
+FootfallDataSchema.statics.getWindowStatsByStore = function(storeIds, windowMinutes = 60) {
+  const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  return this.aggregate([
+    {
+      $match: {
+        storeId: { $in: storeIds },
+        timestamp: { $gte: windowStart },
+        dataType: 'realtime'
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: '$storeId',
+        totalEntries: { $sum: '$entryCount' },
+        totalExits: { $sum: '$exitCount' },
+        avgPosRate: { $avg: '$posRate' },
+        avgOccupancy: { $avg: '$currentOccupancy' },
+        maxOccupancy: { $max: '$currentOccupancy' },
+        avgQueueLength: { $avg: '$queueData.totalQueue' },
+        dataPoints: { $sum: 1 },
+        latestOccupancy: { $last: '$currentOccupancy' },
+        latestQueueLength: { $last: '$queueData.totalQueue' },
+        ...transactionAccumulators
+      }
+    },
+    { $addFields: { transactions: transactionsExpression(windowMinutes) } },
+    { $addFields: salesMetricsExpression },
+    { $unset: ESTIMATE_FIELDS }
   ]);
 };
 
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Imported readings can be undone for this many days after the import
+// completes; retention leaves them alone until then
+const UNDO_WINDOW_DAYS = 7;
+
+// Most row errors kept on a job (the count is always exact)
+const MAX_STORED_ROW_ERRORS = 500;
+
+const ImportJobSchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'Store'
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    default: 'import.csv'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed', 'undoing', 'undone'],
+    default: 'processing'
+  },
+  columnMapping: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  validRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  // Percentage of valid rows written so far
+  progress: {
+    type: Number,
+    default: 0
+  },
+  importedCount: {
+    type: Number,
+    default: 0
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    messages: [String]
+  }],
+  dateRange: {
+    start: Date,
+    end: Date
+  },
+  startedAt: Date,
+  completedAt: Date,
+  undoableUntil: Date,
+  undoneAt: Date,
+  // When the readings of a failed import were removed automatically
+  rolledBackAt: Date,
+  error: String,
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ImportJobSchema.index({ storeId: 1, createdAt: -1 });
+ImportJobSchema.index({ owner: 1, createdAt: -1 });
+
+ImportJobSchema.statics.UNDO_WINDOW_DAYS = UNDO_WINDOW_DAYS;
+ImportJobSchema.statics.MAX_STORED_ROW_ERRORS = MAX_STORED_ROW_ERRORS;
+
+// Instance method to check whether the import can still be undone.
+// Failed imports that could not be rolled back can be undone at any time.
+ImportJobSchema.methods.canUndo = function(now = new Date()) {
+  if (this.status === 'failed') {
+    return !this.rolledBackAt;
+  }
+  return this.status === 'completed' && (!this.undoableUntil || this.undoableUntil > now);
+};
+
+module.exports = mongoose.model('ImportJob', ImportJobSchema);
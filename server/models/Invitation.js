@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Membership = require('./Membership');
+
+// How long an invitation link stays valid
+const INVITATION_TTL_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// An emailed invitation to join an organization with a role
+const InvitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: Membership.ROLES,
+    required: true
+  },
+  storeIds: [{
+    type: String,
+    trim: true
+  }],
+  // SHA-256 of the token in the invitation link; the token itself is only
+  // sent by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+InvitationSchema.index({ organization: 1, status: 1 });
+InvitationSchema.index({ organization: 1, email: 1 });
+
+// Instance method to check whether the invitation can still be accepted
+InvitationSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt > now;
+};
+
+// Generate a new token and (re)start the expiry; returns the plaintext token
+InvitationSchema.methods.issueToken = function(now = new Date()) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Static method to find an invitation by the plaintext token in its link
+InvitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(String(token)) });
+};
+
+// Remove key material from JSON output
+InvitationSchema.methods.toJSON = function() {
+  const invitationObject = this.toObject();
+  delete invitationObject.tokenHash;
+  return invitationObject;
+};
+
+InvitationSchema.statics.INVITATION_TTL_DAYS = INVITATION_TTL_DAYS;
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
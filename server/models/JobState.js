@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Persistent bookkeeping for background jobs, so they can pick up where
+// they left off after a server restart
+const JobStateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  lastRunAt: Date,
+  lastSuccessAt: Date,
+  lastDurationMs: Number,
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobState', JobStateSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Roles from most to least privileged
+const ROLES = ['org_admin', 'regional_manager', 'store_manager', 'staff', 'read_only'];
+
+// A user's role in an organization and the stores it applies to
+const MembershipSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  // Stores the member is assigned to; org admins reach every store of the
+  // organization regardless
+  storeIds: [{
+    type: String,
+    trim: true
+  }],
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+MembershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+MembershipSchema.index({ user: 1 });
+
+// Instance method to check whether the membership covers a store
+MembershipSchema.methods.coversStore = function(storeId) {
+  return this.role === 'org_admin' || this.storeIds.includes(storeId);
+};
+
+MembershipSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Membership', MembershipSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Alert = require('./Alert');
+
+// A user's email notification settings for one store
+const NotificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  storeId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'Store'
+  },
+  // Email for each new alert matching the filters
+  alertEmails: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    severities: {
+      type: [{
+        type: String,
+        enum: Alert.SEVERITIES
+      }],
+      default: ['critical']
+    },
+    // Empty matches every alert type
+    alertTypes: [{
+      type: String,
+      enum: Alert.ALERT_TYPES
+    }]
+  },
+  // Summary of the previous day, sent once a day
+  digest: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Local hour (store timezone) from which the digest is sent
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8
+    },
+    // Local date (YYYY-MM-DD) of the last day summarised
+    lastSentFor: String
+  },
+  // Secret in unsubscribe links; works without signing in
+  unsubscribeToken: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+NotificationPreferenceSchema.index({ user: 1, storeId: 1 }, { unique: true });
+NotificationPreferenceSchema.index({ storeId: 1 });
+
+// Instance method to check whether an alert should be emailed
+NotificationPreferenceSchema.methods.wantsAlert = function(alert) {
+  const { enabled, severities, alertTypes } = this.alertEmails;
+
+  return enabled &&
+    severities.includes(alert.severity) &&
+    (alertTypes.length === 0 || alertTypes.includes(alert.alertType));
+};
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
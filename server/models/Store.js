@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone, getZonedParts } = require('../utils/timezone');
+
+// Operating hours are local wall-clock times, e.g. "09:00" or "21:30"
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
 
 const StoreSchema = new mongoose.Schema({
   storeId: {
@@ -28,6 +32,16 @@ const StoreSchema = new mongoose.Schema({
       required: true,
       min: 1
     },
+    // IANA timezone name; day boundaries, hourly grouping and operating
+    // hours are all evaluated in this zone
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: props => `${props.value} is not a valid IANA timezone`
+      }
+    },
     operatingHours: {
       open: String,
       close: String
@@ -39,12 +53,106 @@ const StoreSchema = new mongoose.Schema({
     entryPoints: [{
       name: String,
       location: String
-    }]
+    }],
+    // Queue service level the staffing calculator aims for: at least
+    // targetPercent of customers wait no longer than targetWaitMinutes
+    serviceLevel: {
+      targetWaitMinutes: {
+        type: Number,
+        min: 0.5,
+        default: 5
+      },
+      targetPercent: {
+        type: Number,
+        min: 1,
+        max: 99.9,
+        default: 80
+      },
+      // Share of entering customers who check out
+      checkoutRatio: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.6
+      },
+      // Service time assumed when tills do not report one
+      defaultServiceTimeMinutes: {
+        type: Number,
+        min: 0.1,
+        default: 2
+      }
+    },
+    // Alert deduplication settings (see services/alertService)
+    alerting: {
+      // Minutes after an alert is resolved during which the same alert is
+      // not raised again
+      cooldownMinutes: {
+        type: Number,
+        min: 0,
+        default: 15
+      },
+      // Minutes an alert's condition must stay clear before it resolves
+      // itself
+      autoResolveMinutes: {
+        type: Number,
+        min: 1,
+        default: 10
+      }
+    },
+    // How long footfall data is kept, in days (null keeps it forever, and
+    // nothing is deleted until a policy is set). Raw readings are only
+    // removed once their hourly rollups exist, and hourly rollups only once
+    // their daily rollups exist.
+    retention: {
+      realtimeDays: {
+        type: Number,
+        min: 1,
+        default: null
+      },
+      hourlyDays: {
+        type: Number,
+        min: 1,
+        default: null
+      },
+      dailyDays: {
+        type: Number,
+        min: 1,
+        default: null
+      },
+      // When the policy was last saved. Stores without it (including those
+      // created when 30 and 365 days were the defaults) keep everything.
+      configuredAt: {
+        type: Date,
+        default: null
+      }
+    }
+  },
+  // Counters for spotting misbehaving ingestion clients
+  ingestionStats: {
+    duplicateCount: {
+      type: Number,
+      default: 0
+    },
+    lastDuplicateAt: Date
+  },
+  // When the default alert rules were created (see services/alertRuleService)
+  alertRulesSeededAt: {
+    type: Date,
+    default: null
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Organization whose members share the store. Stores without one are
+  // only accessible to their owner.
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // User who created the store; data ingested into it is recorded under
+  // this owner. Once the store joins an organization this grants no access:
+  // the owner then needs a membership like everyone else.
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -57,5 +165,39 @@ const StoreSchema = new mongoose.Schema({
 // Index for better query performance
 StoreSchema.index({ storeId: 1, owner: 1 });
 StoreSchema.index({ isActive: 1 });
+StoreSchema.index({ organization: 1, isActive: 1 });
+
+StoreSchema.statics.TIME_OF_DAY = TIME_OF_DAY;
+
+// Instance method to get the store's timezone
+StoreSchema.methods.getTimeZone = function() {
+  return (this.configuration && this.configuration.timezone) || 'UTC';
+};
+
+// Instance method to check whether the store is open at a given instant.
+// Stores without (valid) operating hours are treated as always open;
+// hours that close before they open run past midnight.
+StoreSchema.methods.isOpenAt = function(date = new Date()) {
+  const hours = this.configuration && this.configuration.operatingHours;
+  const open = hours && TIME_OF_DAY.exec(hours.open || '');
+  const close = hours && TIME_OF_DAY.exec(hours.close || '');
+
+  if (!open || !close) {
+    return true;
+  }
+
+  const { hour, minute } = getZonedParts(date, this.getTimeZone());
+  const now = hour * 60 + minute;
+  const opensAt = parseInt(open[1]) * 60 + parseInt(open[2]);
+  const closesAt = parseInt(close[1]) * 60 + parseInt(close[2]);
+
+  if (opensAt === closesAt) {
+    return true;
+  }
+
+  return opensAt < closesAt
+    ? now >= opensAt && now < closesAt
+    : now >= opensAt || now < closesAt;
+};
 
 module.exports = mongoose.model('Store', StoreSchema);
\ No newline at end of file
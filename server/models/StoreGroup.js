@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// region: geographic area, format: store format (e.g. express, flagship),
+// tag: any other grouping
+const GROUP_TYPES = ['region', 'format', 'tag'];
+
+// A named set of stores reported on together. Groups in an organization
+// are shared with its members; groups without one are personal.
+const StoreGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: GROUP_TYPES,
+    default: 'tag'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  storeIds: [{
+    type: String,
+    trim: true
+  }],
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+StoreGroupSchema.index({ organization: 1, type: 1 });
+StoreGroupSchema.index({ owner: 1, organization: 1 });
+
+StoreGroupSchema.statics.GROUP_TYPES = GROUP_TYPES;
+
+module.exports = mongoose.model('StoreGroup', StoreGroupSchema);
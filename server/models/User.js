@@ -41,6 +41,11 @@ const userSchema = new mongoose.Schema({
   profilePicture: {
     type: String,
     default: ''
+  },
+  // Grants access to admin-only maintenance endpoints
+  isAdmin: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
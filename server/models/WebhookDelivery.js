@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Deliveries are kept for this long as the delivery log
+const LOG_RETENTION_DAYS = 30;
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  storeId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  // Exact JSON body sent (and signed) on every attempt
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due; also pushed forward while an attempt is
+  // in flight so no other worker picks the delivery up
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  completedAt: Date,
+  responseStatus: Number,
+  // No longer recorded; hidden until deliveries that still have one expire
+  responseBody: {
+    type: String,
+    select: false
+  },
+  error: String,
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }],
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
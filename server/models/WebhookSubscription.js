@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Alert = require('./Alert');
+
+const WEBHOOK_EVENTS = [
+  'alert.created',
+  'alert.acknowledged',
+  'alert.resolved',
+  'alert.escalated'
+];
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  storeId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'Store'
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2048
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Shared secret the payload signature is computed with. Unlike device
+  // keys it has to be kept in plaintext to sign with; it is only returned
+  // when the subscription is created or the secret rotated.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    default: ['alert.created', 'alert.acknowledged', 'alert.resolved']
+  },
+  // Filters (empty matches everything)
+  alertTypes: [{
+    type: String,
+    enum: Alert.ALERT_TYPES
+  }],
+  severities: [{
+    type: String,
+    enum: Alert.SEVERITIES
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  // Deliveries that failed in a row; reset by any success
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+WebhookSubscriptionSchema.index({ storeId: 1, isActive: 1 });
+WebhookSubscriptionSchema.index({ owner: 1, storeId: 1 });
+
+WebhookSubscriptionSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+// Instance method to generate a new signing secret; returns the secret
+WebhookSubscriptionSchema.methods.issueSecret = function() {
+  this.secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  return this.secret;
+};
+
+// Instance method to check whether an alert event should be sent
+WebhookSubscriptionSchema.methods.wants = function(event, alert) {
+  return this.isActive &&
+    this.events.includes(event) &&
+    (this.alertTypes.length === 0 || this.alertTypes.includes(alert.alertType)) &&
+    (this.severities.length === 0 || this.severities.includes(alert.severity));
+};
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
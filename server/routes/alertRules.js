@@ -0,0 +1,368 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const { getStoreRules, testRule } = require('../services/alertRuleService');
+const { findAccessibleStore } = require('../services/accessControl');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Fields that may be set on a rule
+const RULE_FIELDS = [
+  'name',
+  'description',
+  'isEnabled',
+  'match',
+  'conditions',
+  'onlyWhenOpen',
+  'alertType',
+  'severity',
+  'titleTemplate',
+  'messageTemplate',
+  'recommendations'
+];
+
+const pickRuleFields = (source) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  });
+  return fields;
+};
+
+// Validators shared by create and update; required fields are only
+// enforced on create
+const ruleValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('description').optional().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+    body('isEnabled').optional().isBoolean().withMessage('isEnabled must be boolean'),
+    body('match').optional().isIn(['all', 'any']).withMessage('Match must be all or any'),
+    field('conditions').isArray({ min: 1, max: 10 }).withMessage('Conditions must be an array of 1-10 conditions'),
+    body('conditions.*.metric').isIn(Object.keys(AlertRule.METRICS)).withMessage('Unknown metric'),
+    body('conditions.*.operator').isIn(AlertRule.OPERATORS).withMessage('Operator must be one of gt, gte, lt, lte, eq, neq'),
+    body('conditions.*.value').isFloat().withMessage('Condition value must be a number'),
+    body('onlyWhenOpen').optional().isBoolean().withMessage('onlyWhenOpen must be boolean'),
+    field('alertType').isIn(Alert.ALERT_TYPES).withMessage('Invalid alert type'),
+    field('severity').isIn(Alert.SEVERITIES).withMessage('Invalid severity level'),
+    field('titleTemplate').trim().isLength({ min: 1, max: 200 }).withMessage('Title template must be 1-200 characters'),
+    field('messageTemplate').trim().isLength({ min: 1, max: 1000 }).withMessage('Message template must be 1-1000 characters'),
+    body('recommendations').optional().isArray({ max: 10 }).withMessage('Recommendations must be an array of at most 10'),
+    body('recommendations.*.action').notEmpty().withMessage('Recommendation action is required'),
+    body('recommendations.*.priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid recommendation priority')
+  ];
+};
+
+// Find a rule if the user's role on its store allows the permission. Rules
+// of deactivated stores can still be inspected and deleted.
+const findRuleForUser = async (userId, ruleId, permission) => {
+  const rule = await AlertRule.findById(ruleId);
+  if (!rule) {
+    return null;
+  }
+
+  const store = await findAccessibleStore(userId, rule.storeId, permission, { includeInactive: true });
+  return store ? rule : null;
+};
+
+// @route   GET /api/alerts/rules
+// @desc    Get alert rules for a store (the defaults are created on first use)
+// @access  Private
+router.get('/', [
+  query('storeId').notEmpty().withMessage('Store ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, req.query.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const rules = await getStoreRules(store);
+
+    res.json({
+      success: true,
+      rules
+    });
+
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert rules'
+    });
+  }
+});
+
+// @route   GET /api/alerts/rules/metrics
+// @desc    List the metrics and operators rule conditions can use
+// @access  Private
+router.get('/metrics', (req, res) => {
+  res.json({
+    success: true,
+    metrics: Object.entries(AlertRule.METRICS).map(([key, metric]) => ({ key, ...metric })),
+    operators: AlertRule.OPERATORS
+  });
+});
+
+// @route   POST /api/alerts/rules/test
+// @desc    Test an unsaved rule against the store's last 24 hours of readings
+// @access  Private
+router.post('/test', [
+  body('storeId').notEmpty().withMessage('Store ID is required'),
+  ...ruleValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, req.body.storeId, 'alert:manage');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    // Never saved; built only to evaluate
+    const rule = new AlertRule({
+      ...pickRuleFields(req.body),
+      storeId: store.storeId,
+      owner: req.user.userId
+    });
+
+    const result = await testRule(rule, store);
+
+    res.json({
+      success: true,
+      result
+    });
+
+  } catch (error) {
+    console.error('Test alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while testing alert rule'
+    });
+  }
+});
+
+// @route   GET /api/alerts/rules/:id
+// @desc    Get single alert rule by ID
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await findRuleForUser(req.user.userId, req.params.id, 'store:read');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    console.error('Get alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert rule'
+    });
+  }
+});
+
+// @route   POST /api/alerts/rules
+// @desc    Create an alert rule for a store
+// @access  Private
+router.post('/', [
+  body('storeId').notEmpty().withMessage('Store ID is required'),
+  ...ruleValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, req.body.storeId, 'alert:manage');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    // Seed the defaults first so a store's first custom rule does not
+    // stop it from ever getting them
+    await getStoreRules(store);
+
+    const rule = new AlertRule({
+      ...pickRuleFields(req.body),
+      storeId: store.storeId,
+      owner: req.user.userId
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating alert rule'
+    });
+  }
+});
+
+// @route   PUT /api/alerts/rules/:id
+// @desc    Update an alert rule
+// @access  Private
+router.put('/:id', ruleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await findRuleForUser(req.user.userId, req.params.id, 'alert:manage');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating alert rule'
+    });
+  }
+});
+
+// @route   DELETE /api/alerts/rules/:id
+// @desc    Delete an alert rule
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await findRuleForUser(req.user.userId, req.params.id, 'alert:manage');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await AlertRule.findByIdAndDelete(rule._id);
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting alert rule'
+    });
+  }
+});
+
+// @route   POST /api/alerts/rules/:id/test
+// @desc    Test a saved rule against its store's last 24 hours of readings
+// @access  Private
+router.post('/:id/test', async (req, res) => {
+  try {
+    const rule = await findRuleForUser(req.user.userId, req.params.id, 'alert:manage');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, rule.storeId, 'alert:manage');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const result = await testRule(rule, store);
+
+    res.json({
+      success: true,
+      result
+    });
+
+  } catch (error) {
+    console.error('Test alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while testing alert rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,28 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const Alert = require('../models/Alert');
-const Store = require('../models/Store');
+const { findAccessibleStore, accessibleStoreIds } = require('../services/accessControl');
+const { RECURRENCES, scheduleRecurrence, updateRecurrence } = require('../services/recurrenceService');
 
 const router = express.Router();
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+// Resolve an alert query to the alert if the user's role on its store
+// allows the permission. Alerts of deactivated stores stay reachable.
+const findAlertForUser = async (userId, alertQuery, permission = 'store:read') => {
+  const alert = await alertQuery;
+  if (!alert) {
+    return null;
+  }
+
+  const store = await findAccessibleStore(userId, alert.storeId, permission, { includeInactive: true });
+  return store ? alert : null;
+};
+
 // @route   GET /api/alerts
-// @desc    Get all alerts for authenticated user
+// @desc    Get alerts of the stores the authenticated user can access
 // @access  Private
 router.get('/', [
   query('storeId').optional().notEmpty().withMessage('Store ID cannot be empty'),
@@ -34,11 +47,12 @@ router.get('/', [
     const skip = (page - 1) * limit;
 
     // Build query
-    const query = { owner: req.user.userId };
-
-    if (req.query.storeId) {
-      query.storeId = req.query.storeId;
-    }
+    const storeIds = await accessibleStoreIds(req.user.userId);
+    const query = {
+      storeId: {
+        $in: req.query.storeId ? storeIds.filter(storeId => storeId === req.query.storeId) : storeIds
+      }
+    };
 
     if (req.query.isActive !== undefined) {
       query.isActive = req.query.isActive === 'true';
@@ -78,14 +92,13 @@ router.get('/', [
 });
 
 // @route   GET /api/alerts/:id
-// @desc    Get single alert by ID
+// @desc    Get single alert by ID, including its escalation history
 // @access  Private
 router.get('/:id', async (req, res) => {
   try {
-    const alert = await Alert.findOne({
-      _id: req.params.id,
-      owner: req.user.userId
-    }).populate('acknowledgedBy', 'name email');
+    const alert = await findAlertForUser(req.user.userId, Alert.findById(req.params.id)
+      .populate('acknowledgedBy', 'name email')
+      .populate('escalation.history.notifiedUsers', 'name email'));
 
     if (!alert) {
       return res.status(404).json({
@@ -124,7 +137,10 @@ router.post('/', [
   ]).withMessage('Invalid alert type'),
   body('severity').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity level'),
   body('title').notEmpty().withMessage('Title is required'),
-  body('message').notEmpty().withMessage('Message is required')
+  body('message').notEmpty().withMessage('Message is required'),
+  body('recurrence').optional().isIn(['once', ...RECURRENCES]).withMessage('Recurrence must be once, daily, weekly or monthly'),
+  body('nextTriggerTime').optional().isISO8601().withMessage('Next trigger time must be valid ISO8601 date'),
+  body('recurrenceEndsAt').optional().isISO8601().withMessage('Recurrence end must be valid ISO8601 date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,15 +160,13 @@ router.post('/', [
       message,
       triggerData,
       recommendations,
-      recurrence
+      recurrence,
+      nextTriggerTime,
+      recurrenceEndsAt
     } = req.body;
 
-    // Verify store exists and belongs to user
-    const store = await Store.findOne({
-      storeId,
-      owner: req.user.userId,
-      isActive: true
-    });
+    // Verify store exists and the user may create alerts on it
+    const store = await findAccessibleStore(req.user.userId, storeId, 'alert:manage');
 
     if (!store) {
       return res.status(404).json({
@@ -161,6 +175,20 @@ router.post('/', [
       });
     }
 
+    const now = new Date();
+    let schedule = {};
+
+    if (recurrence && recurrence !== 'once') {
+      if (nextTriggerTime && new Date(nextTriggerTime) <= now) {
+        return res.status(400).json({
+          success: false,
+          message: 'Next trigger time must be in the future'
+        });
+      }
+
+      schedule = scheduleRecurrence(store, { recurrence, nextTriggerTime, recurrenceEndsAt }, now);
+    }
+
     const alert = new Alert({
       storeId,
       alertType,
@@ -170,8 +198,9 @@ router.post('/', [
       triggerData,
       recommendations,
       recurrence,
+      ...schedule,
       autoGenerated: false,
-      owner: req.user.userId
+      owner: store.owner
     });
 
     await alert.save();
@@ -196,10 +225,7 @@ router.post('/', [
 // @access  Private
 router.put('/:id/acknowledge', async (req, res) => {
   try {
-    const alert = await Alert.findOne({
-      _id: req.params.id,
-      owner: req.user.userId
-    });
+    const alert = await findAlertForUser(req.user.userId, Alert.findById(req.params.id), 'alert:respond');
 
     if (!alert) {
       return res.status(404).json({
@@ -237,10 +263,7 @@ router.put('/:id/acknowledge', async (req, res) => {
 // @access  Private
 router.put('/:id/resolve', async (req, res) => {
   try {
-    const alert = await Alert.findOne({
-      _id: req.params.id,
-      owner: req.user.userId
-    });
+    const alert = await findAlertForUser(req.user.userId, Alert.findById(req.params.id), 'alert:respond');
 
     if (!alert) {
       return res.status(404).json({
@@ -273,15 +296,94 @@ router.put('/:id/resolve', async (req, res) => {
   }
 });
 
+// @route   PUT /api/alerts/:id/recurrence
+// @desc    Pause, resume, edit or end a recurring alert (an occurrence's
+//          id edits the alert it recurs from)
+// @access  Private
+router.put('/:id/recurrence', [
+  body('status').optional().isIn(['active', 'paused', 'ended']).withMessage('Status must be active, paused or ended'),
+  body('recurrence').optional().isIn(RECURRENCES).withMessage('Recurrence must be daily, weekly or monthly'),
+  body('nextTriggerTime').optional().isISO8601().withMessage('Next trigger time must be valid ISO8601 date'),
+  body('recurrenceEndsAt').optional({ values: 'null' }).isISO8601().withMessage('Recurrence end must be valid ISO8601 date'),
+  body('severity').optional().isIn(Alert.SEVERITIES).withMessage('Invalid severity level'),
+  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  body('message').optional().notEmpty().withMessage('Message cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let alert = await findAlertForUser(req.user.userId, Alert.findById(req.params.id), 'alert:manage');
+
+    if (alert && alert.recurrenceSourceId) {
+      alert = await findAlertForUser(req.user.userId, Alert.findById(alert.recurrenceSourceId), 'alert:manage');
+    }
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (!RECURRENCES.includes(alert.recurrence) && !req.body.recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'Alert does not recur'
+      });
+    }
+
+    if (req.body.nextTriggerTime && new Date(req.body.nextTriggerTime) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Next trigger time must be in the future'
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, alert.storeId, 'alert:manage');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const error = await updateRecurrence(alert, store, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurrence updated successfully',
+      alert
+    });
+
+  } catch (error) {
+    console.error('Update recurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating recurrence'
+    });
+  }
+});
+
 // @route   DELETE /api/alerts/:id
 // @desc    Delete an alert
 // @access  Private
 router.delete('/:id', async (req, res) => {
   try {
-    const alert = await Alert.findOne({
-      _id: req.params.id,
-      owner: req.user.userId
-    });
+    const alert = await findAlertForUser(req.user.userId, Alert.findById(req.params.id), 'alert:manage');
 
     if (!alert) {
       return res.status(404).json({
@@ -313,12 +415,8 @@ router.get('/stats/:storeId', async (req, res) => {
   try {
     const { storeId } = req.params;
 
-    // Verify store belongs to user
-    const store = await Store.findOne({
-      storeId,
-      owner: req.user.userId,
-      isActive: true
-    });
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, storeId);
 
     if (!store) {
       return res.status(404).json({
@@ -327,53 +425,11 @@ router.get('/stats/:storeId', async (req, res) => {
       });
     }
 
-    const stats = await Alert.aggregate([
-      {
-        $match: {
-          storeId,
-          owner: req.user.userId
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalAlerts: { $sum: 1 },
-          activeAlerts: { 
-            $sum: { $cond: ['$isActive', 1, 0] } 
-          },
-          acknowledgedAlerts: { 
-            $sum: { $cond: ['$isAcknowledged', 1, 0] } 
-          },
-          criticalAlerts: { 
-            $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } 
-          },
-          highAlerts: { 
-            $sum: { $cond: [{ $eq: ['$severity', 'high'] }, 1, 0] } 
-          },
-          mediumAlerts: { 
-            $sum: { $cond: [{ $eq: ['$severity', 'medium'] }, 1, 0] } 
-          },
-          lowAlerts: { 
-            $sum: { $cond: [{ $eq: ['$severity', 'low'] }, 1, 0] } 
-          }
-        }
-      }
-    ]);
-
-    const alertStats = stats.length > 0 ? stats[0] : {
-      totalAlerts: 0,
-      activeAlerts: 0,
-      acknowledgedAlerts: 0,
-      criticalAlerts: 0,
-      highAlerts: 0,
-      mediumAlerts: 0,
-      lowAlerts: 0
-    };
+    const alertStats = await Alert.getStatsForStore(storeId, { owner: store.owner });
 
     // Get recent alerts
     const recentAlerts = await Alert.find({
       storeId,
-      owner: req.user.userId,
       isActive: true
     })
     .sort({ createdAt: -1 })
@@ -0,0 +1,287 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const Device = require('../models/Device');
+const { findAccessibleStore, accessibleStoreIds } = require('../services/accessControl');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+const DEVICE_TYPES = ['door_counter', 'pos', 'queue_sensor', 'other'];
+
+// Devices hold API keys that write to a store, so managing them takes the
+// right to edit the store
+const DEVICE_PERMISSION = 'store:update';
+
+// Find a device if the user's role on its store allows managing devices.
+// Devices of deactivated stores can still be inspected and revoked.
+const findDeviceForUser = async (userId, deviceId) => {
+  const device = await Device.findById(deviceId);
+  if (!device) {
+    return null;
+  }
+
+  const store = await findAccessibleStore(userId, device.storeId, DEVICE_PERMISSION, { includeInactive: true });
+  return store ? device : null;
+};
+
+// @route   POST /api/devices
+// @desc    Register a device for a store and issue its API key
+// @access  Private
+router.post('/', [
+  body('storeId').notEmpty().withMessage('Store ID is required'),
+  body('name').notEmpty().trim().withMessage('Device name is required'),
+  body('deviceType').optional().isIn(DEVICE_TYPES).withMessage('Invalid device type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { storeId, name, deviceType } = req.body;
+
+    // Verify user can manage the store's devices
+    const store = await findAccessibleStore(req.user.userId, storeId, DEVICE_PERMISSION);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const device = new Device({
+      storeId,
+      name,
+      deviceType,
+      owner: req.user.userId
+    });
+
+    const apiKey = device.issueKey();
+    await device.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully. Store the API key now; it will not be shown again.',
+      device,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering device'
+    });
+  }
+});
+
+// @route   GET /api/devices
+// @desc    Get the devices of the stores the user can manage (optionally by store)
+// @access  Private
+router.get('/', [
+  query('storeId').optional().notEmpty().withMessage('Store ID cannot be empty'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const storeIds = await accessibleStoreIds(req.user.userId, DEVICE_PERMISSION);
+    const filter = {
+      storeId: {
+        $in: req.query.storeId ? storeIds.filter(storeId => storeId === req.query.storeId) : storeIds
+      }
+    };
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const devices = await Device.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: devices.length,
+      devices
+    });
+
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching devices'
+    });
+  }
+});
+
+// @route   GET /api/devices/:id
+// @desc    Get single device (including last-seen time)
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const device = await findDeviceForUser(req.user.userId, req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      device
+    });
+
+  } catch (error) {
+    console.error('Get device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device'
+    });
+  }
+});
+
+// @route   PUT /api/devices/:id
+// @desc    Update device name or type
+// @access  Private
+router.put('/:id', [
+  body('name').optional().notEmpty().trim().withMessage('Device name cannot be empty'),
+  body('deviceType').optional().isIn(DEVICE_TYPES).withMessage('Invalid device type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const device = await findDeviceForUser(req.user.userId, req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // Update allowed fields
+    ['name', 'deviceType'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        device[field] = req.body[field];
+      }
+    });
+
+    await device.save();
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      device
+    });
+
+  } catch (error) {
+    console.error('Update device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating device'
+    });
+  }
+});
+
+// @route   POST /api/devices/:id/rotate
+// @desc    Issue a new API key; the previous key stops working immediately
+// @access  Private
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const device = await findDeviceForUser(req.user.userId, req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (!device.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot rotate the key of a revoked device'
+      });
+    }
+
+    const apiKey = device.issueKey();
+    await device.save();
+
+    res.json({
+      success: true,
+      message: 'Device key rotated successfully. Store the API key now; it will not be shown again.',
+      device,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Rotate device key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating device key'
+    });
+  }
+});
+
+// @route   POST /api/devices/:id/revoke
+// @desc    Revoke a device's API key
+// @access  Private
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const device = await findDeviceForUser(req.user.userId, req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (!device.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device is already revoked'
+      });
+    }
+
+    await device.revoke();
+
+    res.json({
+      success: true,
+      message: 'Device revoked successfully',
+      device
+    });
+
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking device'
+    });
+  }
+});
+
+module.exports = router;
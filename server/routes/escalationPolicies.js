@@ -0,0 +1,328 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const { findAccessibleStore, getStoreRole } = require('../services/accessControl');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validators shared by create and update; required fields are only
+// enforced on create
+const policyValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('isEnabled').optional().isBoolean().withMessage('isEnabled must be boolean'),
+    body('alertTypes').optional().isArray().withMessage('Alert types must be an array'),
+    body('alertTypes.*').isIn(Alert.ALERT_TYPES).withMessage('Invalid alert type'),
+    body('minSeverity').optional().isIn(Alert.SEVERITIES).withMessage('Invalid severity level'),
+    field('steps').isArray({ min: 1, max: 10 }).withMessage('Steps must be an array of 1-10 steps'),
+    body('steps.*.afterMinutes').isInt({ min: 1 }).withMessage('Step time must be at least 1 minute'),
+    body('steps.*.severity').optional().isIn(Alert.SEVERITIES).withMessage('Invalid severity level'),
+    body('steps.*.notifyUsers').optional().isArray().withMessage('Notify users must be an array of user IDs or emails')
+  ];
+};
+
+// Turn each step's notifyUsers (user IDs or emails) into user IDs. Only
+// users with a role on the store can be notified; returns { steps }, or
+// { rejected } listing the other entries, whether or not they match an
+// account.
+const resolveStepUsers = async (steps, store) => {
+  const entries = [...new Set(steps.flatMap(step => (step.notifyUsers || []).map(String)))];
+  const ids = entries.filter(entry => mongoose.Types.ObjectId.isValid(entry));
+  const emails = entries.filter(entry => !mongoose.Types.ObjectId.isValid(entry)).map(entry => entry.toLowerCase().trim());
+
+  const users = entries.length > 0
+    ? await User.find({ $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] }).select('_id email')
+    : [];
+  const roles = await Promise.all(users.map(user => getStoreRole(user._id, store)));
+
+  const lookup = new Map();
+  users.filter((user, index) => roles[index]).forEach(user => {
+    lookup.set(String(user._id), user._id);
+    lookup.set(user.email, user._id);
+  });
+
+  const rejected = entries.filter(entry => !lookup.has(entry) && !lookup.has(entry.toLowerCase().trim()));
+  if (rejected.length > 0) {
+    return { rejected };
+  }
+
+  return {
+    steps: steps.map(step => ({
+      afterMinutes: step.afterMinutes,
+      severity: step.severity,
+      notifyUsers: (step.notifyUsers || []).map(entry => lookup.get(String(entry)) || lookup.get(String(entry).toLowerCase().trim()))
+    }))
+  };
+};
+
+// Find a policy if the user's role on its store allows the permission.
+// Policies of deactivated stores can still be inspected and deleted.
+const findPolicyForUser = async (userId, policyId, permission) => {
+  const policy = await EscalationPolicy.findById(policyId);
+  if (!policy) {
+    return null;
+  }
+
+  const store = await findAccessibleStore(userId, policy.storeId, permission, { includeInactive: true });
+  return store ? policy : null;
+};
+
+// Copy the fields a user may set, resolving step users against the
+// policy's store. Returns { fields } or { error } for a 400 response.
+const policyFields = async (source, store) => {
+  const fields = {};
+  ['name', 'isEnabled', 'alertTypes', 'minSeverity'].forEach(field => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  });
+
+  if (source.steps !== undefined) {
+    const { steps, rejected } = await resolveStepUsers(source.steps, store);
+    if (rejected) {
+      return { error: `Only users with access to the store can be notified: ${rejected.join(', ')}` };
+    }
+    fields.steps = steps;
+  }
+
+  return { fields };
+};
+
+// @route   GET /api/alerts/escalation-policies
+// @desc    Get escalation policies for a store
+// @access  Private
+router.get('/', [
+  query('storeId').notEmpty().withMessage('Store ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, req.query.storeId, 'store:read', { includeInactive: true });
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const policies = await EscalationPolicy.find({ storeId: store.storeId })
+      .populate('steps.notifyUsers', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      policies
+    });
+
+  } catch (error) {
+    console.error('Get escalation policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching escalation policies'
+    });
+  }
+});
+
+// @route   GET /api/alerts/escalation-policies/:id
+// @desc    Get single escalation policy by ID
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const policy = await findPolicyForUser(req.user.userId, req.params.id, 'store:read');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation policy not found'
+      });
+    }
+
+    await policy.populate('steps.notifyUsers', 'name email');
+
+    res.json({
+      success: true,
+      policy
+    });
+
+  } catch (error) {
+    console.error('Get escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching escalation policy'
+    });
+  }
+});
+
+// @route   POST /api/alerts/escalation-policies
+// @desc    Create an escalation policy for a store
+// @access  Private
+router.post('/', [
+  body('storeId').notEmpty().withMessage('Store ID is required'),
+  ...policyValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, req.body.storeId, 'alert:manage');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const { fields, error } = await policyFields(req.body, store);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const policy = new EscalationPolicy({
+      ...fields,
+      storeId: store.storeId,
+      owner: req.user.userId
+    });
+
+    const invalid = policy.validateSync();
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(invalid.errors).map(err => err.message).join('; ')
+      });
+    }
+
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Escalation policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Create escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating escalation policy'
+    });
+  }
+});
+
+// @route   PUT /api/alerts/escalation-policies/:id
+// @desc    Update an escalation policy
+// @access  Private
+router.put('/:id', policyValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await findPolicyForUser(req.user.userId, req.params.id, 'alert:manage');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation policy not found'
+      });
+    }
+
+    const store = await Store.findOne({ storeId: policy.storeId });
+    const { fields, error } = await policyFields(req.body, store);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    policy.set(fields);
+
+    const invalid = policy.validateSync();
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(invalid.errors).map(err => err.message).join('; ')
+      });
+    }
+
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Escalation policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Update escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating escalation policy'
+    });
+  }
+});
+
+// @route   DELETE /api/alerts/escalation-policies/:id
+// @desc    Delete an escalation policy; alerts it escalated stay as they are
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const policy = await findPolicyForUser(req.user.userId, req.params.id, 'alert:manage');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation policy not found'
+      });
+    }
+
+    await EscalationPolicy.findByIdAndDelete(policy._id);
+
+    res.json({
+      success: true,
+      message: 'Escalation policy deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting escalation policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const FootfallData = require('../models/FootfallData');
+const { analyticsGroupStages } = require('../services/analyticsService');
+const { getRetentionPolicy } = require('../services/retentionService');
+const { startOfHour, DAY_MS } = require('../services/rollupService');
+const { formatCsvRow } = require('../utils/csv');
+const { isValidTimeZone, formatLocalTime } = require('../utils/timezone');
+const { findAccessibleStore } = require('../services/accessControl');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Column order is fixed so exports from different ranges line up; NDJSON
+// objects use the same keys in the same order
+const HISTORY_COLUMNS = [
+  'timestamp',
+  'localTime',
+  'storeId',
+  'dataType',
+  'entryCount',
+  'exitCount',
+  'currentOccupancy',
+  'posRate',
+  'totalQueue',
+  'avgWaitTime',
+  'transactions',
+  'salesValue',
+  'dataPoints'
+];
+
+const ANALYTICS_COLUMNS = [
+  'bucketStart',
+  'localTime',
+  'groupBy',
+  'source',
+  'totalEntries',
+  'totalExits',
+  'avgOccupancy',
+  'maxOccupancy',
+  'avgPosRate',
+  'avgQueueLength',
+  'transactions',
+  'conversionRate',
+  'salesValue',
+  'basketValue',
+  'salesPerVisitor',
+  'dataPoints'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+// Ratios keep four decimals; null (nothing to divide by) stays empty
+const roundRatio = (value) => (value === null || value === undefined ? null : Math.round(value * 10000) / 10000);
+
+const historyRow = (doc, timeZone) => ({
+  timestamp: doc.timestamp.toISOString(),
+  localTime: formatLocalTime(doc.timestamp, timeZone),
+  storeId: doc.storeId,
+  dataType: doc.dataType,
+  entryCount: doc.entryCount,
+  exitCount: doc.exitCount,
+  currentOccupancy: doc.currentOccupancy,
+  posRate: doc.posRate,
+  totalQueue: doc.queueData ? doc.queueData.totalQueue : 0,
+  avgWaitTime: doc.queueData ? doc.queueData.avgWaitTime : 0,
+  // Readings only have these when the POS reported them
+  transactions: doc.dataType === 'realtime' ? doc.transactionCount : (doc.rollup ? doc.rollup.transactions : null),
+  salesValue: doc.dataType === 'realtime' ? doc.salesValue : (doc.rollup ? doc.rollup.salesValue : null),
+  dataPoints: doc.dataType === 'realtime' ? 1 : (doc.rollup ? doc.rollup.dataPoints : 0)
+});
+
+const analyticsRow = (doc, timeZone, groupBy, source) => ({
+  bucketStart: doc._id.toISOString(),
+  localTime: formatLocalTime(doc._id, timeZone),
+  groupBy,
+  source,
+  totalEntries: doc.totalEntries,
+  totalExits: doc.totalExits,
+  avgOccupancy: round(doc.avgOccupancy),
+  maxOccupancy: doc.maxOccupancy,
+  avgPosRate: round(doc.avgPosRate),
+  avgQueueLength: round(doc.avgQueueLength),
+  transactions: round(doc.transactions),
+  conversionRate: roundRatio(doc.conversionRate),
+  salesValue: round(doc.salesValue),
+  basketValue: doc.basketValue === null ? null : round(doc.basketValue),
+  salesPerVisitor: doc.salesPerVisitor === null ? null : round(doc.salesPerVisitor),
+  dataPoints: doc.dataPoints
+});
+
+// Resolve once the response can take more data, or the client went away
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.removeListener('drain', done);
+    res.removeListener('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+// Write every document from a cursor to the response, honouring
+// backpressure and stopping early if the client disconnects
+const streamCursor = async (res, cursor, { format, columns, toRow }) => {
+  let closed = false;
+  res.once('close', () => {
+    closed = true;
+  });
+
+  try {
+    if (format === 'csv') {
+      res.write(formatCsvRow(columns));
+    }
+
+    for await (const doc of cursor) {
+      if (closed) {
+        break;
+      }
+
+      const row = toRow(doc);
+      const line = format === 'csv'
+        ? formatCsvRow(columns.map(column => row[column]))
+        : `${JSON.stringify(row)}\n`;
+
+      if (!res.write(line)) {
+        await waitForDrain(res);
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (!closed) {
+    res.end();
+  }
+};
+
+// @route   GET /api/footfall/export/:storeId
+// @desc    Stream footfall history or analytics aggregates as CSV or NDJSON
+// @access  Private
+router.get('/:storeId', [
+  query('format').optional().isIn(['csv', 'ndjson']).withMessage('Format must be csv or ndjson'),
+  query('dataset').optional().isIn(['history', 'analytics']).withMessage('Dataset must be history or analytics'),
+  query('startDate').isISO8601().withMessage('Start date must be valid ISO8601 date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be valid ISO8601 date'),
+  query('dataType').optional().isIn(['realtime', 'hourly', 'daily']).withMessage('Data type must be realtime, hourly, or daily'),
+  query('groupBy').optional().isIn(['hour', 'day']).withMessage('Group by must be hour or day'),
+  query('tz').optional().custom(isValidTimeZone).withMessage('tz must be an IANA timezone name')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { storeId } = req.params;
+    const format = req.query.format || 'csv';
+    const dataset = req.query.dataset || 'history';
+    const startDate = new Date(req.query.startDate);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+
+    if (endDate <= startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    // Local times default to the store's own timezone
+    const timeZone = req.query.tz || store.getTimeZone();
+
+    let cursor;
+    let columns;
+    let toRow;
+
+    if (dataset === 'history') {
+      const dataType = req.query.dataType || 'realtime';
+
+      cursor = FootfallData.find({
+        storeId,
+        dataType,
+        timestamp: { $gte: startDate, $lt: endDate }
+      })
+        .sort({ timestamp: 1, _id: 1 })
+        .lean()
+        .cursor();
+      columns = HISTORY_COLUMNS;
+      toRow = (doc) => historyRow(doc, timeZone);
+    } else {
+      const groupBy = req.query.groupBy || 'hour';
+
+      // Raw readings while they are still retained, hourly rollups once
+      // the range reaches back past the realtime retention window
+      const { realtimeDays } = getRetentionPolicy(store);
+      const realtimeAvailable = !realtimeDays || startDate.getTime() >= Date.now() - realtimeDays * DAY_MS;
+      const source = realtimeAvailable ? 'realtime' : 'hourly';
+      const rangeStart = source === 'hourly' ? startOfHour(startDate, store.getTimeZone()) : startDate;
+
+      cursor = FootfallData.aggregate([
+        {
+          $match: {
+            storeId,
+            dataType: source,
+            timestamp: { $gte: rangeStart, $lt: endDate }
+          }
+        },
+        ...analyticsGroupStages(source, {
+          $dateTrunc: { date: '$timestamp', unit: groupBy, timezone: timeZone }
+        }, timeZone),
+        { $sort: { _id: 1 } }
+      ]).cursor();
+      columns = ANALYTICS_COLUMNS;
+      toRow = (doc) => analyticsRow(doc, timeZone, groupBy, source);
+    }
+
+    const fileName = `footfall-${storeId.replace(/[^\w.-]/g, '_')}-${dataset}-${startDate.toISOString().slice(0, 10)}` +
+      `-${endDate.toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await streamCursor(res, cursor, { format, columns, toRow });
+
+  } catch (error) {
+    console.error('Export footfall error:', error);
+
+    // Once rows have been sent the status can no longer change; cut the
+    // stream so the client sees an incomplete download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting footfall data'
+    });
+  }
+});
+
+module.exports = router;
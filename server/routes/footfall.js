@@ -1,23 +1,67 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const { body, header, validationResult, query } = require('express-validator');
+const { authMiddleware, adminMiddleware } = require('../middleware/authMiddleware');
+const { userOrDeviceAuth } = require('../middleware/deviceAuthMiddleware');
 const FootfallData = require('../models/FootfallData');
 const Store = require('../models/Store');
-const Alert = require('../models/Alert');
+const {
+  normalizeReading,
+  validateReading,
+  generateAlerts,
+  ingestReading
+} = require('../services/footfallIngestion');
+const { rebuildRollups } = require('../services/rollupService');
+const { getStoreAnalytics } = require('../services/analyticsService');
+const { compareStores, comparePeriods, COMPARE_TO } = require('../services/comparisonService');
+const { estimateDwellTime } = require('../services/dwellTimeService');
+const { forecastFootfall, forecastTrend, DEFAULT_HISTORY_WEEKS } = require('../services/forecastService');
+const { recommendStaffing, DEFAULT_WINDOW_MINUTES } = require('../services/staffingService');
+const { getRetentionPolicy, planRetention } = require('../services/retentionService');
+const { findAccessibleStore } = require('../services/accessControl');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
-router.use(authMiddleware);
+// Maximum number of readings accepted by a single batch request
+const MAX_BATCH_SIZE = 500;
+// Longest date range a single rollup rebuild may cover
+const MAX_ROLLUP_REBUILD_DAYS = 366;
+// Most stores a single comparison may include
+const MAX_COMPARED_STORES = 10;
+
+// Ingestion accepts either a user token or a device API key
+const ingestAuth = userOrDeviceAuth('footfall:ingest');
+
+// Resolve the active store a reading is ingested into. Device keys are
+// pinned to the store they were issued for; users need a role that allows
+// ingesting on the store.
+const findIngestStore = (req, storeId) => {
+  if (req.device) {
+    if (req.device.storeId !== storeId) {
+      return null;
+    }
+    return Store.findOne({ storeId, isActive: true });
+  }
+
+  return findAccessibleStore(req.user.userId, storeId, 'footfall:ingest');
+};
+
+// Comma separated query value as a list of unique, non-empty items
+const listParam = (value) => [...new Set(String(value || '').split(',').map(item => item.trim()).filter(Boolean))];
 
 // @route   POST /api/footfall/ingest
-// @desc    Ingest footfall data (entry/exit counts, POS rate)
-// @access  Private
-router.post('/ingest', [
+// @desc    Ingest footfall data (entry/exit counts, POS rate and, optionally,
+//          transactions and sales since the previous reading)
+// @access  Private (user token or device key)
+router.post('/ingest', ingestAuth, [
   body('storeId').notEmpty().withMessage('Store ID is required'),
   body('entryCount').isInt({ min: 0 }).withMessage('Entry count must be non-negative'),
   body('exitCount').isInt({ min: 0 }).withMessage('Exit count must be non-negative'),
-  body('posRate').isFloat({ min: 0 }).withMessage('POS rate must be non-negative')
+  body('posRate').isFloat({ min: 0 }).withMessage('POS rate must be non-negative'),
+  body('transactionCount').optional().isInt({ min: 0 }).withMessage('Transaction count must be non-negative'),
+  body('salesValue').optional().isFloat({ min: 0 }).withMessage('Sales value must be non-negative'),
+  body('timestamp').optional().isISO8601().withMessage('Timestamp must be valid ISO8601 date'),
+  body('clientReadingId').optional().isString().trim().isLength({ min: 1, max: 128 }).withMessage('Client reading ID must be 1 to 128 characters'),
+  header('Idempotency-Key').optional().trim().isLength({ min: 1, max: 128 }).withMessage('Idempotency-Key must be 1 to 128 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -31,9 +75,12 @@ router.post('/ingest', [
 
     const {
       storeId,
+      timestamp,
       entryCount,
       exitCount,
       posRate,
+      transactionCount,
+      salesValue,
       queueData,
       entryDetails,
       exitDetails,
@@ -41,12 +88,18 @@ router.post('/ingest', [
       specialEvents
     } = req.body;
 
-    // Verify store exists and belongs to user
-    const store = await Store.findOne({
-      storeId,
-      owner: req.user.userId,
-      isActive: true
-    });
+    // Retries are recognised by the client reading ID or Idempotency-Key header
+    const idempotencyKey = req.header('Idempotency-Key');
+    if (idempotencyKey && req.body.clientReadingId && idempotencyKey !== req.body.clientReadingId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key header does not match clientReadingId'
+      });
+    }
+    const clientReadingId = req.body.clientReadingId || idempotencyKey;
+
+    // Verify store exists and belongs to user (or device)
+    const store = await findIngestStore(req, storeId);
 
     if (!store) {
       return res.status(404).json({
@@ -55,65 +108,198 @@ router.post('/ingest', [
       });
     }
 
-    // Create footfall data entry
-    const footfallData = new FootfallData({
+    const { footfallData, queueMetrics, isLate, recomputed, duplicate } = await ingestReading({
       storeId,
+      timestamp,
+      clientReadingId,
       entryCount,
       exitCount,
       posRate,
+      transactionCount,
+      salesValue,
       queueData,
       entryDetails,
       exitDetails,
       weather,
-      specialEvents,
-      owner: req.user.userId
+      specialEvents
+    }, {
+      owner: store.owner,
+      deviceId: req.device && req.device.deviceId
     });
 
-    await footfallData.save();
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate
+        ? 'Reading was already ingested; returning the stored reading'
+        : 'Footfall data ingested successfully',
+      data: {
+        ...footfallData.toObject(),
+        queueMetrics
+      },
+      duplicate,
+      isLate,
+      recomputedReadings: recomputed
+    });
 
-    // Calculate queue metrics
-    const queueMetrics = footfallData.calculateQueueMetrics();
+  } catch (error) {
+    console.error('Ingest footfall data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ingesting footfall data'
+    });
+  }
+});
 
-    // Auto-generate alerts based on the data
-    const alertData = {
-      queueLength: queueMetrics.totalQueue,
-      avgWaitTime: queueMetrics.avgWaitTime,
-      currentOccupancy: footfallData.currentOccupancy,
-      posRate: footfallData.posRate
-    };
+// @route   POST /api/footfall/ingest/batch
+// @desc    Ingest a batch of buffered readings (one or more stores)
+// @access  Private (user token or device key)
+router.post('/ingest/batch', ingestAuth, [
+  body('readings').isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`Readings must be an array of 1 to ${MAX_BATCH_SIZE} items`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    // Create staffing alert if needed
-    await Alert.createStaffingAlert(storeId, req.user.userId, alertData);
+    const results = new Array(req.body.readings.length);
+    const storeCache = new Map();
+    const accepted = [];
+
+    // Validate every item independently and resolve its store
+    for (const [index, raw] of req.body.readings.entries()) {
+      const reading = normalizeReading(raw);
+      const itemErrors = validateReading(reading, { requireTimestamp: true });
+
+      if (itemErrors.length > 0) {
+        results[index] = { index, success: false, message: 'Validation errors', errors: itemErrors };
+        continue;
+      }
 
-    // Create individual till alerts if needed
-    if (queueData && queueData.tillQueues) {
-      for (const till of queueData.tillQueues) {
-        await Alert.createQueueAlert(storeId, req.user.userId, {
-          queueLength: till.queueLength,
-          tillNumber: till.tillNumber,
-          avgWaitTime: till.avgServiceTime * till.queueLength
+      if (!storeCache.has(reading.storeId)) {
+        storeCache.set(reading.storeId, await findIngestStore(req, reading.storeId));
+      }
+
+      if (!storeCache.get(reading.storeId)) {
+        results[index] = { index, success: false, message: 'Store not found or access denied' };
+        continue;
+      }
+
+      reading.timestamp = new Date(reading.timestamp);
+      accepted.push({ index, reading });
+    }
+
+    // Store oldest first so the pre-save hook chains occupancy through the batch
+    accepted.sort((a, b) => a.reading.timestamp - b.reading.timestamp || a.index - b.index);
+
+    const newestByStore = new Map();
+    const earliestLateByStore = new Map();
+
+    for (const { index, reading } of accepted) {
+      try {
+        const { footfallData, queueMetrics, isLate, duplicate } = await ingestReading(reading, {
+          owner: storeCache.get(reading.storeId).owner,
+          deviceId: req.device && req.device.deviceId,
+          generateAlerts: false,
+          recomputeOccupancy: false
         });
+
+        results[index] = {
+          index,
+          success: true,
+          duplicate,
+          data: {
+            _id: footfallData._id,
+            storeId: footfallData.storeId,
+            clientReadingId: footfallData.clientReadingId,
+            timestamp: footfallData.timestamp,
+            currentOccupancy: footfallData.currentOccupancy,
+            queueMetrics
+          }
+        };
+
+        if (duplicate) {
+          continue;
+        }
+        newestByStore.set(footfallData.storeId, footfallData);
+
+        if (isLate && !earliestLateByStore.has(footfallData.storeId)) {
+          earliestLateByStore.set(footfallData.storeId, footfallData.timestamp);
+        }
+      } catch (error) {
+        console.error('Batch ingest item error:', error);
+        results[index] = {
+          index,
+          success: false,
+          message: error.name === 'ValidationError' ? error.message : 'Server error while storing reading'
+        };
       }
     }
 
-    res.status(201).json({
-      success: true,
-      message: 'Footfall data ingested successfully',
-      data: {
-        ...footfallData.toObject(),
-        queueMetrics
+    // Backfilled readings landed before already stored ones: rebuild the
+    // occupancy chain once per store and report the corrected values
+    let recomputedReadings = 0;
+
+    for (const [storeId, startDate] of earliestLateByStore) {
+      const { updated } = await FootfallData.recomputeOccupancy(storeId, startDate);
+      recomputedReadings += updated;
+
+      const affected = results.filter(result => (
+        result && result.success &&
+        result.data.storeId === storeId &&
+        result.data.timestamp >= startDate
+      ));
+      const refreshed = await FootfallData.find({
+        _id: { $in: affected.map(result => result.data._id) }
+      }).select('currentOccupancy');
+      const occupancyById = new Map(refreshed.map(doc => [doc._id.toString(), doc.currentOccupancy]));
+
+      affected.forEach(result => {
+        result.data.currentOccupancy = occupancyById.get(result.data._id.toString());
+      });
+    }
+
+    // Alerts describe the store's current state, so only evaluate the newest
+    // reading per store, and only if nothing newer is already stored
+    for (const footfallData of newestByStore.values()) {
+      const latest = await FootfallData.getLatestForStore(footfallData.storeId);
+      if (latest && latest._id.equals(footfallData._id)) {
+        await generateAlerts(latest, latest.calculateQueueMetrics(), storeCache.get(latest.storeId).owner);
       }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const duplicates = results.filter(result => result.duplicate).length;
+
+    res.status(succeeded > 0 ? 201 : 400).json({
+      success: succeeded > 0,
+      message: `Ingested ${succeeded} of ${results.length} readings`,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        duplicates,
+        recomputedReadings
+      },
+      results
     });
 
   } catch (error) {
-    console.error('Ingest footfall data error:', error);
+    console.error('Batch ingest footfall data error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while ingesting footfall data'
+      message: 'Server error while ingesting footfall batch'
     });
   }
 });
 
+// All remaining routes require a user session; device keys are rejected
+router.use(authMiddleware);
+
 // @route   GET /api/footfall/latest/:storeId
 // @desc    Get latest footfall data for a store
 // @access  Private
@@ -121,12 +307,8 @@ router.get('/latest/:storeId', async (req, res) => {
   try {
     const { storeId } = req.params;
 
-    // Verify store belongs to user
-    const store = await Store.findOne({
-      storeId,
-      owner: req.user.userId,
-      isActive: true
-    });
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, storeId);
 
     if (!store) {
       return res.status(404).json({
@@ -182,12 +364,8 @@ router.get('/window/:storeId', [
     const { storeId } = req.params;
     const windowMinutes = parseInt(req.query.minutes) || 60; // Default 1 hour
 
-    // Verify store belongs to user
-    const store = await Store.findOne({
-      storeId,
-      owner: req.user.userId,
-      isActive: true
-    });
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, storeId);
 
     if (!store) {
       return res.status(404).json({
@@ -209,7 +387,13 @@ router.get('/window/:storeId', [
           avgOccupancy: 0,
           maxOccupancy: 0,
           dataPoints: 0,
-          latestOccupancy: 0
+          latestOccupancy: 0,
+          transactions: 0,
+          salesValue: 0,
+          salesTransactions: 0,
+          conversionRate: null,
+          basketValue: null,
+          salesPerVisitor: null
         }
       });
     }
@@ -257,12 +441,8 @@ router.get('/history/:storeId', [
     const skip = (page - 1) * limit;
     const dataType = req.query.dataType || 'realtime';
 
-    // Verify store belongs to user
-    const store = await Store.findOne({
-      storeId,
-      owner: req.user.userId,
-      isActive: true
-    });
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, storeId);
 
     if (!store) {
       return res.status(404).json({
@@ -274,8 +454,7 @@ router.get('/history/:storeId', [
     // Build query
     const query = { 
       storeId,
-      dataType,
-      owner: req.user.userId
+      dataType
     };
 
     if (req.query.startDate || req.query.endDate) {
@@ -317,7 +496,8 @@ router.get('/history/:storeId', [
 });
 
 // @route   GET /api/footfall/analytics/:storeId
-// @desc    Get analytics data (daily/hourly aggregates)
+// @desc    Get analytics data (daily/hourly aggregates) with an estimate of
+//          visitor dwell time
 // @access  Private
 router.get('/analytics/:storeId', [
   query('period').optional().isIn(['today', 'week', 'month']).withMessage('Period must be today, week, or month'),
@@ -337,13 +517,134 @@ router.get('/analytics/:storeId', [
     const period = req.query.period || 'today';
     const groupBy = req.query.groupBy || 'hour';
 
-    // Verify store belongs to user
-    const store = await Store.findOne({
-      storeId,
-      owner: req.user.userId,
-      isActive: true
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const now = new Date();
+    const data = await getStoreAnalytics(store, { period, groupBy }, now);
+
+    // Dwell time is estimated hour by hour, whatever the grouping
+    const hourly = groupBy === 'hour'
+      ? data
+      : await getStoreAnalytics(store, { period, groupBy: 'hour' }, now);
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        dwellTime: estimateDwellTime(hourly.analytics, data.timezone, now)
+      }
     });
 
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching analytics data'
+    });
+  }
+});
+
+// @route   GET /api/footfall/compare
+// @desc    Compare aligned analytics of several stores, or of one store
+//          across periods (?compareTo=previous,lastYear)
+// @access  Private
+router.get('/compare', [
+  query('storeIds').custom(value => {
+    const count = listParam(value).length;
+    return count >= 1 && count <= MAX_COMPARED_STORES;
+  }).withMessage(`storeIds must list between 1 and ${MAX_COMPARED_STORES} store IDs`),
+  query('compareTo').optional().custom(value => (
+    listParam(value).length > 0 && listParam(value).every(target => COMPARE_TO.includes(target))
+  )).withMessage(`compareTo must be a list of: ${COMPARE_TO.join(', ')}`),
+  query('period').optional().isIn(['today', 'week', 'month']).withMessage('Period must be today, week, or month'),
+  query('groupBy').optional().isIn(['hour', 'day']).withMessage('Group by must be hour or day')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const storeIds = listParam(req.query.storeIds);
+    const compareTo = listParam(req.query.compareTo);
+    const period = req.query.period || 'today';
+    const groupBy = req.query.groupBy || 'hour';
+
+    // One store is compared across periods, several stores with each other
+    if (storeIds.length === 1 && compareTo.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least two stores, or compareTo for a single store'
+      });
+    }
+    if (storeIds.length > 1 && compareTo.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'compareTo can only be used with a single store'
+      });
+    }
+
+    // Verify user can access every store
+    const stores = await Promise.all(storeIds.map(storeId => findAccessibleStore(req.user.userId, storeId)));
+    const missing = storeIds.filter((storeId, index) => !stores[index]);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Store not found or access denied: ${missing.join(', ')}`
+      });
+    }
+
+    const data = stores.length > 1
+      ? await compareStores(stores, { period, groupBy })
+      : await comparePeriods(stores[0], compareTo, { period, groupBy });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Compare analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing analytics'
+    });
+  }
+});
+
+// @route   GET /api/footfall/forecast/:storeId
+// @desc    Forecast entries, occupancy and queue length for the next hour or day
+// @access  Private
+router.get('/forecast/:storeId', [
+  query('horizon').optional().isIn(['hour', 'day']).withMessage('Horizon must be hour or day'),
+  query('weeks').optional().isInt({ min: 1, max: 26 }).withMessage('Weeks must be between 1 and 26')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId);
+
     if (!store) {
       return res.status(404).json({
         success: false,
@@ -351,79 +652,338 @@ router.get('/analytics/:storeId', [
       });
     }
 
-    // Calculate date range
-    let startDate, endDate;
     const now = new Date();
+    const forecast = await forecastFootfall(store, {
+      horizon: req.query.horizon || 'hour',
+      historyWeeks: parseInt(req.query.weeks) || DEFAULT_HISTORY_WEEKS,
+      now
+    });
 
-    switch (period) {
-      case 'today':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-        break;
-      case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        endDate = now;
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-        break;
-    }
-
-    // Aggregation pipeline
-    const groupField = groupBy === 'hour' 
-      ? { 
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' },
-          hour: { $hour: '$timestamp' }
-        }
-      : {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' }
-        };
+    if (forecast.horizon === 'hour') {
+      forecast.trend = await forecastTrend(store, forecast, now);
+    }
 
-    const analytics = await FootfallData.aggregate([
-      {
-        $match: {
-          storeId,
-          timestamp: { $gte: startDate, $lt: endDate },
-          dataType: 'realtime',
-          owner: req.user.userId
-        }
-      },
-      {
-        $group: {
-          _id: groupField,
-          totalEntries: { $sum: '$entryCount' },
-          totalExits: { $sum: '$exitCount' },
-          avgPosRate: { $avg: '$posRate' },
-          avgOccupancy: { $avg: '$currentOccupancy' },
-          maxOccupancy: { $max: '$currentOccupancy' },
-          avgQueueLength: { $avg: '$queueData.totalQueue' },
-          dataPoints: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 }
+    res.json({
+      success: true,
+      data: forecast
+    });
+
+  } catch (error) {
+    console.error('Get forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating forecast'
+    });
+  }
+});
+
+// @route   GET /api/footfall/staffing/:storeId
+// @desc    Tills needed to meet the store's service level (Erlang C)
+// @access  Private
+router.get('/staffing/:storeId', [
+  query('window').optional().isInt({ min: 1, max: 240 }).withMessage('Window must be between 1 and 240 minutes'),
+  query('arrivalRate').optional().isFloat({ min: 0 }).withMessage('Arrival rate must be non-negative'),
+  query('serviceTime').optional().isFloat({ min: 0.1 }).withMessage('Service time must be at least 0.1 minutes'),
+  query('activeTills').optional().isInt({ min: 0 }).withMessage('Active tills must be non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    // Any of arrivalRate, serviceTime and activeTills turn this into a what-if
+    const staffing = await recommendStaffing(store, {
+      windowMinutes: parseInt(req.query.window) || DEFAULT_WINDOW_MINUTES,
+      arrivalRate: req.query.arrivalRate !== undefined ? parseFloat(req.query.arrivalRate) : undefined,
+      serviceTimeMinutes: req.query.serviceTime !== undefined ? parseFloat(req.query.serviceTime) : undefined,
+      activeTills: req.query.activeTills !== undefined ? parseInt(req.query.activeTills) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...staffing,
+        isOpen: store.isOpenAt(staffing.at)
       }
-    ]);
+    });
+
+  } catch (error) {
+    console.error('Get staffing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating staffing'
+    });
+  }
+});
+
+// @route   POST /api/footfall/rollups/:storeId/rebuild
+// @desc    Re-run the hourly/daily rollups for a store over a date range
+// @access  Private
+router.post('/rollups/:storeId/rebuild', [
+  body('startDate').isISO8601().withMessage('Start date must be valid ISO8601 date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be valid ISO8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { storeId } = req.params;
+    const startDate = new Date(req.body.startDate);
+    const endDate = req.body.endDate ? new Date(req.body.endDate) : new Date();
+
+    if (endDate <= startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    if (endDate - startDate > MAX_ROLLUP_REBUILD_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_ROLLUP_REBUILD_DAYS} days`
+      });
+    }
+
+    // Verify user may manage the store's data
+    const store = await findAccessibleStore(req.user.userId, storeId, 'footfall:manage');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const result = await rebuildRollups(storeId, startDate, endDate);
 
     res.json({
       success: true,
+      message: 'Rollups rebuilt successfully',
       data: {
-        period,
-        groupBy,
-        analytics
+        storeId,
+        startDate,
+        endDate,
+        ...result
       }
     });
 
   } catch (error) {
-    console.error('Get analytics error:', error);
+    console.error('Rebuild rollups error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching analytics data'
+      message: 'Server error while rebuilding rollups'
+    });
+  }
+});
+
+// @route   GET /api/footfall/retention/:storeId/preview
+// @desc    Dry run: how many documents the retention policy would remove
+// @access  Private
+router.get('/retention/:storeId/preview', [
+  query('realtimeDays').optional().isInt({ min: 1 }).withMessage('realtimeDays must be a positive integer'),
+  query('hourlyDays').optional().isInt({ min: 1 }).withMessage('hourlyDays must be a positive integer'),
+  query('dailyDays').optional().isInt({ min: 1 }).withMessage('dailyDays must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { storeId } = req.params;
+
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    // Query parameters preview an alternative policy without saving it
+    const overrides = {};
+    ['realtimeDays', 'hourlyDays', 'dailyDays'].forEach(field => {
+      if (req.query[field] !== undefined) {
+        overrides[field] = parseInt(req.query[field]);
+      }
+    });
+
+    const plan = await planRetention(store, { overrides });
+    const summarize = (tier) => ({
+      cutoff: tier.cutoff,
+      removable: tier.removable,
+      awaitingRollup: tier.awaitingRollup
+    });
+
+    res.json({
+      success: true,
+      data: {
+        storeId,
+        dryRun: true,
+        policy: plan.policy,
+        realtime: summarize(plan.realtime),
+        hourly: summarize(plan.hourly),
+        daily: summarize(plan.daily)
+      }
+    });
+
+  } catch (error) {
+    console.error('Retention preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing retention'
+    });
+  }
+});
+
+// @route   PUT /api/footfall/retention/:storeId
+// @desc    Update a store's retention policy
+// @access  Private
+router.put('/retention/:storeId', [
+  body('realtimeDays').optional({ nullable: true }).isInt({ min: 1 }).toInt().withMessage('realtimeDays must be a positive integer or null'),
+  body('hourlyDays').optional({ nullable: true }).isInt({ min: 1 }).toInt().withMessage('hourlyDays must be a positive integer or null'),
+  body('dailyDays').optional({ nullable: true }).isInt({ min: 1 }).toInt().withMessage('dailyDays must be a positive integer or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Verify user may manage the store's data
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId, 'footfall:manage');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const policy = getRetentionPolicy(store, req.body);
+
+    // A tier kept for null days is kept forever
+    const keptShorter = (days, otherDays) => Boolean(days) && (!otherDays || days < otherDays);
+
+    if (keptShorter(policy.hourlyDays, policy.realtimeDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hourly rollups must be kept at least as long as raw readings'
+      });
+    }
+
+    if (keptShorter(policy.dailyDays, policy.hourlyDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Daily rollups must be kept at least as long as hourly rollups'
+      });
+    }
+
+    store.set('configuration.retention', { ...policy, configuredAt: new Date() });
+    await store.save();
+
+    res.json({
+      success: true,
+      message: 'Retention policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Update retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating retention policy'
+    });
+  }
+});
+
+// @route   POST /api/footfall/admin/rebuild-occupancy/:storeId
+// @desc    Rebuild the running occupancy chain for a store over a date range
+// @access  Admin
+router.post('/admin/rebuild-occupancy/:storeId', adminMiddleware, [
+  body('startDate').isISO8601().withMessage('Start date must be valid ISO8601 date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be valid ISO8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { storeId } = req.params;
+    const startDate = new Date(req.body.startDate);
+    const endDate = req.body.endDate ? new Date(req.body.endDate) : undefined;
+
+    if (endDate && endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    const store = await Store.findOne({ storeId });
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const result = await FootfallData.recomputeOccupancy(storeId, startDate, endDate);
+
+    res.json({
+      success: true,
+      message: 'Occupancy chain rebuilt successfully',
+      data: {
+        storeId,
+        startDate,
+        endDate: endDate || null,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Rebuild occupancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rebuilding occupancy'
     });
   }
 });
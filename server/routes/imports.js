@@ -0,0 +1,317 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const ImportJob = require('../models/ImportJob');
+const {
+  suggestMapping,
+  prepareImport,
+  runImport,
+  undoImport
+} = require('../services/importService');
+const { findAccessibleStore } = require('../services/accessControl');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Most row errors returned by a preview
+const MAX_PREVIEW_ERRORS = 100;
+
+// Imports write (and undo deletes) a store's history in bulk, so they take
+// the right to manage its footfall data
+const IMPORT_PERMISSION = 'footfall:manage';
+
+// Verify store exists and the user's role allows importing into it
+const findImportStore = (req, storeId) => findAccessibleStore(req.user.userId, storeId, IMPORT_PERMISSION);
+
+// Find an import job if the user's role on its store allows imports. Jobs
+// of deactivated stores can still be inspected and undone.
+const findJobForUser = async (req, jobId) => {
+  const job = await ImportJob.findById(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const store = await findAccessibleStore(req.user.userId, job.storeId, IMPORT_PERMISSION, { includeInactive: true });
+  return store ? job : null;
+};
+
+// Why an import cannot be undone
+const undoDeniedMessage = (job) => {
+  if (job.status === 'completed') {
+    return `Imports can only be undone within ${ImportJob.UNDO_WINDOW_DAYS} days`;
+  }
+  return job.rolledBackAt
+    ? 'The import failed and was already rolled back'
+    : `Cannot undo an import that is ${job.status}`;
+};
+
+// @route   GET /api/footfall/imports/jobs/:jobId
+// @desc    Get an import job with its progress and row errors
+// @access  Private
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await findJobForUser(req, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching import job'
+    });
+  }
+});
+
+// @route   POST /api/footfall/imports/jobs/:jobId/undo
+// @desc    Undo an import, removing every reading it created
+// @access  Private
+router.post('/jobs/:jobId/undo', async (req, res) => {
+  try {
+    const job = await findJobForUser(req, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    if (!job.canUndo()) {
+      return res.status(400).json({
+        success: false,
+        message: undoDeniedMessage(job)
+      });
+    }
+
+    const deletedCount = await undoImport(job);
+
+    if (deletedCount === null) {
+      return res.status(409).json({
+        success: false,
+        message: 'This import is already being undone'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Import undone successfully',
+      deletedCount,
+      job
+    });
+
+  } catch (error) {
+    console.error('Undo import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while undoing import'
+    });
+  }
+});
+
+// @route   POST /api/footfall/imports/:storeId/preview
+// @desc    Validate a CSV and column mapping without importing anything
+// @access  Private
+router.post('/:storeId/preview', [
+  body('csv').isString().notEmpty().withMessage('CSV content is required'),
+  body('mapping').optional().isObject().withMessage('Mapping must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findImportStore(req, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const prepared = prepareImport(req.body.csv, req.body.mapping, {
+      timeZone: store.getTimeZone()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        headers: prepared.headers,
+        suggestedMapping: suggestMapping(prepared.headers),
+        mapping: prepared.mapping,
+        mappingErrors: prepared.mappingErrors,
+        totalRows: prepared.totalRows,
+        validRows: prepared.readings.length,
+        errorCount: prepared.rowErrors.length,
+        rowErrors: prepared.rowErrors.slice(0, MAX_PREVIEW_ERRORS),
+        sample: prepared.readings.slice(0, 5)
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing import'
+    });
+  }
+});
+
+// @route   POST /api/footfall/imports/:storeId
+// @desc    Start importing a CSV of historical footfall data
+// @access  Private
+router.post('/:storeId', [
+  body('csv').isString().notEmpty().withMessage('CSV content is required'),
+  body('mapping').isObject().withMessage('Column mapping is required'),
+  body('fileName').optional().isString().trim(),
+  body('skipInvalidRows').optional().isBoolean().withMessage('skipInvalidRows must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findImportStore(req, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const prepared = prepareImport(req.body.csv, req.body.mapping, {
+      timeZone: store.getTimeZone()
+    });
+
+    if (prepared.mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid column mapping',
+        errors: prepared.mappingErrors
+      });
+    }
+
+    if (prepared.readings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no valid rows',
+        rowErrors: prepared.rowErrors.slice(0, MAX_PREVIEW_ERRORS)
+      });
+    }
+
+    if (prepared.rowErrors.length > 0 && req.body.skipInvalidRows !== true) {
+      return res.status(400).json({
+        success: false,
+        message: `${prepared.rowErrors.length} rows are invalid; fix them or set skipInvalidRows`,
+        errorCount: prepared.rowErrors.length,
+        rowErrors: prepared.rowErrors.slice(0, MAX_PREVIEW_ERRORS)
+      });
+    }
+
+    const timestamps = prepared.readings.map(reading => reading.timestamp.getTime());
+    const dateRange = {
+      start: new Date(timestamps.reduce((min, time) => Math.min(min, time), Infinity)),
+      end: new Date(timestamps.reduce((max, time) => Math.max(max, time), -Infinity))
+    };
+
+    const job = await ImportJob.create({
+      storeId: store.storeId,
+      fileName: req.body.fileName,
+      columnMapping: prepared.mapping,
+      totalRows: prepared.totalRows,
+      validRows: prepared.readings.length,
+      errorCount: prepared.rowErrors.length,
+      rowErrors: prepared.rowErrors.slice(0, ImportJob.MAX_STORED_ROW_ERRORS),
+      dateRange,
+      startedAt: new Date(),
+      owner: req.user.userId
+    });
+
+    // Process in the background; clients poll the job for progress
+    setImmediate(() => runImport(job, store, prepared.readings));
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      job
+    });
+
+  } catch (error) {
+    console.error('Create import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting import'
+    });
+  }
+});
+
+// @route   GET /api/footfall/imports/:storeId
+// @desc    Get import jobs for a store
+// @access  Private
+router.get('/:storeId', [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findImportStore(req, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const jobs = await ImportJob.find({ storeId: store.storeId })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+
+  } catch (error) {
+    console.error('Get import jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching import jobs'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const Alert = require('../models/Alert');
+const NotificationPreference = require('../models/NotificationPreference');
+const { isMailConfigured } = require('../services/mailService');
+const {
+  UNSUBSCRIBE_SCOPES,
+  escapeHtml,
+  getPreference,
+  getRecipient,
+  unsubscribe,
+  buildDigest,
+  sendDigestEmail,
+  sendTestEmail
+} = require('../services/notificationService');
+const { findAccessibleStore } = require('../services/accessControl');
+
+const router = express.Router();
+
+const SCOPE_LABELS = {
+  alerts: 'alert emails',
+  digest: 'daily digest emails',
+  all: 'all emails'
+};
+
+// Minimal standalone page for the unsubscribe flow, which is opened from
+// an email client without the app
+const page = (title, content) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family:sans-serif;max-width:480px;margin:48px auto;padding:0 16px">
+<h1 style="font-size:20px">${title}</h1>
+${content}
+</body>
+</html>`;
+
+const scopeFrom = (value) => (UNSUBSCRIBE_SCOPES.includes(value) ? value : 'all');
+
+// @route   GET /api/notifications/unsubscribe/:token
+// @desc    Confirm unsubscribing from a store's emails. Link scanners fetch
+//          links in emails, so this only shows a form.
+// @access  Public (token)
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const scope = scopeFrom(req.query.scope);
+    const preference = await NotificationPreference.findOne({ unsubscribeToken: req.params.token });
+
+    if (!preference) {
+      return res.status(404).send(page('Link not valid', '<p>This unsubscribe link is not valid.</p>'));
+    }
+
+    res.send(page('Unsubscribe', `
+<p>Stop receiving ${SCOPE_LABELS[scope]} for store ${escapeHtml(preference.storeId)}?</p>
+<form method="post" action="?scope=${scope}">
+<button type="submit">Unsubscribe</button>
+</form>`));
+
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+// @route   POST /api/notifications/unsubscribe/:token
+// @desc    Unsubscribe from a store's emails (also the one-click
+//          List-Unsubscribe target)
+// @access  Public (token)
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const scope = scopeFrom(req.query.scope);
+    const preference = await unsubscribe(req.params.token, scope);
+
+    if (!preference) {
+      return res.status(404).send(page('Link not valid', '<p>This unsubscribe link is not valid.</p>'));
+    }
+
+    res.send(page('Unsubscribed', `
+<p>You will no longer receive ${SCOPE_LABELS[scope]} for store ${escapeHtml(preference.storeId)}.
+You can turn them back on from the notification settings in the app.</p>`));
+
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+// Apply auth middleware to the remaining routes
+router.use(authMiddleware);
+
+// @route   GET /api/notifications/preferences/:storeId
+// @desc    Get the current user's notification preferences for a store
+// @access  Private
+router.get('/preferences/:storeId', async (req, res) => {
+  try {
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const preference = await getPreference(req.user.userId, store.storeId);
+
+    res.json({
+      success: true,
+      preference,
+      mailConfigured: isMailConfigured()
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences/:storeId
+// @desc    Update the current user's notification preferences for a store
+// @access  Private
+router.put('/preferences/:storeId', [
+  body('alertEmails.enabled').optional().isBoolean().withMessage('alertEmails.enabled must be boolean'),
+  body('alertEmails.severities').optional().isArray().withMessage('Severities must be an array'),
+  body('alertEmails.severities.*').isIn(Alert.SEVERITIES).withMessage('Invalid severity level'),
+  body('alertEmails.alertTypes').optional().isArray().withMessage('Alert types must be an array'),
+  body('alertEmails.alertTypes.*').isIn(Alert.ALERT_TYPES).withMessage('Invalid alert type'),
+  body('digest.enabled').optional().isBoolean().withMessage('digest.enabled must be boolean'),
+  body('digest.hour').optional().isInt({ min: 0, max: 23 }).withMessage('Digest hour must be between 0 and 23')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const preference = await getPreference(req.user.userId, store.storeId);
+    const { alertEmails = {}, digest = {} } = req.body;
+
+    ['enabled', 'severities', 'alertTypes'].forEach(field => {
+      if (alertEmails[field] !== undefined) {
+        preference.alertEmails[field] = alertEmails[field];
+      }
+    });
+    ['enabled', 'hour'].forEach(field => {
+      if (digest[field] !== undefined) {
+        preference.digest[field] = digest[field];
+      }
+    });
+
+    await preference.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preference
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+});
+
+// @route   POST /api/notifications/test-email
+// @desc    Send a test email to the current user
+// @access  Private
+router.post('/test-email', async (req, res) => {
+  try {
+    if (!isMailConfigured()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is not configured on this server (set SMTP_HOST)'
+      });
+    }
+
+    const email = await sendTestEmail(req.user.userId);
+
+    res.json({
+      success: true,
+      message: `Test email sent to ${email}`
+    });
+
+  } catch (error) {
+    console.error('Send test email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending test email'
+    });
+  }
+});
+
+// @route   POST /api/notifications/digest/:storeId
+// @desc    Build the store's digest for the previous day and (unless
+//          preview=true) email it to the current user now
+// @access  Private
+router.post('/digest/:storeId', [
+  query('preview').optional().isBoolean().withMessage('Preview must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const digest = await buildDigest(store);
+
+    if (req.query.preview === 'true') {
+      return res.json({
+        success: true,
+        digest
+      });
+    }
+
+    if (!isMailConfigured()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is not configured on this server (set SMTP_HOST)'
+      });
+    }
+
+    const preference = await getRecipient(req.user.userId, store.storeId);
+
+    await sendDigestEmail(preference, digest);
+
+    res.json({
+      success: true,
+      message: `Digest sent to ${preference.user.email}`,
+      digest
+    });
+
+  } catch (error) {
+    console.error('Send digest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending digest'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,997 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const Invitation = require('../models/Invitation');
+const AuditLog = require('../models/AuditLog');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const { normalizeEmail } = require('validator');
+const { can, getStoreRole } = require('../services/accessControl');
+const { isMailConfigured } = require('../services/mailService');
+const { invitationUrl, sendInvitationEmail } = require('../services/notificationService');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// The user's membership in an active organization, with the organization
+const findOrganizationMembership = async (userId, organizationId) => {
+  if (!mongoose.isValidObjectId(organizationId)) {
+    return null;
+  }
+
+  const membership = await Membership.findOne({ organization: organizationId, user: userId })
+    .populate('organization');
+
+  return membership && membership.organization && membership.organization.isActive ? membership : null;
+};
+
+// Store IDs in the list that are not active stores of the organization
+const findForeignStoreIds = async (organizationId, storeIds) => {
+  const stores = await Store.find({
+    organization: organizationId,
+    storeId: { $in: storeIds },
+    isActive: true
+  }).select('storeId');
+  const known = new Set(stores.map(store => store.storeId));
+
+  return storeIds.filter(storeId => !known.has(storeId));
+};
+
+// Check whether the membership is the organization's only admin
+const isLastAdmin = async (membership) => membership.role === 'org_admin' &&
+  await Membership.countDocuments({
+    organization: membership.organization._id || membership.organization,
+    role: 'org_admin'
+  }) <= 1;
+
+// Email an invitation if mail is configured. Failures are reported rather
+// than thrown; the link in the response still works.
+const deliverInvitation = async (invitation, token, organization, userId) => {
+  if (!isMailConfigured()) {
+    return false;
+  }
+
+  try {
+    const inviter = await User.findById(userId).select('name email');
+    await sendInvitationEmail(invitation, token, organization, inviter);
+    return true;
+  } catch (error) {
+    console.error(`Invitation email to ${invitation.email} failed:`, error.message);
+    return false;
+  }
+};
+
+const storeIdsValidators = [
+  body('storeIds').optional().isArray().withMessage('Store IDs must be an array'),
+  body('storeIds.*').isString().trim().notEmpty().withMessage('Store IDs must be non-empty strings')
+];
+
+// @route   GET /api/organizations/invitations/:token
+// @desc    Get the invitation a link refers to
+// @access  Private
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token)
+      .populate('organization', 'name isActive')
+      .populate('invitedBy', 'name email');
+
+    if (!invitation || !invitation.organization || !invitation.organization.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        ...invitation.toJSON(),
+        isOpen: invitation.isOpen()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation'
+    });
+  }
+});
+
+// @route   POST /api/organizations/invitations/:token/accept
+// @desc    Join an organization by accepting an invitation sent to the
+//          user's email address
+// @access  Private
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token)
+      .populate('organization', 'name isActive');
+
+    if (!invitation || !invitation.organization || !invitation.organization.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!invitation.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation has expired or is no longer valid'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('email');
+
+    // Invitations store the address normalised like sign-up does; Google
+    // sign-in keeps the address as given, so normalise it the same way
+    if (!user || normalizeEmail(user.email) !== invitation.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const organizationId = invitation.organization._id;
+    const existing = await Membership.findOne({ organization: organizationId, user: user._id });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this organization'
+      });
+    }
+
+    // Stores may have left the organization since the invitation was sent
+    const foreign = await findForeignStoreIds(organizationId, invitation.storeIds);
+
+    const membership = await Membership.create({
+      organization: organizationId,
+      user: user._id,
+      role: invitation.role,
+      storeIds: invitation.storeIds.filter(storeId => !foreign.includes(storeId)),
+      invitedBy: invitation.invitedBy
+    });
+
+    invitation.status = 'accepted';
+    invitation.acceptedBy = user._id;
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    await AuditLog.record(organizationId, user._id, 'invitation.accepted', {
+      type: 'invitation',
+      id: String(invitation._id),
+      label: invitation.email
+    }, { role: membership.role, storeIds: membership.storeIds });
+
+    res.json({
+      success: true,
+      message: `You joined ${invitation.organization.name}`,
+      membership
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+// @route   GET /api/organizations
+// @desc    Get the organizations the user belongs to, with their role
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await Membership.find({ user: req.user.userId })
+      .populate('organization')
+      .sort({ createdAt: 1 });
+
+    const organizations = memberships
+      .filter(membership => membership.organization && membership.organization.isActive)
+      .map(membership => ({
+        ...membership.organization.toJSON(),
+        membershipId: membership._id,
+        role: membership.role,
+        storeIds: membership.storeIds
+      }));
+
+    res.json({
+      success: true,
+      count: organizations.length,
+      organizations
+    });
+
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organizations'
+    });
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create an organization with the user as its admin
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Organization name is required')
+    .isLength({ max: 100 }).withMessage('Organization name must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await Organization.create({
+      name: req.body.name,
+      createdBy: req.user.userId
+    });
+
+    const membership = await Membership.create({
+      organization: organization._id,
+      user: req.user.userId,
+      role: 'org_admin'
+    });
+
+    await AuditLog.record(organization._id, req.user.userId, 'organization.created', {
+      type: 'organization',
+      id: String(organization._id),
+      label: organization.name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      organization: {
+        ...organization.toJSON(),
+        membershipId: membership._id,
+        role: membership.role,
+        storeIds: membership.storeIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating organization'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:orgId
+// @desc    Rename an organization
+// @access  Private (org admin)
+router.put('/:orgId', [
+  body('name').trim().notEmpty().withMessage('Organization name is required')
+    .isLength({ max: 100 }).withMessage('Organization name must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can update the organization'
+      });
+    }
+
+    const { organization } = membership;
+    const previousName = organization.name;
+
+    organization.name = req.body.name;
+    await organization.save();
+
+    await AuditLog.record(organization._id, req.user.userId, 'organization.updated', {
+      type: 'organization',
+      id: String(organization._id),
+      label: organization.name
+    }, { name: { from: previousName, to: organization.name } });
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      organization
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating organization'
+    });
+  }
+});
+
+// @route   POST /api/organizations/:orgId/stores
+// @desc    Move a store the user fully controls into the organization
+// @access  Private (org admin)
+router.post('/:orgId/stores', [
+  body('storeId').notEmpty().withMessage('Store ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can add stores'
+      });
+    }
+
+    const store = await Store.findOne({ storeId: req.body.storeId, isActive: true });
+
+    // Owners of personal stores and admins of the current organization
+    // may move a store
+    if (!store || !can(await getStoreRole(req.user.userId, store), 'store:delete')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const organization = membership.organization;
+
+    if (store.organization && store.organization.equals(organization._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store already belongs to this organization'
+      });
+    }
+
+    const previousOrganization = store.organization || null;
+
+    // The owner stays as the record owner of the store's data, but from now
+    // on access comes only from memberships of the organization
+    store.organization = organization._id;
+    await store.save();
+
+    await AuditLog.record(organization._id, req.user.userId, 'store.added', {
+      type: 'store',
+      id: store.storeId,
+      label: store.storeName
+    }, { fromOrganization: previousOrganization });
+
+    res.json({
+      success: true,
+      message: 'Store added to organization successfully',
+      store
+    });
+
+  } catch (error) {
+    console.error('Add organization store error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding store to organization'
+    });
+  }
+});
+
+// @route   GET /api/organizations/:orgId/members
+// @desc    Get an organization's members with their roles and store
+//          assignments
+// @access  Private (members)
+router.get('/:orgId/members', async (req, res) => {
+  try {
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    const members = await Membership.find({ organization: membership.organization._id })
+      .populate('user', 'name email')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: members.length,
+      members
+    });
+
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching members'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:orgId/members/:membershipId
+// @desc    Change a member's role or store assignments
+// @access  Private (org admin)
+router.put('/:orgId/members/:membershipId', [
+  body('role').optional().isIn(Membership.ROLES).withMessage('Invalid role'),
+  ...storeIdsValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can change members'
+      });
+    }
+
+    const organizationId = membership.organization._id;
+    const member = mongoose.isValidObjectId(req.params.membershipId)
+      ? await Membership.findOne({ _id: req.params.membershipId, organization: organizationId })
+        .populate('user', 'name email')
+      : null;
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { role, storeIds } = req.body;
+
+    if (role && role !== 'org_admin' && await isLastAdmin(member)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization needs at least one admin'
+      });
+    }
+
+    if (storeIds) {
+      const foreign = await findForeignStoreIds(organizationId, storeIds);
+
+      if (foreign.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Stores not in this organization: ${foreign.join(', ')}`
+        });
+      }
+    }
+
+    const target = {
+      type: 'membership',
+      id: String(member._id),
+      label: member.user ? member.user.email : undefined
+    };
+    const previousRole = member.role;
+    const previousStoreIds = [...member.storeIds];
+
+    if (role) {
+      member.role = role;
+    }
+    if (storeIds) {
+      member.storeIds = [...new Set(storeIds)];
+    }
+
+    await member.save();
+
+    if (member.role !== previousRole) {
+      await AuditLog.record(organizationId, req.user.userId, 'membership.role_changed', target, {
+        from: previousRole,
+        to: member.role
+      });
+    }
+    if (storeIds && member.storeIds.join() !== previousStoreIds.join()) {
+      await AuditLog.record(organizationId, req.user.userId, 'membership.stores_changed', target, {
+        from: previousStoreIds,
+        to: member.storeIds
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member updated successfully',
+      member
+    });
+
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating member'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:orgId/members/:membershipId
+// @desc    Remove a member (members may also remove themselves)
+// @access  Private (org admin or the member)
+router.delete('/:orgId/members/:membershipId', async (req, res) => {
+  try {
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    const organizationId = membership.organization._id;
+    const member = mongoose.isValidObjectId(req.params.membershipId)
+      ? await Membership.findOne({ _id: req.params.membershipId, organization: organizationId })
+        .populate('user', 'name email')
+      : null;
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!member._id.equals(membership._id) && !can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can remove members'
+      });
+    }
+
+    if (await isLastAdmin(member)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization needs at least one admin'
+      });
+    }
+
+    await Membership.deleteOne({ _id: member._id });
+
+    await AuditLog.record(organizationId, req.user.userId, 'membership.removed', {
+      type: 'membership',
+      id: String(member._id),
+      label: member.user ? member.user.email : undefined
+    }, { role: member.role, storeIds: member.storeIds });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+});
+
+// @route   GET /api/organizations/:orgId/invitations
+// @desc    Get an organization's invitations
+// @access  Private (org admin)
+router.get('/:orgId/invitations', [
+  query('status').optional().isIn(['pending', 'accepted', 'revoked']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can view invitations'
+      });
+    }
+
+    const filter = { organization: membership.organization._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      invitations: invitations.map(invitation => ({
+        ...invitation.toJSON(),
+        isOpen: invitation.isOpen()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations'
+    });
+  }
+});
+
+// @route   POST /api/organizations/:orgId/invitations
+// @desc    Invite someone by email to join with a role and store
+//          assignments. The response carries the invitation link, which
+//          only works for a user signed in with that email.
+// @access  Private (org admin)
+router.post('/:orgId/invitations', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').isIn(Membership.ROLES).withMessage('Invalid role'),
+  ...storeIdsValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can invite members'
+      });
+    }
+
+    const { organization } = membership;
+    const { email, role } = req.body;
+    const storeIds = [...new Set(req.body.storeIds || [])];
+
+    const foreign = await findForeignStoreIds(organization._id, storeIds);
+
+    if (foreign.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Stores not in this organization: ${foreign.join(', ')}`
+      });
+    }
+
+    const invitedUser = await User.findOne({ email }).select('_id');
+
+    if (invitedUser && await Membership.exists({ organization: organization._id, user: invitedUser._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the organization'
+      });
+    }
+
+    const pending = await Invitation.findOne({
+      organization: organization._id,
+      email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invitation is already pending for this email; resend it instead'
+      });
+    }
+
+    const invitation = new Invitation({
+      organization: organization._id,
+      email,
+      role,
+      storeIds,
+      invitedBy: req.user.userId
+    });
+    const token = invitation.issueToken();
+
+    await invitation.save();
+
+    await AuditLog.record(organization._id, req.user.userId, 'invitation.created', {
+      type: 'invitation',
+      id: String(invitation._id),
+      label: invitation.email
+    }, { role, storeIds });
+
+    const emailSent = await deliverInvitation(invitation, token, organization, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? `Invitation sent to ${email}` : 'Invitation created; share the link to invite',
+      invitation,
+      acceptUrl: invitationUrl(token),
+      emailSent
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation'
+    });
+  }
+});
+
+// @route   POST /api/organizations/:orgId/invitations/:invitationId/resend
+// @desc    Issue a new link for a pending invitation (the old link stops
+//          working) and restart its expiry
+// @access  Private (org admin)
+router.post('/:orgId/invitations/:invitationId/resend', async (req, res) => {
+  try {
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can resend invitations'
+      });
+    }
+
+    const { organization } = membership;
+    const invitation = mongoose.isValidObjectId(req.params.invitationId)
+      ? await Invitation.findOne({ _id: req.params.invitationId, organization: organization._id })
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    const token = invitation.issueToken();
+    await invitation.save();
+
+    await AuditLog.record(organization._id, req.user.userId, 'invitation.resent', {
+      type: 'invitation',
+      id: String(invitation._id),
+      label: invitation.email
+    });
+
+    const emailSent = await deliverInvitation(invitation, token, organization, req.user.userId);
+
+    res.json({
+      success: true,
+      message: emailSent ? `Invitation sent to ${invitation.email}` : 'Invitation renewed; share the link to invite',
+      invitation,
+      acceptUrl: invitationUrl(token),
+      emailSent
+    });
+
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending invitation'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:orgId/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (org admin)
+router.delete('/:orgId/invitations/:invitationId', async (req, res) => {
+  try {
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can revoke invitations'
+      });
+    }
+
+    const organizationId = membership.organization._id;
+    const invitation = mongoose.isValidObjectId(req.params.invitationId)
+      ? await Invitation.findOne({ _id: req.params.invitationId, organization: organizationId })
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await AuditLog.record(organizationId, req.user.userId, 'invitation.revoked', {
+      type: 'invitation',
+      id: String(invitation._id),
+      label: invitation.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      invitation
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation'
+    });
+  }
+});
+
+// @route   GET /api/organizations/:orgId/audit-log
+// @desc    Get the organization's audit log, newest first
+// @access  Private (org admin)
+router.get('/:orgId/audit-log', [
+  query('action').optional().isIn(AuditLog.AUDIT_ACTIONS).withMessage('Invalid action'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await findOrganizationMembership(req.user.userId, req.params.orgId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found or access denied'
+      });
+    }
+
+    if (!can(membership.role, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can view the audit log'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { organization: membership.organization._id };
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,555 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const StoreGroup = require('../models/StoreGroup');
+const Membership = require('../models/Membership');
+const Store = require('../models/Store');
+const FootfallData = require('../models/FootfallData');
+const Alert = require('../models/Alert');
+const {
+  can,
+  getMembership,
+  getGroupRole,
+  canManageGroup,
+  listAccessibleStores
+} = require('../services/accessControl');
+const { getStoreAnalytics, combineAnalytics, combineWindowStats } = require('../services/analyticsService');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Orders for the ranking view
+const RANKINGS = {
+  // Most entries in the window, then the most people inside now
+  busiest: (a, b) => b.totalEntries - a.totalEntries || b.latestOccupancy - a.latestOccupancy,
+  // Longest queue now, then the longest average queue
+  queue: (a, b) => b.latestQueueLength - a.latestQueueLength || b.avgQueueLength - a.avgQueueLength,
+  // Most active alerts of the highest severity first
+  alerts: (a, b) => ['critical', 'high', 'medium', 'low']
+    .map(severity => b.activeAlerts[severity] - a.activeAlerts[severity])
+    .find(difference => difference !== 0) || 0,
+  // Highest conversion first; stores without entries in the window last
+  conversion: (a, b) => (b.conversionRate === null ? -1 : b.conversionRate) -
+    (a.conversionRate === null ? -1 : a.conversionRate) || b.totalEntries - a.totalEntries
+};
+
+// Find a group the user can see, with their role on it
+const findAccessibleGroup = async (userId, groupId) => {
+  if (!mongoose.isValidObjectId(groupId)) {
+    return null;
+  }
+
+  const group = await StoreGroup.findById(groupId);
+  if (!group) {
+    return null;
+  }
+
+  const role = await getGroupRole(userId, group);
+  return role ? { group, role } : null;
+};
+
+// The group's active stores that the user can access. Members assigned to
+// only some of a region's stores see figures for those stores only.
+const findGroupStores = async (userId, group) => (await listAccessibleStores(userId))
+  .map(({ store }) => store)
+  .filter(store => group.storeIds.includes(store.storeId));
+
+// Store IDs in the list that cannot be added to the group: stores outside
+// its organization, or for personal groups stores the user cannot access
+const findInvalidStoreIds = async (userId, organizationId, storeIds) => {
+  const valid = organizationId
+    ? (await Store.find({ organization: organizationId, storeId: { $in: storeIds }, isActive: true }).select('storeId'))
+      .map(store => store.storeId)
+    : (await listAccessibleStores(userId)).map(({ store }) => store.storeId);
+
+  return storeIds.filter(storeId => !valid.includes(storeId));
+};
+
+const groupValidators = (required) => [
+  required
+    ? body('name').trim().notEmpty().withMessage('Group name is required')
+    : body('name').optional().trim().notEmpty().withMessage('Group name cannot be empty'),
+  body('name').optional().isLength({ max: 100 }).withMessage('Group name must be at most 100 characters'),
+  body('type').optional().isIn(StoreGroup.GROUP_TYPES).withMessage('Type must be region, format or tag'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('storeIds').optional().isArray().withMessage('Store IDs must be an array'),
+  body('storeIds.*').isString().trim().notEmpty().withMessage('Store IDs must be non-empty strings')
+];
+
+// @route   GET /api/store-groups
+// @desc    Get the user's personal groups and the groups of their
+//          organizations
+// @access  Private
+router.get('/', [
+  query('type').optional().isIn(StoreGroup.GROUP_TYPES).withMessage('Type must be region, format or tag')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const memberships = await Membership.find({ user: req.user.userId });
+    const roleByOrganization = new Map(memberships.map(membership => [String(membership.organization), membership.role]));
+
+    const filter = {
+      $or: [
+        { organization: null, owner: req.user.userId },
+        { organization: { $in: memberships.map(membership => membership.organization) } }
+      ]
+    };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const groups = await StoreGroup.find(filter).sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: groups.length,
+      groups: groups.map(group => ({
+        ...group.toJSON(),
+        canManage: group.organization
+          ? can(roleByOrganization.get(String(group.organization)), 'org:manage')
+          : true
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get store groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching store groups'
+    });
+  }
+});
+
+// @route   POST /api/store-groups
+// @desc    Create a store group, shared with an organization (admins only)
+//          or personal
+// @access  Private
+router.post('/', [
+  ...groupValidators(true),
+  body('organizationId').optional().isMongoId().withMessage('Invalid organization ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, description, organizationId } = req.body;
+    const storeIds = [...new Set(req.body.storeIds || [])];
+
+    if (organizationId) {
+      const membership = await getMembership(req.user.userId, organizationId);
+
+      if (!membership || !can(membership.role, 'org:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only organization admins can create shared store groups'
+        });
+      }
+    }
+
+    const invalid = await findInvalidStoreIds(req.user.userId, organizationId, storeIds);
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Stores not found or not accessible: ${invalid.join(', ')}`
+      });
+    }
+
+    const group = new StoreGroup({
+      name,
+      type,
+      description,
+      storeIds,
+      organization: organizationId,
+      owner: req.user.userId
+    });
+
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Store group created successfully',
+      group
+    });
+
+  } catch (error) {
+    console.error('Create store group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating store group'
+    });
+  }
+});
+
+// @route   GET /api/store-groups/:groupId
+// @desc    Get a store group with the member stores the user can access
+// @access  Private
+router.get('/:groupId', async (req, res) => {
+  try {
+    const access = await findAccessibleGroup(req.user.userId, req.params.groupId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store group not found or access denied'
+      });
+    }
+
+    const stores = await findGroupStores(req.user.userId, access.group);
+
+    res.json({
+      success: true,
+      group: {
+        ...access.group.toJSON(),
+        canManage: canManageGroup(access.role)
+      },
+      stores
+    });
+
+  } catch (error) {
+    console.error('Get store group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching store group'
+    });
+  }
+});
+
+// @route   PUT /api/store-groups/:groupId
+// @desc    Update a store group (storeIds replaces the member list)
+// @access  Private
+router.put('/:groupId', groupValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleGroup(req.user.userId, req.params.groupId);
+
+    if (!access || !canManageGroup(access.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store group not found or access denied'
+      });
+    }
+
+    const { group } = access;
+
+    if (req.body.storeIds !== undefined) {
+      const storeIds = [...new Set(req.body.storeIds)];
+      const invalid = await findInvalidStoreIds(req.user.userId, group.organization, storeIds);
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Stores not found or not accessible: ${invalid.join(', ')}`
+        });
+      }
+      group.storeIds = storeIds;
+    }
+
+    ['name', 'type', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        group[field] = req.body[field];
+      }
+    });
+
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Store group updated successfully',
+      group
+    });
+
+  } catch (error) {
+    console.error('Update store group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating store group'
+    });
+  }
+});
+
+// @route   DELETE /api/store-groups/:groupId
+// @desc    Delete a store group (its stores are not affected)
+// @access  Private
+router.delete('/:groupId', async (req, res) => {
+  try {
+    const access = await findAccessibleGroup(req.user.userId, req.params.groupId);
+
+    if (!access || !canManageGroup(access.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store group not found or access denied'
+      });
+    }
+
+    await StoreGroup.deleteOne({ _id: access.group._id });
+
+    res.json({
+      success: true,
+      message: 'Store group deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete store group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting store group'
+    });
+  }
+});
+
+// @route   GET /api/store-groups/:groupId/window
+// @desc    Window statistics (last N minutes) summed across the group's
+//          stores, with each store's own figures
+// @access  Private
+router.get('/:groupId/window', [
+  query('minutes').optional().isInt({ min: 1 }).withMessage('Minutes must be positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleGroup(req.user.userId, req.params.groupId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store group not found or access denied'
+      });
+    }
+
+    const windowMinutes = parseInt(req.query.minutes) || 60;
+    const stores = await findGroupStores(req.user.userId, access.group);
+    const statsByStore = await FootfallData.getWindowStatsByStore(stores.map(store => store.storeId), windowMinutes);
+
+    res.json({
+      success: true,
+      data: {
+        windowMinutes,
+        storeCount: stores.length,
+        ...combineWindowStats(statsByStore),
+        stores: stores.map(store => ({
+          storeId: store.storeId,
+          storeName: store.storeName,
+          ...combineWindowStats(statsByStore.filter(stats => stats._id === store.storeId))
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group window stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching group window statistics'
+    });
+  }
+});
+
+// @route   GET /api/store-groups/:groupId/analytics
+// @desc    Analytics for the group's stores combined by local hour or day
+// @access  Private
+router.get('/:groupId/analytics', [
+  query('period').optional().isIn(['today', 'week', 'month']).withMessage('Period must be today, week, or month'),
+  query('groupBy').optional().isIn(['hour', 'day']).withMessage('Group by must be hour or day')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleGroup(req.user.userId, req.params.groupId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store group not found or access denied'
+      });
+    }
+
+    const period = req.query.period || 'today';
+    const groupBy = req.query.groupBy || 'hour';
+    const stores = await findGroupStores(req.user.userId, access.group);
+
+    const results = [];
+    for (const store of stores) {
+      results.push(await getStoreAnalytics(store, { period, groupBy }));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        groupBy,
+        storeCount: stores.length,
+        // Groups are each store's local time; stores in different
+        // timezones are combined by local hour or day
+        timezones: [...new Set(results.map(result => result.timezone))],
+        analytics: combineAnalytics(results.map(result => result.analytics))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching group analytics'
+    });
+  }
+});
+
+// @route   GET /api/store-groups/:groupId/alerts/stats
+// @desc    Alert statistics across the group's stores, with active alert
+//          counts per store
+// @access  Private
+router.get('/:groupId/alerts/stats', async (req, res) => {
+  try {
+    const access = await findAccessibleGroup(req.user.userId, req.params.groupId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store group not found or access denied'
+      });
+    }
+
+    const stores = await findGroupStores(req.user.userId, access.group);
+    const storeIds = stores.map(store => store.storeId);
+
+    const [stats, activeByStore, recentAlerts] = await Promise.all([
+      Alert.getStatsForStore(storeIds),
+      Alert.getActiveCountsByStore(storeIds),
+      Alert.find({ storeId: { $in: storeIds }, isActive: true })
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .select('storeId alertType severity title createdAt')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        storeCount: stores.length,
+        stats,
+        activeByStore,
+        recentAlerts
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group alert stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching group alert statistics'
+    });
+  }
+});
+
+// @route   GET /api/store-groups/:groupId/ranking
+// @desc    Rank the group's stores: busiest, longest queues or most
+//          critical alerts
+// @access  Private
+router.get('/:groupId/ranking', [
+  query('sortBy').optional().isIn(Object.keys(RANKINGS)).withMessage('Sort by must be busiest, queue, alerts or conversion'),
+  query('minutes').optional().isInt({ min: 1 }).withMessage('Minutes must be positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleGroup(req.user.userId, req.params.groupId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store group not found or access denied'
+      });
+    }
+
+    const sortBy = req.query.sortBy || 'busiest';
+    const windowMinutes = parseInt(req.query.minutes) || 60;
+    const stores = await findGroupStores(req.user.userId, access.group);
+    const storeIds = stores.map(store => store.storeId);
+
+    const [statsByStore, activeByStore] = await Promise.all([
+      FootfallData.getWindowStatsByStore(storeIds, windowMinutes),
+      Alert.getActiveCountsByStore(storeIds)
+    ]);
+    const statsById = new Map(statsByStore.map(stats => [stats._id, stats]));
+
+    const ranking = stores
+      .map(store => {
+        const stats = statsById.get(store.storeId) || {};
+        return {
+          storeId: store.storeId,
+          storeName: store.storeName,
+          totalEntries: stats.totalEntries || 0,
+          latestOccupancy: stats.latestOccupancy || 0,
+          avgQueueLength: stats.avgQueueLength || 0,
+          latestQueueLength: stats.latestQueueLength || 0,
+          conversionRate: stats.conversionRate === undefined ? null : stats.conversionRate,
+          activeAlerts: activeByStore[store.storeId]
+        };
+      })
+      .sort(RANKINGS[sortBy])
+      .map((row, index) => ({ rank: index + 1, ...row }));
+
+    res.json({
+      success: true,
+      data: {
+        sortBy,
+        windowMinutes,
+        ranking
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group ranking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ranking stores'
+    });
+  }
+});
+
+module.exports = router;
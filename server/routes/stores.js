@@ -3,19 +3,45 @@ const { body, validationResult } = require('express-validator');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const Store = require('../models/Store');
 const FootfallData = require('../models/FootfallData');
+const {
+  can,
+  getMembership,
+  getStoreRole,
+  findAccessibleStore,
+  listAccessibleStores
+} = require('../services/accessControl');
+const { realignRollups } = require('../services/rollupService');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+// Configuration keys that take more than store:update to change, with the
+// permission each needs
+const MANAGED_CONFIGURATION = {
+  retention: 'footfall:manage'
+};
+
 // @route   POST /api/stores
-// @desc    Create a new store
+// @desc    Create a new store, optionally in an organization the user
+//          administers
 // @access  Private
 router.post('/', [
   body('storeId').notEmpty().withMessage('Store ID is required'),
+  body('organizationId').optional().isMongoId().withMessage('Invalid organization ID'),
   body('storeName').notEmpty().withMessage('Store name is required'),
-  body('tillCount').isInt({ min: 1 }).withMessage('Till count must be at least 1')
+  body('tillCount').isInt({ min: 1 }).withMessage('Till count must be at least 1'),
+  body('configuration.timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be an IANA timezone name'),
+  body('configuration.operatingHours.open').optional().matches(Store.TIME_OF_DAY).withMessage('Opening time must be HH:mm'),
+  body('configuration.operatingHours.close').optional().matches(Store.TIME_OF_DAY).withMessage('Closing time must be HH:mm'),
+  body('configuration.serviceLevel.targetWaitMinutes').optional().isFloat({ min: 0.5 }).withMessage('Target wait must be at least 0.5 minutes'),
+  body('configuration.serviceLevel.targetPercent').optional().isFloat({ min: 1, max: 99.9 }).withMessage('Target percent must be between 1 and 99.9'),
+  body('configuration.serviceLevel.checkoutRatio').optional().isFloat({ min: 0, max: 1 }).withMessage('Checkout ratio must be between 0 and 1'),
+  body('configuration.serviceLevel.defaultServiceTimeMinutes').optional().isFloat({ min: 0.1 }).withMessage('Default service time must be at least 0.1 minutes'),
+  body('configuration.alerting.cooldownMinutes').optional().isFloat({ min: 0 }).withMessage('Alert cooldown must be non-negative'),
+  body('configuration.alerting.autoResolveMinutes').optional().isFloat({ min: 1 }).withMessage('Auto-resolve period must be at least 1 minute')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -32,13 +58,22 @@ router.post('/', [
       storeName,
       location,
       configuration,
+      organizationId
     } = req.body;
 
-    // Check if store ID already exists for this user
-    const existingStore = await Store.findOne({ 
-      storeId, 
-      owner: req.user.userId 
-    });
+    if (organizationId) {
+      const membership = await getMembership(req.user.userId, organizationId);
+
+      if (!membership || !can(membership.role, 'org:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only organization admins can add stores to an organization'
+        });
+      }
+    }
+
+    // Store IDs are unique across all users
+    const existingStore = await Store.findOne({ storeId });
 
     if (existingStore) {
       return res.status(400).json({
@@ -52,6 +87,7 @@ router.post('/', [
       storeName,
       location,
       configuration,
+      organization: organizationId,
       owner: req.user.userId
     });
 
@@ -73,19 +109,17 @@ router.post('/', [
 });
 
 // @route   GET /api/stores
-// @desc    Get all stores for authenticated user
+// @desc    Get all stores the authenticated user can access, with their
+//          role on each
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const stores = await Store.find({ 
-      owner: req.user.userId,
-      isActive: true 
-    }).sort({ createdAt: -1 });
+    const accessible = await listAccessibleStores(req.user.userId);
 
     res.json({
       success: true,
-      count: stores.length,
-      stores
+      count: accessible.length,
+      stores: accessible.map(({ store, role }) => ({ ...store.toJSON(), role }))
     });
 
   } catch (error) {
@@ -102,11 +136,7 @@ router.get('/', async (req, res) => {
 // @access  Private
 router.get('/:storeId', async (req, res) => {
   try {
-    const store = await Store.findOne({
-      storeId: req.params.storeId,
-      owner: req.user.userId,
-      isActive: true
-    });
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId);
 
     if (!store) {
       return res.status(404).json({
@@ -121,6 +151,7 @@ router.get('/:storeId', async (req, res) => {
     res.json({
       success: true,
       store,
+      role: await getStoreRole(req.user.userId, store),
       latestFootfallData: latestData
     });
 
@@ -138,7 +169,17 @@ router.get('/:storeId', async (req, res) => {
 // @access  Private
 router.put('/:storeId', [
   body('storeName').optional().notEmpty().withMessage('Store name cannot be empty'),
-  body('configuration.tillCount').optional().isInt({ min: 1 }).withMessage('Till count must be at least 1')
+  body('configuration').optional().isObject().withMessage('Configuration must be an object'),
+  body('configuration.tillCount').optional().isInt({ min: 1 }).withMessage('Till count must be at least 1'),
+  body('configuration.timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be an IANA timezone name'),
+  body('configuration.operatingHours.open').optional().matches(Store.TIME_OF_DAY).withMessage('Opening time must be HH:mm'),
+  body('configuration.operatingHours.close').optional().matches(Store.TIME_OF_DAY).withMessage('Closing time must be HH:mm'),
+  body('configuration.serviceLevel.targetWaitMinutes').optional().isFloat({ min: 0.5 }).withMessage('Target wait must be at least 0.5 minutes'),
+  body('configuration.serviceLevel.targetPercent').optional().isFloat({ min: 1, max: 99.9 }).withMessage('Target percent must be between 1 and 99.9'),
+  body('configuration.serviceLevel.checkoutRatio').optional().isFloat({ min: 0, max: 1 }).withMessage('Checkout ratio must be between 0 and 1'),
+  body('configuration.serviceLevel.defaultServiceTimeMinutes').optional().isFloat({ min: 0.1 }).withMessage('Default service time must be at least 0.1 minutes'),
+  body('configuration.alerting.cooldownMinutes').optional().isFloat({ min: 0 }).withMessage('Alert cooldown must be non-negative'),
+  body('configuration.alerting.autoResolveMinutes').optional().isFloat({ min: 1 }).withMessage('Auto-resolve period must be at least 1 minute')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -150,9 +191,8 @@ router.put('/:storeId', [
       });
     }
 
-    const store = await Store.findOne({
-      storeId: req.params.storeId,
-      owner: req.user.userId
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId, 'store:update', {
+      includeInactive: true
     });
 
     if (!store) {
@@ -163,8 +203,9 @@ router.put('/:storeId', [
     }
 
     // Update allowed fields
-    const allowedUpdates = ['storeName', 'location', 'configuration'];
+    const allowedUpdates = ['storeName', 'location'];
     const updates = {};
+    const previousTimeZone = store.getTimeZone();
     
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
@@ -173,8 +214,40 @@ router.put('/:storeId', [
     });
 
     Object.assign(store, updates);
+
+    // Merge configuration so partial updates keep settings such as the
+    // timezone and retention policy
+    if (req.body.configuration !== undefined) {
+      const role = await getStoreRole(req.user.userId, store);
+      const denied = Object.keys(MANAGED_CONFIGURATION).filter(key => (
+        req.body.configuration[key] !== undefined && !can(role, MANAGED_CONFIGURATION[key])
+      ));
+
+      if (denied.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Your role cannot change: ${denied.map(key => `configuration.${key}`).join(', ')}`
+        });
+      }
+
+      store.set('configuration', {
+        ...store.configuration.toObject(),
+        ...req.body.configuration
+      });
+      if (req.body.configuration.retention !== undefined) {
+        store.set('configuration.retention.configuredAt', new Date());
+      }
+    }
+
     await store.save();
 
+    // Rollup buckets follow local hours and days, so re-bucket them in
+    // the background when the timezone changes
+    if (store.getTimeZone() !== previousTimeZone) {
+      setImmediate(() => realignRollups(store.storeId)
+        .catch(error => console.error('Realign rollups error:', error)));
+    }
+
     res.json({
       success: true,
       message: 'Store updated successfully',
@@ -182,6 +255,13 @@ router.put('/:storeId', [
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update store error:', error);
     res.status(500).json({
       success: false,
@@ -195,9 +275,8 @@ router.put('/:storeId', [
 // @access  Private
 router.delete('/:storeId', async (req, res) => {
   try {
-    const store = await Store.findOne({
-      storeId: req.params.storeId,
-      owner: req.user.userId
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId, 'store:delete', {
+      includeInactive: true
     });
 
     if (!store) {
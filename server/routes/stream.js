@@ -0,0 +1,72 @@
+const express = require('express');
+const { authMiddleware, issueStreamToken, streamAuthMiddleware } = require('../middleware/authMiddleware');
+const { subscribe } = require('../services/liveStream');
+const { findAccessibleStore } = require('../services/accessControl');
+
+const router = express.Router();
+
+// @route   POST /api/stream/:storeId/token
+// @desc    Issue a short-lived token for opening a store's stream
+// @access  Private
+router.post('/:storeId/token', authMiddleware, async (req, res) => {
+  try {
+    // Verify user can access the store
+    const store = await findAccessibleStore(req.user.userId, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: issueStreamToken(req.user.userId, store.storeId)
+    });
+
+  } catch (error) {
+    console.error('Stream token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing stream token'
+    });
+  }
+});
+
+// EventSource cannot send an Authorization header, so a stream token may
+// be passed as ?token= on the streams themselves
+router.use(streamAuthMiddleware);
+
+// @route   GET /api/stream/:storeId
+// @desc    Server-Sent Events stream of a store's new readings and alert
+//          lifecycle events
+// @access  Private
+router.get('/:storeId', async (req, res) => {
+  try {
+    // Stream tokens only open the store they were issued for
+    const { streamStoreId } = req.user;
+    const allowed = !streamStoreId || streamStoreId === req.params.storeId;
+
+    // Verify user can access the store
+    const store = allowed && await findAccessibleStore(req.user.userId, req.params.storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    subscribe(store.storeId, req, res, { userId: req.user.userId });
+
+  } catch (error) {
+    console.error('Open stream error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening stream'
+    });
+  }
+});
+
+module.exports = router;
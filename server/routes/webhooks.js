@@ -0,0 +1,422 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const Alert = require('../models/Alert');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { sendTestEvent, redeliver } = require('../services/webhookService');
+const { findAccessibleStore, accessibleStoreIds } = require('../services/accessControl');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Hostnames without a TLD are allowed; deliveries to private addresses are
+// refused unless enabled (see services/webhookService)
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+
+// Validators shared by create and update; required fields are only
+// enforced on create
+const subscriptionValidators = (required) => [
+  (required ? body('url') : body('url').optional()).isURL(URL_OPTIONS).withMessage('URL must be a valid http(s) URL'),
+  body('description').optional().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+  body('events').optional().isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*').isIn(WebhookSubscription.EVENTS).withMessage('Invalid event'),
+  body('alertTypes').optional().isArray().withMessage('Alert types must be an array'),
+  body('alertTypes.*').isIn(Alert.ALERT_TYPES).withMessage('Invalid alert type'),
+  body('severities').optional().isArray().withMessage('Severities must be an array'),
+  body('severities.*').isIn(Alert.SEVERITIES).withMessage('Invalid severity level'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+// Webhooks send a store's alerts to outside systems, so managing them takes
+// the right to edit the store
+const WEBHOOK_PERMISSION = 'store:update';
+
+// Find a webhook subscription (or delivery) if the user's role on its store
+// allows managing webhooks. Those of deactivated stores can still be
+// inspected and removed.
+const findForUser = async (Model, userId, id) => {
+  const doc = await Model.findById(id);
+  if (!doc) {
+    return null;
+  }
+
+  const store = await findAccessibleStore(userId, doc.storeId, WEBHOOK_PERMISSION, { includeInactive: true });
+  return store ? doc : null;
+};
+
+const SUBSCRIPTION_FIELDS = ['url', 'description', 'events', 'alertTypes', 'severities', 'isActive'];
+
+const pickSubscriptionFields = (source) => {
+  const fields = {};
+  SUBSCRIPTION_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  });
+  return fields;
+};
+
+// @route   GET /api/webhooks
+// @desc    Get webhook subscriptions (optionally filtered by store)
+// @access  Private
+router.get('/', [
+  query('storeId').optional().notEmpty().withMessage('Store ID cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const storeIds = await accessibleStoreIds(req.user.userId, WEBHOOK_PERMISSION);
+    const filter = {
+      storeId: { $in: req.query.storeId ? storeIds.filter(id => id === req.query.storeId) : storeIds }
+    };
+
+    const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      subscriptions
+    });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhooks'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+// @desc    Send a failed or completed delivery again
+// @access  Private
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await findForUser(WebhookDelivery, req.user.userId, req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    if (delivery.status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery is still being retried'
+      });
+    }
+
+    const result = await redeliver(delivery);
+
+    res.json({
+      success: true,
+      delivery: result
+    });
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while redelivering webhook'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get single webhook subscription
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await findForUser(WebhookSubscription, req.user.userId, req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      subscription
+    });
+
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook'
+    });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Subscribe a URL to a store's alert events
+// @access  Private
+router.post('/', [
+  body('storeId').notEmpty().withMessage('Store ID is required'),
+  ...subscriptionValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const store = await findAccessibleStore(req.user.userId, req.body.storeId, WEBHOOK_PERMISSION);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found or access denied'
+      });
+    }
+
+    const subscription = new WebhookSubscription({
+      ...pickSubscriptionFields(req.body),
+      storeId: store.storeId,
+      owner: req.user.userId
+    });
+    const secret = subscription.issueSecret();
+
+    await subscription.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the signing secret now; it will not be shown again.',
+      subscription,
+      secret
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating webhook'
+    });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook subscription
+// @access  Private
+router.put('/:id', subscriptionValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await findForUser(WebhookSubscription, req.user.userId, req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    subscription.set(pickSubscriptionFields(req.body));
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      subscription
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating webhook'
+    });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook subscription; pending deliveries are dropped
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const subscription = await findForUser(WebhookSubscription, req.user.userId, req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookSubscription.findByIdAndDelete(subscription._id);
+
+    await WebhookDelivery.updateMany(
+      { subscriptionId: subscription._id, status: 'pending' },
+      { $set: { status: 'failed', error: 'Subscription was deleted or disabled', completedAt: new Date() }, $unset: { nextAttemptAt: '' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting webhook'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace a webhook's signing secret
+// @access  Private
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const subscription = await findForUser(WebhookSubscription, req.user.userId, req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = subscription.issueSecret();
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Signing secret rotated. Store it now; it will not be shown again.',
+      secret
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating webhook secret'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a test event and return the delivery result
+// @access  Private
+router.post('/:id/test', async (req, res) => {
+  try {
+    const subscription = await findForUser(WebhookSubscription, req.user.userId, req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    if (!subscription.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook is disabled'
+      });
+    }
+
+    const delivery = await sendTestEvent(subscription);
+
+    res.json({
+      success: true,
+      delivered: delivery.status === 'succeeded',
+      delivery
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending test webhook'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get the delivery log for a webhook subscription
+// @access  Private
+router.get('/:id/deliveries', [
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('Status must be pending, succeeded or failed'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await findForUser(WebhookSubscription, req.user.userId, req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { subscriptionId: subscription._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook deliveries'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// Grant (or with --revoke, remove) access to the admin-only maintenance
+// endpoints, such as rebuilding a store's occupancy chain.
+//
+//   npm run grant-admin -- user@example.com
+//   npm run grant-admin -- user@example.com --revoke
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const email = args.find(arg => !arg.startsWith('--'));
+  const isAdmin = !args.includes('--revoke');
+
+  if (!email) {
+    console.error('Usage: npm run grant-admin -- <email> [--revoke]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fullstack-boilerplate');
+
+  try {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { $set: { isAdmin } },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`${isAdmin ? 'Granted' : 'Revoked'} admin access for ${user.email}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Grant admin error:', error);
+  process.exitCode = 1;
+});
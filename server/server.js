@@ -13,6 +13,23 @@ const taskRoutes = require('./routes/tasks');
 const storeRoutes = require('./routes/stores');
 const footfallRoutes = require('./routes/footfall');
 const alertRoutes = require('./routes/alerts');
+const alertRuleRoutes = require('./routes/alertRules');
+const escalationPolicyRoutes = require('./routes/escalationPolicies');
+const deviceRoutes = require('./routes/devices');
+const importRoutes = require('./routes/imports');
+const exportRoutes = require('./routes/exports');
+const webhookRoutes = require('./routes/webhooks');
+const notificationRoutes = require('./routes/notifications');
+const streamRoutes = require('./routes/stream');
+const organizationRoutes = require('./routes/organizations');
+const storeGroupRoutes = require('./routes/storeGroups');
+
+// Import background jobs
+const { startJobs } = require('./jobs');
+const { registerWebhookListeners } = require('./services/webhookService');
+const { registerEmailListeners } = require('./services/notificationService');
+const { registerStreamListeners } = require('./services/liveStream');
+const { failInterruptedImports } = require('./services/importService');
 
 // Initialize Express app
 const app = express();
@@ -21,17 +38,36 @@ const PORT = process.env.PORT || 5000;
 // Middleware
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition'] // export downloads read their file name from it
 }));
-app.use(express.json());
+// CSV imports carry whole files in the request body
+app.use('/api/footfall/imports', express.json({ limit: '20mb' }));
+app.use(express.json({ limit: '1mb' })); // batch ingestion payloads exceed the 100kb default
 app.use(express.urlencoded({ extended: true }));
 
+// Push alert events to webhook subscribers
+registerWebhookListeners();
+
+// Email alert notifications to subscribed users
+registerEmailListeners();
+
+// Push readings and alert events to open store streams
+registerStreamListeners();
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fullstack-boilerplate', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  startJobs();
+
+  failInterruptedImports()
+    .then(count => count > 0 && console.log(`⚠️  Marked ${count} interrupted import job(s) as failed`))
+    .catch(err => console.error('Interrupted imports error:', err));
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // writing my own API routes
@@ -39,8 +75,18 @@ app.use('/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/stores', storeRoutes);
+app.use('/api/footfall/imports', importRoutes);
+app.use('/api/footfall/export', exportRoutes);
 app.use('/api/footfall', footfallRoutes);
+app.use('/api/alerts/rules', alertRuleRoutes);
+app.use('/api/alerts/escalation-policies', escalationPolicyRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/store-groups', storeGroupRoutes);
 
 
 app.use('*', (req, res) => {
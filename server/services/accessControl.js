@@ -0,0 +1,127 @@
+const Store = require('../models/Store');
+const Membership = require('../models/Membership');
+
+// Role of a user on a store that has no organization and that they own
+const OWNER_ROLE = 'owner';
+
+// What each role may do on the stores its membership covers:
+//   store:read       view the store, its footfall data, analytics and alerts
+//   footfall:ingest  submit readings
+//   alert:respond    acknowledge and resolve alerts
+//   alert:manage     create, edit and delete alerts
+//   store:update     edit the store's configuration
+//   footfall:manage  change the retention policy and rebuild rollups
+//   store:delete     deactivate the store
+//   org:manage       manage members, invitations and the organization's stores
+const ROLE_PERMISSIONS = {
+  org_admin: [
+    'store:read', 'footfall:ingest', 'alert:respond', 'alert:manage',
+    'store:update', 'footfall:manage', 'store:delete', 'org:manage'
+  ],
+  regional_manager: [
+    'store:read', 'footfall:ingest', 'alert:respond', 'alert:manage',
+    'store:update', 'footfall:manage'
+  ],
+  store_manager: ['store:read', 'footfall:ingest', 'alert:respond', 'alert:manage', 'store:update'],
+  staff: ['store:read', 'footfall:ingest', 'alert:respond'],
+  read_only: ['store:read'],
+  [OWNER_ROLE]: [
+    'store:read', 'footfall:ingest', 'alert:respond', 'alert:manage',
+    'store:update', 'footfall:manage', 'store:delete'
+  ]
+};
+
+// Check whether a role grants a permission
+const can = (role, permission) => Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+
+// A user's membership in an organization, or null
+const getMembership = (userId, organizationId) => Membership.findOne({
+  organization: organizationId,
+  user: userId
+});
+
+// A user's role on a store, or null if they cannot access it
+const getStoreRole = async (userId, store) => {
+  if (!store.organization) {
+    return String(store.owner) === String(userId) ? OWNER_ROLE : null;
+  }
+
+  const membership = await getMembership(userId, store.organization);
+  return membership && membership.coversStore(store.storeId) ? membership.role : null;
+};
+
+// Find a store the user's role allows the permission on. Returns null when
+// the store does not exist or access is denied, so callers cannot tell the
+// two apart.
+const findAccessibleStore = async (userId, storeId, permission = 'store:read', { includeInactive = false } = {}) => {
+  const filter = { storeId };
+  if (!includeInactive) {
+    filter.isActive = true;
+  }
+
+  const store = await Store.findOne(filter);
+  if (!store) {
+    return null;
+  }
+
+  const role = await getStoreRole(userId, store);
+  return can(role, permission) ? store : null;
+};
+
+// Active stores the user's roles allow the permission on, newest first,
+// each with the role that applies: [{ store, role }]
+const listAccessibleStores = async (userId, permission = 'store:read') => {
+  const memberships = (await Membership.find({ user: userId }))
+    .filter(membership => can(membership.role, permission));
+  const roleByOrganization = new Map(memberships.map(membership => [String(membership.organization), membership.role]));
+
+  const scopes = memberships.map(membership => (membership.role === 'org_admin'
+    ? { organization: membership.organization }
+    : { organization: membership.organization, storeId: { $in: membership.storeIds } }));
+
+  if (can(OWNER_ROLE, permission)) {
+    scopes.push({ organization: null, owner: userId });
+  }
+  if (scopes.length === 0) {
+    return [];
+  }
+
+  const stores = await Store.find({ isActive: true, $or: scopes }).sort({ createdAt: -1 });
+
+  return stores.map(store => ({
+    store,
+    role: store.organization ? roleByOrganization.get(String(store.organization)) : OWNER_ROLE
+  }));
+};
+
+// A user's role on a store group: their organization role for shared
+// groups, owner for their own personal groups, otherwise null
+const getGroupRole = async (userId, group) => {
+  if (!group.organization) {
+    return String(group.owner) === String(userId) ? OWNER_ROLE : null;
+  }
+
+  const membership = await getMembership(userId, group.organization);
+  return membership ? membership.role : null;
+};
+
+// Check whether a group role may edit or delete the group
+const canManageGroup = (role) => role === OWNER_ROLE || can(role, 'org:manage');
+
+// IDs of the active stores the user's roles allow the permission on
+const accessibleStoreIds = async (userId, permission) => (
+  (await listAccessibleStores(userId, permission)).map(({ store }) => store.storeId)
+);
+
+module.exports = {
+  OWNER_ROLE,
+  ROLE_PERMISSIONS,
+  can,
+  getMembership,
+  getStoreRole,
+  findAccessibleStore,
+  listAccessibleStores,
+  accessibleStoreIds,
+  getGroupRole,
+  canManageGroup
+};
@@ -0,0 +1,25 @@
+const { EventEmitter } = require('events');
+
+// In-process alert lifecycle events, so notification channels can react
+// without the code raising or escalating alerts knowing about them.
+//
+// 'created'      (alert)
+// 'acknowledged' (alert)
+// 'resolved'     (alert)
+// 'escalated'    (alert, { step, level, notifiedUsers })
+const alertEvents = new EventEmitter();
+
+// Listeners run synchronously inside emit(); a failing listener must not
+// break the code that raised or updated the alert
+const onAlertEvent = (event, listener) => {
+  alertEvents.on(event, (...args) => {
+    Promise.resolve()
+      .then(() => listener(...args))
+      .catch(error => console.error(`Alert ${event} listener error:`, error));
+  });
+};
+
+module.exports = {
+  alertEvents,
+  onAlertEvent
+};
@@ -0,0 +1,398 @@
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const FootfallData = require('../models/FootfallData');
+const Store = require('../models/Store');
+const {
+  DEFAULT_WINDOW_MINUTES,
+  getServiceLevel,
+  demandFromReadings,
+  measureDemand,
+  staffingFromDemand
+} = require('./staffingService');
+const { HOUR_MS } = require('./rollupService');
+const { getAlertingPolicy, markConditionsCleared } = require('./alertService');
+
+// How far back "test rule" replays readings
+const TEST_WINDOW_HOURS = 24;
+// Matches returned by a test run; the count covers all of them
+const TEST_MATCH_LIMIT = 100;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Rules every store starts with. They reproduce the alerts raised before
+// rules were configurable: staffing changes from the Erlang C calculator
+// and per-till queue overflows.
+const DEFAULT_RULES = [
+  {
+    name: 'Staffing increase needed',
+    description: 'One more till is needed to meet the service level',
+    conditions: [
+      { metric: 'arrivalRate', operator: 'gt', value: 0 },
+      { metric: 'tillShortfall', operator: 'eq', value: 1 }
+    ],
+    alertType: 'staffing_increase',
+    severity: 'medium',
+    titleTemplate: 'Staffing Increase Needed',
+    messageTemplate: '{{activeTills}} tills open but {{requiredTills}} needed to serve {{targetPercent}}% of customers ' +
+      'within {{targetWaitMinutes}} minutes (currently {{serviceLevel}}%).',
+    recommendations: [
+      { action: 'Open 1 more till', priority: 'high', estimatedImpact: 'Meet the queue service level', timeframe: 'Immediate' }
+    ]
+  },
+  {
+    name: 'Staffing increase urgent',
+    description: 'Two or more tills are needed to meet the service level',
+    conditions: [
+      { metric: 'arrivalRate', operator: 'gt', value: 0 },
+      { metric: 'tillShortfall', operator: 'gte', value: 2 }
+    ],
+    alertType: 'staffing_increase',
+    severity: 'high',
+    titleTemplate: 'Staffing Increase Needed',
+    messageTemplate: '{{activeTills}} tills open but {{requiredTills}} needed to serve {{targetPercent}}% of customers ' +
+      'within {{targetWaitMinutes}} minutes (currently {{serviceLevel}}%).',
+    recommendations: [
+      { action: 'Open {{tillShortfall}} more tills', priority: 'high', estimatedImpact: 'Meet the queue service level', timeframe: 'Immediate' },
+      { action: 'Call backup staff if every till is already open', priority: 'medium', estimatedImpact: 'Cover demand beyond the till count', timeframe: '15-20 minutes' }
+    ]
+  },
+  {
+    name: 'Staffing decrease possible',
+    description: 'Fewer tills would still meet the service level',
+    conditions: [
+      { metric: 'tillSurplus', operator: 'gte', value: 1 }
+    ],
+    alertType: 'staffing_decrease',
+    severity: 'low',
+    titleTemplate: 'Staffing Decrease Possible',
+    messageTemplate: '{{requiredTills}} of the {{activeTills}} open tills would still serve {{targetPercent}}% of customers ' +
+      'within {{targetWaitMinutes}} minutes.',
+    recommendations: [
+      { action: 'Close {{tillSurplus}} tills or rotate staff for breaks', priority: 'low', estimatedImpact: 'Free up staff', timeframe: 'Next 30 minutes' }
+    ]
+  },
+  {
+    name: 'Till queue overflow',
+    description: 'More than 8 customers queuing at a till',
+    conditions: [
+      { metric: 'tillQueue', operator: 'gt', value: 8 },
+      { metric: 'tillQueue', operator: 'lte', value: 12 }
+    ],
+    onlyWhenOpen: false,
+    alertType: 'queue_overflow',
+    severity: 'high',
+    titleTemplate: 'Till {{tillNumber}} Queue Overflow',
+    messageTemplate: 'Till {{tillNumber}} has {{tillQueue}} customers with {{tillWaitTime}} minutes wait time.',
+    recommendations: [
+      { action: 'Direct customers to other tills', priority: 'high', estimatedImpact: 'Distribute queue load', timeframe: 'Immediate' },
+      { action: 'Announce queue management', priority: 'medium', estimatedImpact: 'Improve customer experience', timeframe: 'Immediate' }
+    ]
+  },
+  {
+    name: 'Till queue critical',
+    description: 'More than 12 customers queuing at a till',
+    conditions: [
+      { metric: 'tillQueue', operator: 'gt', value: 12 }
+    ],
+    onlyWhenOpen: false,
+    alertType: 'queue_overflow',
+    severity: 'critical',
+    titleTemplate: 'Till {{tillNumber}} Queue Overflow',
+    messageTemplate: 'Till {{tillNumber}} has {{tillQueue}} customers with {{tillWaitTime}} minutes wait time.',
+    recommendations: [
+      { action: 'Direct customers to other tills', priority: 'high', estimatedImpact: 'Distribute queue load', timeframe: 'Immediate' },
+      { action: 'Announce queue management', priority: 'medium', estimatedImpact: 'Improve customer experience', timeframe: 'Immediate' }
+    ]
+  }
+];
+
+// Create the default rules for a store, once. Stores created before rules
+// existed are seeded the first time their rules are needed; owners who
+// delete every rule are not re-seeded.
+const seedDefaultRules = async (store) => {
+  const { modifiedCount } = await Store.updateOne(
+    { _id: store._id, alertRulesSeededAt: null },
+    { $set: { alertRulesSeededAt: new Date() } }
+  );
+
+  if (modifiedCount === 0) {
+    return [];
+  }
+
+  return AlertRule.insertMany(DEFAULT_RULES.map(rule => ({
+    ...rule,
+    storeId: store.storeId,
+    owner: store.owner,
+    isDefault: true
+  })));
+};
+
+// A store's rules, seeding the defaults if it has never had any
+const getStoreRules = async (store) => {
+  if (!store.alertRulesSeededAt) {
+    await seedDefaultRules(store);
+  }
+  return AlertRule.find({ storeId: store.storeId }).sort({ createdAt: 1 });
+};
+
+// Which metric sources a set of rules needs beyond the reading itself
+const neededSources = (rules) => {
+  const sources = new Set();
+  rules.forEach(rule => rule.conditions.forEach(condition => {
+    sources.add(AlertRule.METRICS[condition.metric].source);
+  }));
+  return {
+    demand: sources.has('demand') || sources.has('staffing'),
+    staffing: sources.has('staffing')
+  };
+};
+
+// Store-level metric values for a reading. demand and staffing are only
+// passed when a rule needs them; their metrics are left out otherwise.
+// Staffing metrics that compare against the open tills are also left out
+// when no tills were reported.
+const storeMetrics = (store, reading, { demand, staffing } = {}) => {
+  const queueData = reading.queueData || {};
+  const tills = queueData.tillQueues || [];
+  const capacity = store.configuration && store.configuration.capacity;
+
+  const metrics = {
+    occupancy: reading.currentOccupancy || 0,
+    occupancyPercent: capacity ? round((reading.currentOccupancy || 0) / capacity * 100) : undefined,
+    totalQueue: queueData.totalQueue || 0,
+    avgWaitTime: round(queueData.avgWaitTime),
+    posRate: reading.posRate || 0,
+    activeTills: tills.filter(till => till.status === 'active').length
+  };
+
+  if (demand !== undefined) {
+    metrics.entryRate = demand ? round(demand.entriesPerMinute) : 0;
+  }
+
+  if (staffing) {
+    metrics.arrivalRate = staffing.inputs.arrivalRate;
+    metrics.requiredTills = staffing.requiredTills;
+    if (staffing.activeTillsKnown) {
+      metrics.tillShortfall = Math.max(0, staffing.change);
+      metrics.tillSurplus = Math.max(0, -staffing.change);
+      metrics.serviceLevel = staffing.current.serviceLevel;
+    }
+  }
+
+  return metrics;
+};
+
+const tillMetrics = (till) => ({
+  tillNumber: till.tillNumber,
+  tillQueue: till.queueLength || 0,
+  tillWaitTime: round((till.avgServiceTime || 0) * (till.queueLength || 0)),
+  tillServiceTime: round(till.avgServiceTime)
+});
+
+// Replace {{name}} placeholders; unknown names are left as written
+const renderTemplate = (template, values) => (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+  values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder
+));
+
+// Every match of a rule against a reading's metrics: at most one for a
+// store-level rule, one per matching till for a per-till rule
+const matchRule = (rule, metrics, reading) => {
+  if (!rule.isPerTill()) {
+    return rule.matches(metrics) ? [metrics] : [];
+  }
+
+  const tills = (reading.queueData && reading.queueData.tillQueues) || [];
+  return tills
+    .map(till => ({ ...metrics, ...tillMetrics(till) }))
+    .filter(values => rule.matches(values));
+};
+
+// Template values: the metrics plus store settings rules may mention
+const templateValues = (store, metrics) => {
+  const serviceLevel = getServiceLevel(store);
+  return {
+    storeId: store.storeId,
+    storeName: store.storeName,
+    capacity: store.configuration && store.configuration.capacity,
+    tillCount: store.configuration && store.configuration.tillCount,
+    targetPercent: serviceLevel.targetPercent,
+    targetWaitMinutes: serviceLevel.targetWaitMinutes,
+    ...metrics
+  };
+};
+
+// Alert document fields for one match of a rule
+const buildAlert = (rule, store, metrics) => {
+  const values = templateValues(store, metrics);
+  const perTill = metrics.tillNumber !== undefined;
+
+  return {
+    storeId: store.storeId,
+    alertType: rule.alertType,
+    severity: rule.severity,
+    title: renderTemplate(rule.titleTemplate, values),
+    message: renderTemplate(rule.messageTemplate, values),
+    triggerData: {
+      currentOccupancy: metrics.occupancy,
+      queueLength: perTill ? metrics.tillQueue : metrics.totalQueue,
+      avgWaitTime: perTill ? metrics.tillWaitTime : metrics.avgWaitTime,
+      posRate: metrics.posRate,
+      staffCount: metrics.activeTills,
+      threshold: rule.conditions[rule.conditions.length - 1].value,
+      tillNumber: metrics.tillNumber,
+      requiredTills: metrics.requiredTills,
+      arrivalRate: metrics.arrivalRate,
+      serviceLevel: metrics.serviceLevel
+    },
+    recommendations: rule.recommendations.map(recommendation => ({
+      action: renderTemplate(recommendation.action, values),
+      priority: recommendation.priority,
+      estimatedImpact: renderTemplate(recommendation.estimatedImpact, values),
+      timeframe: recommendation.timeframe
+    })),
+    ruleId: rule._id,
+    autoGenerated: true
+  };
+};
+
+// Evaluate a store's enabled rules against a stored reading and raise an
+// alert for every match. Matches are deduplicated by store, alert type and
+// till (the first matching rule wins), and active alerts nothing matched
+// start counting towards auto-resolution.
+// Returns the alerts created or updated.
+const evaluateRules = async (store, reading, { owner }) => {
+  const at = reading.timestamp;
+  const rules = (await getStoreRules(store)).filter(rule => rule.isEnabled);
+  const triggeredKeys = new Set();
+  const alerts = [];
+  const sources = neededSources(rules);
+  const context = {};
+
+  if (sources.demand) {
+    context.demand = await measureDemand(store.storeId, { at, windowMinutes: DEFAULT_WINDOW_MINUTES });
+  }
+  if (sources.staffing) {
+    context.staffing = staffingFromDemand(store, context.demand, { at });
+  }
+
+  const metrics = storeMetrics(store, reading, context);
+  const isOpen = store.isOpenAt(at);
+  const { cooldownMinutes } = getAlertingPolicy(store);
+
+  for (const rule of rules) {
+    if (rule.onlyWhenOpen && !isOpen) {
+      continue;
+    }
+
+    const matches = matchRule(rule, metrics, reading);
+    for (const match of matches) {
+      const key = Alert.dedupKeyFor(store.storeId, rule.alertType, match.tillNumber);
+      if (triggeredKeys.has(key)) {
+        continue;
+      }
+      triggeredKeys.add(key);
+
+      const { alert } = await Alert.raise({ ...buildAlert(rule, store, match), owner }, { now: at, cooldownMinutes });
+      if (alert) {
+        alerts.push(alert);
+      }
+    }
+
+    if (matches.length > 0) {
+      await AlertRule.updateOne(
+        { _id: rule._id },
+        { $set: { lastTriggeredAt: at }, $inc: { triggerCount: matches.length } }
+      );
+    }
+  }
+
+  await markConditionsCleared(store.storeId, triggeredKeys, at);
+
+  return alerts;
+};
+
+// Replay the last 24 hours of realtime readings through a rule (saved or
+// not) without raising alerts, to show how often it would have fired
+const testRule = async (rule, store, { now = new Date() } = {}) => {
+  const windowMs = DEFAULT_WINDOW_MINUTES * 60 * 1000;
+  const start = new Date(now.getTime() - TEST_WINDOW_HOURS * HOUR_MS);
+  const sources = neededSources([rule]);
+
+  // Readings from before the test window seed the first demand windows
+  const readings = await FootfallData.find({
+    storeId: store.storeId,
+    dataType: 'realtime',
+    timestamp: { $gte: new Date(start.getTime() - (sources.demand ? windowMs : 0)), $lte: now }
+  })
+    .select('timestamp entryCount currentOccupancy posRate queueData')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const matches = [];
+  let matchCount = 0;
+  let firstMatchAt = null;
+  let lastMatchAt = null;
+  let evaluated = 0;
+  let skippedClosed = 0;
+  let windowStart = 0;
+
+  readings.forEach((reading, index) => {
+    if (reading.timestamp < start) {
+      return;
+    }
+    evaluated++;
+
+    if (rule.onlyWhenOpen && !store.isOpenAt(reading.timestamp)) {
+      skippedClosed++;
+      return;
+    }
+
+    const context = {};
+    if (sources.demand) {
+      while (readings[windowStart].timestamp.getTime() < reading.timestamp.getTime() - windowMs) {
+        windowStart++;
+      }
+      context.demand = demandFromReadings(readings.slice(windowStart, index + 1), DEFAULT_WINDOW_MINUTES);
+    }
+    if (sources.staffing) {
+      context.staffing = staffingFromDemand(store, context.demand, { at: reading.timestamp });
+    }
+
+    matchRule(rule, storeMetrics(store, reading, context), reading).forEach(match => {
+      matchCount++;
+      firstMatchAt = firstMatchAt || reading.timestamp;
+      lastMatchAt = reading.timestamp;
+      if (matches.length < TEST_MATCH_LIMIT) {
+        const alert = buildAlert(rule, store, match);
+        matches.push({
+          timestamp: reading.timestamp,
+          tillNumber: match.tillNumber,
+          severity: alert.severity,
+          title: alert.title,
+          message: alert.message
+        });
+      }
+    });
+  });
+
+  return {
+    from: start,
+    to: now,
+    readingsEvaluated: evaluated,
+    skippedClosed,
+    matchCount,
+    firstMatchAt,
+    lastMatchAt,
+    matches,
+    truncated: matchCount > matches.length
+  };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  seedDefaultRules,
+  getStoreRules,
+  renderTemplate,
+  evaluateRules,
+  testRule
+};
@@ -0,0 +1,77 @@
+const Alert = require('../models/Alert');
+const Store = require('../models/Store');
+
+// Used for any alerting setting a store has not configured
+const DEFAULT_ALERTING = {
+  cooldownMinutes: 15,
+  autoResolveMinutes: 10
+};
+
+// Resolve a store's alerting settings, applying defaults
+const getAlertingPolicy = (store) => {
+  const configured = (store.configuration && store.configuration.alerting) || {};
+  const policy = {};
+
+  Object.keys(DEFAULT_ALERTING).forEach(field => {
+    policy[field] = configured[field] !== undefined && configured[field] !== null
+      ? configured[field]
+      : DEFAULT_ALERTING[field];
+  });
+
+  return policy;
+};
+
+// Note the time a reading stopped triggering each of a store's active
+// auto-generated alerts whose key is not in triggeredKeys
+const markConditionsCleared = (storeId, triggeredKeys, at) => Alert.updateMany(
+  {
+    storeId,
+    isActive: true,
+    autoGenerated: true,
+    dedupKey: { $exists: true, $nin: [...triggeredKeys] },
+    conditionClearedAt: null
+  },
+  { $set: { conditionClearedAt: at } }
+);
+
+// Resolve active alerts whose condition has stayed clear for their store's
+// auto-resolve period
+const autoResolveClearedAlerts = async (now = new Date()) => {
+  const storeIds = await Alert.distinct('storeId', {
+    isActive: true,
+    conditionClearedAt: { $ne: null }
+  });
+
+  if (storeIds.length === 0) {
+    return { stores: 0, resolved: 0 };
+  }
+
+  const stores = await Store.find({ storeId: { $in: storeIds } })
+    .select('storeId configuration.alerting');
+  const policies = new Map(stores.map(store => [store.storeId, getAlertingPolicy(store)]));
+
+  let resolved = 0;
+
+  for (const storeId of storeIds) {
+    const { autoResolveMinutes } = policies.get(storeId) || DEFAULT_ALERTING;
+    const alerts = await Alert.find({
+      storeId,
+      isActive: true,
+      conditionClearedAt: { $lte: new Date(now.getTime() - autoResolveMinutes * 60 * 1000) }
+    });
+
+    for (const alert of alerts) {
+      await alert.resolve('condition_cleared');
+      resolved++;
+    }
+  }
+
+  return { stores: storeIds.length, resolved };
+};
+
+module.exports = {
+  DEFAULT_ALERTING,
+  getAlertingPolicy,
+  markConditionsCleared,
+  autoResolveClearedAlerts
+};
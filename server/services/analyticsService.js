@@ -0,0 +1,238 @@
+const FootfallData = require('../models/FootfallData');
+const { startOfHour, startOfDay } = require('./rollupService');
+const {
+  startOfZonedDay,
+  addZonedDays,
+  startOfZonedMonth,
+  addZonedMonths
+} = require('../utils/timezone');
+const {
+  transactionAccumulators,
+  transactionsExpression,
+  salesMetricsExpression,
+  salesMetrics
+} = require('../utils/transactions');
+
+// Aggregation expression dividing a weighted total by the reading count
+const weightedAverage = (totalField) => ({
+  $cond: [{ $gt: ['$dataPoints', 0] }, { $divide: [totalField, '$dataPoints'] }, 0]
+});
+
+// Minutes of a local hour bucket that have passed (the hour in progress
+// has not had all 60 yet)
+const elapsedMinutes = (hourField) => ({
+  $min: [60, { $divide: [{ $subtract: ['$$NOW', hourField] }, 60000] }]
+});
+
+// $group (and $project) stages producing the analytics summary for each
+// group. Realtime readings are first grouped by local hour, the unit POS
+// transactions are estimated in; rollup averages are weighted by the
+// number of readings behind each rollup.
+const analyticsGroupStages = (source, groupId, timezone = 'UTC') => {
+  const summary = {
+    $project: {
+      totalEntries: 1,
+      totalExits: 1,
+      avgPosRate: weightedAverage('$posRateTotal'),
+      avgOccupancy: weightedAverage('$occupancyTotal'),
+      maxOccupancy: 1,
+      avgQueueLength: weightedAverage('$queueTotal'),
+      dataPoints: 1,
+      transactions: 1,
+      salesValue: 1,
+      salesTransactions: 1,
+      ...salesMetricsExpression
+    }
+  };
+
+  if (source === 'realtime') {
+    return [
+      {
+        $group: {
+          _id: { group: groupId, hour: { $dateTrunc: { date: '$timestamp', unit: 'hour', timezone } } },
+          totalEntries: { $sum: '$entryCount' },
+          totalExits: { $sum: '$exitCount' },
+          posRateTotal: { $sum: '$posRate' },
+          occupancyTotal: { $sum: '$currentOccupancy' },
+          maxOccupancy: { $max: '$currentOccupancy' },
+          queueTotal: { $sum: '$queueData.totalQueue' },
+          dataPoints: { $sum: 1 },
+          ...transactionAccumulators
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.group',
+          totalEntries: { $sum: '$totalEntries' },
+          totalExits: { $sum: '$totalExits' },
+          posRateTotal: { $sum: '$posRateTotal' },
+          occupancyTotal: { $sum: '$occupancyTotal' },
+          maxOccupancy: { $max: '$maxOccupancy' },
+          queueTotal: { $sum: '$queueTotal' },
+          dataPoints: { $sum: '$dataPoints' },
+          transactions: { $sum: transactionsExpression(elapsedMinutes('$_id.hour')) },
+          salesValue: { $sum: '$salesValue' },
+          salesTransactions: { $sum: '$salesTransactions' }
+        }
+      },
+      summary
+    ];
+  }
+
+  // Rollups built before transactions were recorded count none until
+  // they are rebuilt (POST /api/footfall/rollups/:storeId/rebuild)
+  return [
+    {
+      $group: {
+        _id: groupId,
+        totalEntries: { $sum: '$entryCount' },
+        totalExits: { $sum: '$exitCount' },
+        posRateTotal: { $sum: { $multiply: ['$rollup.avgPosRate', '$rollup.dataPoints'] } },
+        occupancyTotal: { $sum: { $multiply: ['$rollup.avgOccupancy', '$rollup.dataPoints'] } },
+        queueTotal: { $sum: { $multiply: ['$rollup.avgQueueLength', '$rollup.dataPoints'] } },
+        maxOccupancy: { $max: '$rollup.maxOccupancy' },
+        dataPoints: { $sum: '$rollup.dataPoints' },
+        transactions: { $sum: '$rollup.transactions' },
+        salesValue: { $sum: '$rollup.salesValue' },
+        salesTransactions: { $sum: '$rollup.salesTransactions' }
+      }
+    },
+    summary
+  ];
+};
+
+// Date range an analytics period covers, in the store's local time
+const analyticsRange = (period, timezone, now = new Date()) => {
+  switch (period) {
+    case 'week':
+      return { startDate: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000), endDate: now };
+    case 'month':
+      return { startDate: startOfZonedMonth(now, timezone), endDate: addZonedMonths(now, 1, timezone) };
+    default: {
+      const startDate = startOfZonedDay(now, timezone);
+      return { startDate, endDate: addZonedDays(startDate, 1, timezone) };
+    }
+  }
+};
+
+// Analytics series for a store over a period, grouped by local hour or
+// day (as returned by GET /api/footfall/analytics/:storeId). `source`
+// forces realtime readings or rollups instead of the period's default;
+// `until` cuts the period short.
+const getStoreAnalytics = async (store, { period = 'today', groupBy = 'hour', source: sourceOverride, until } = {}, now = new Date()) => {
+  const timezone = store.getTimeZone();
+  let { startDate, endDate } = analyticsRange(period, timezone, now);
+  if (until && until < endDate) {
+    endDate = until;
+  }
+
+  // Groups are local calendar fields so stores in different timezones
+  // line up by local time of day
+  const localDate = { date: '$timestamp', timezone };
+  const groupField = groupBy === 'hour' 
+    ? { 
+        year: { $year: localDate },
+        month: { $month: localDate },
+        day: { $dayOfMonth: localDate },
+        hour: { $hour: localDate }
+      }
+    : {
+        year: { $year: localDate },
+        month: { $month: localDate },
+        day: { $dayOfMonth: localDate }
+      };
+
+  // Week and month views read the pre-aggregated rollups instead of
+  // scanning every raw reading; today is served from realtime data
+  const source = sourceOverride
+    || (period === 'today' ? 'realtime' : (groupBy === 'hour' ? 'hourly' : 'daily'));
+
+  if (source !== 'realtime') {
+    // Include the rollup bucket that contains the start of the range
+    startDate = source === 'hourly'
+      ? startOfHour(startDate, timezone)
+      : startOfDay(startDate, timezone);
+  }
+
+  const analytics = await FootfallData.aggregate([
+    {
+      $match: {
+        storeId: store.storeId,
+        timestamp: { $gte: startDate, $lt: endDate },
+        dataType: source
+      }
+    },
+    ...analyticsGroupStages(source, groupField, timezone),
+    {
+      $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 }
+    }
+  ]);
+
+  return { period, groupBy, source, timezone, analytics };
+};
+
+// Fields of analytics groups and window stats that add up across stores.
+// Averages of POS rate, occupancy and queue length add up too: summed they
+// describe the group as a whole (e.g. everyone inside any of its stores).
+const ADDITIVE_FIELDS = [
+  'totalEntries',
+  'totalExits',
+  'avgPosRate',
+  'avgOccupancy',
+  'avgQueueLength',
+  'dataPoints',
+  'transactions',
+  'salesValue',
+  'salesTransactions'
+];
+
+// Add a store's stats to combined totals, refreshing the ratios derived
+// from them
+const addStats = (target, stats) => {
+  ADDITIVE_FIELDS.forEach(field => {
+    target[field] = (target[field] || 0) + (stats[field] || 0);
+  });
+  return Object.assign(target, salesMetrics(target));
+};
+
+// Combine the analytics series of several stores into one series by local
+// time group. maxOccupancy becomes the sum of the stores' peaks, an upper
+// bound on the group's simultaneous peak.
+const combineAnalytics = (seriesList) => {
+  const groups = new Map();
+
+  seriesList.forEach(series => series.forEach(group => {
+    const key = JSON.stringify(group._id);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: group._id, maxOccupancy: 0, stores: 0 });
+    }
+    const combined = addStats(groups.get(key), group);
+    combined.maxOccupancy += group.maxOccupancy || 0;
+    combined.stores += 1;
+  }));
+
+  const order = ({ _id }) => [_id.year, _id.month, _id.day, _id.hour || 0];
+  return [...groups.values()].sort((a, b) => {
+    const [left, right] = [order(a), order(b)];
+    const index = left.findIndex((value, i) => value !== right[i]);
+    return index === -1 ? 0 : left[index] - right[index];
+  });
+};
+
+// Combine per-store window stats into totals for a group of stores, with
+// the busiest single store's peak as maxOccupancy
+const combineWindowStats = (statsList) => statsList.reduce((combined, stats) => {
+  addStats(combined, stats);
+  combined.latestOccupancy += stats.latestOccupancy || 0;
+  combined.latestQueueLength += stats.latestQueueLength || 0;
+  combined.maxOccupancy = Math.max(combined.maxOccupancy, stats.maxOccupancy || 0);
+  return combined;
+}, addStats({ maxOccupancy: 0, latestOccupancy: 0, latestQueueLength: 0 }, {}));
+
+module.exports = {
+  analyticsGroupStages,
+  analyticsRange,
+  getStoreAnalytics,
+  combineAnalytics,
+  combineWindowStats
+};
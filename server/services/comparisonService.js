@@ -0,0 +1,232 @@
+const { analyticsRange, getStoreAnalytics } = require('./analyticsService');
+const { DAY_MS } = require('./rollupService');
+const { salesMetrics } = require('../utils/transactions');
+const { getZonedParts, zonedTimeToUtc, addZonedDays } = require('../utils/timezone');
+
+// Metrics compared between series
+const COMPARISON_METRICS = ['totalEntries', 'avgOccupancy', 'avgPosRate', 'avgQueueLength', 'conversionRate'];
+
+// Earlier periods a store can be compared against
+const COMPARE_TO = ['previous', 'lastYear'];
+
+const COMPARE_TO_LABELS = {
+  previous: {
+    today: 'Yesterday',
+    week: 'Previous 7 days',
+    month: 'Previous month'
+  },
+  lastYear: {
+    today: 'Same day last year',
+    week: 'Same week last year',
+    month: 'Same month last year'
+  }
+};
+
+const PERIOD_LABELS = {
+  today: 'Today',
+  week: 'Last 7 days',
+  month: 'This month'
+};
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// The moment in an earlier period that corresponds to `now`. "Last year"
+// goes back 52 weeks for days and weeks so weekdays line up, and 12
+// months for month views (the 31st becomes the last day of a shorter
+// month).
+const comparisonNow = (period, compareTo, now, timezone) => {
+  if (period === 'month') {
+    const parts = getZonedParts(now, timezone);
+    const month = parts.month - (compareTo === 'lastYear' ? 12 : 1);
+    const lastDay = new Date(Date.UTC(parts.year, month, 0)).getUTCDate();
+    return zonedTimeToUtc({ ...parts, month, day: Math.min(parts.day, lastDay) }, timezone);
+  }
+  const days = compareTo === 'lastYear' ? 364 : (period === 'week' ? 7 : 1);
+  return addZonedDays(now, -days, timezone);
+};
+
+// Days since the epoch for the calendar date of a group id
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+// Position of a group within its series: local days (and hours) since the
+// day the range starts on. Equivalent groups of different stores or
+// periods share a slot.
+const slotOf = (id, startDay, groupBy) => {
+  const days = dayNumber(id) - startDay;
+  return groupBy === 'hour' ? days * 24 + id.hour : days;
+};
+
+// Group id of a slot, in the calendar of the series the slot belongs to
+const slotId = (slot, start, groupBy) => {
+  const days = groupBy === 'hour' ? Math.floor(slot / 24) : slot;
+  const date = new Date(Date.UTC(start.year, start.month - 1, start.day + days));
+  const id = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  if (groupBy === 'hour') {
+    id.hour = slot - days * 24;
+  }
+  return id;
+};
+
+// Totals for a series, with averages weighted by the readings behind
+// each group
+const seriesTotals = (groups) => {
+  const dataPoints = groups.reduce((sum, group) => sum + (group.dataPoints || 0), 0);
+  const weighted = (field) => (dataPoints > 0
+    ? round(groups.reduce((sum, group) => sum + (group[field] || 0) * (group.dataPoints || 0), 0) / dataPoints)
+    : 0);
+
+  const sum = (field) => groups.reduce((total, group) => total + (group[field] || 0), 0);
+
+  const totals = {
+    totalEntries: sum('totalEntries'),
+    totalExits: sum('totalExits'),
+    avgOccupancy: weighted('avgOccupancy'),
+    avgPosRate: weighted('avgPosRate'),
+    avgQueueLength: weighted('avgQueueLength'),
+    maxOccupancy: groups.reduce((max, group) => Math.max(max, group.maxOccupancy || 0), 0),
+    dataPoints,
+    transactions: round(sum('transactions')),
+    salesValue: round(sum('salesValue')),
+    salesTransactions: sum('salesTransactions')
+  };
+  return { ...totals, ...salesMetrics(totals) };
+};
+
+// Change of each metric from `reference` to `subject`. The percentage is
+// null when the reference is zero.
+const compareStats = (subject, reference) => {
+  const deltas = {};
+  COMPARISON_METRICS.forEach(metric => {
+    const from = (reference && reference[metric]) || 0;
+    const to = (subject && subject[metric]) || 0;
+    deltas[metric] = {
+      change: round(to - from),
+      percentChange: from ? round((to - from) / from * 100) : null
+    };
+  });
+  return deltas;
+};
+
+// Analytics series for one store and period, with the slot of each group
+const loadSeries = async (store, { key, label, period, groupBy, source, until, now }) => {
+  const timezone = store.getTimeZone();
+  const { startDate, endDate } = analyticsRange(period, timezone, now);
+  const start = getZonedParts(startDate, timezone);
+  const data = await getStoreAnalytics(store, { period, groupBy, source, until }, now);
+
+  return {
+    key,
+    label,
+    storeId: store.storeId,
+    storeName: store.storeName,
+    timezone,
+    source: data.source,
+    startDate,
+    endDate,
+    start,
+    analytics: data.analytics.map(group => ({
+      ...group,
+      slot: slotOf(group._id, dayNumber(start), groupBy)
+    }))
+  };
+};
+
+// Line up series slot by slot. The first series (the first store, or the
+// current period) is the baseline; the deltas on every other series are
+// the baseline's change relative to that series, so period comparisons
+// read as growth.
+const alignSeries = (seriesList, groupBy) => {
+  const [baseline] = seriesList;
+  const bySlot = seriesList.map(series => new Map(series.analytics.map(group => [group.slot, group])));
+  const slots = [...new Set(seriesList.flatMap(series => series.analytics.map(group => group.slot)))]
+    .sort((a, b) => a - b);
+
+  // No deltas where either side has no data
+  const deltasFor = (subjects) => subjects.map((stats, index) => {
+    if (index === 0 || !stats || !subjects[0]) return null;
+    return compareStats(subjects[0], stats);
+  });
+
+  const aligned = slots.map(slot => {
+    const groups = bySlot.map(groupsBySlot => groupsBySlot.get(slot) || null);
+    return {
+      slot,
+      _id: slotId(slot, baseline.start, groupBy),
+      groups,
+      deltas: deltasFor(groups)
+    };
+  });
+
+  const totals = seriesList.map(series => seriesTotals(series.analytics));
+  const totalDeltas = deltasFor(totals);
+
+  return {
+    series: seriesList.map(({ start, ...series }, index) => ({
+      ...series,
+      totals: totals[index],
+      deltas: totalDeltas[index]
+    })),
+    aligned
+  };
+};
+
+// Compare several stores over the same period. Stores are aligned by
+// their own local time, so 09:00 in one timezone sits next to 09:00 in
+// another.
+const compareStores = async (stores, { period = 'today', groupBy = 'hour' } = {}, now = new Date()) => {
+  const seriesList = await Promise.all(stores.map(store => loadSeries(store, {
+    key: store.storeId,
+    label: store.storeName,
+    period,
+    groupBy,
+    now
+  })));
+
+  return {
+    mode: 'stores',
+    period,
+    groupBy,
+    metrics: COMPARISON_METRICS,
+    ...alignSeries(seriesList, groupBy)
+  };
+};
+
+// Compare a store's current period with earlier ones. Earlier periods end
+// at the moment matching now, so a period in progress is compared like
+// for like. They are read from the rollups, which are kept far longer
+// than raw readings; hourly ones unless whole days of a month are needed.
+const comparePeriods = async (store, compareTo, { period = 'today', groupBy = 'hour' } = {}, now = new Date()) => {
+  const timezone = store.getTimeZone();
+  const rollupSource = period === 'month' && groupBy === 'day' ? 'daily' : 'hourly';
+
+  const seriesList = await Promise.all([
+    loadSeries(store, { key: 'current', label: PERIOD_LABELS[period], period, groupBy, now }),
+    ...compareTo.map(target => {
+      const then = comparisonNow(period, target, now, timezone);
+      return loadSeries(store, {
+        key: target,
+        label: COMPARE_TO_LABELS[target][period],
+        period,
+        groupBy,
+        source: rollupSource,
+        until: then,
+        now: then
+      });
+    })
+  ]);
+
+  return {
+    mode: 'periods',
+    period,
+    groupBy,
+    metrics: COMPARISON_METRICS,
+    ...alignSeries(seriesList, groupBy)
+  };
+};
+
+module.exports = {
+  COMPARISON_METRICS,
+  COMPARE_TO,
+  compareStores,
+  comparePeriods
+};
@@ -0,0 +1,87 @@
+const { getZonedParts } = require('../utils/timezone');
+
+// Hours with fewer entries than this give erratic estimates (a couple of
+// visitors against a standing occupancy) and are left out of the
+// distribution
+const MIN_RELIABLE_ENTRIES = 5;
+
+// Dwell time ranges of the distribution, in minutes
+const DWELL_RANGES = [
+  { label: 'Under 5 min', minMinutes: 0, maxMinutes: 5 },
+  { label: '5-15 min', minMinutes: 5, maxMinutes: 15 },
+  { label: '15-30 min', minMinutes: 15, maxMinutes: 30 },
+  { label: '30-60 min', minMinutes: 30, maxMinutes: 60 },
+  { label: 'Over 60 min', minMinutes: 60, maxMinutes: null }
+];
+
+const ASSUMPTIONS = [
+  'Little\'s law: average time in store = average occupancy / entry rate.',
+  'Each hour is treated as a steady state: visitors arriving roughly balance those leaving.',
+  'Occupancy is derived from the entry and exit counters, so counting errors carry into the estimate.',
+  'Readings are assumed to be evenly spaced within each hour.',
+  'The distribution places visitors by the average of the hour they arrived in; individual stays vary around it.',
+  `Hours with fewer than ${MIN_RELIABLE_ENTRIES} entries are left out of the distribution.`
+];
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const isSameHour = (id, parts) => id.year === parts.year && id.month === parts.month &&
+  id.day === parts.day && id.hour === parts.hour;
+
+// Estimate how long visitors stay from hourly analytics groups (as
+// returned by getStoreAnalytics with groupBy 'hour'). By Little's law the
+// average number of people inside equals the arrival rate times the
+// average stay, so stay = average occupancy x minutes / entries. The
+// overall average weights each hour by its entries.
+const estimateDwellTime = (hourlyGroups, timezone, now = new Date()) => {
+  const current = getZonedParts(now, timezone);
+
+  const hours = hourlyGroups.map(group => {
+    // The hour in progress has only had the minutes so far
+    const minutes = isSameHour(group._id, current) ? Math.max(1, current.minute) : 60;
+    const occupancyMinutes = (group.avgOccupancy || 0) * minutes;
+    const entries = group.totalEntries || 0;
+
+    return {
+      _id: group._id,
+      avgOccupancy: round(group.avgOccupancy),
+      totalEntries: entries,
+      occupancyMinutes,
+      dwellMinutes: entries > 0 ? round(occupancyMinutes / entries) : null,
+      reliable: entries >= MIN_RELIABLE_ENTRIES
+    };
+  });
+
+  const totalEntries = hours.reduce((sum, hour) => sum + hour.totalEntries, 0);
+  const totalOccupancyMinutes = hours.reduce((sum, hour) => sum + hour.occupancyMinutes, 0);
+  const reliableHours = hours.filter(hour => hour.reliable);
+  const reliableEntries = reliableHours.reduce((sum, hour) => sum + hour.totalEntries, 0);
+
+  // Visitors by the estimated dwell time of the hour they arrived in
+  const distribution = DWELL_RANGES.map(range => {
+    const inRange = reliableHours.filter(hour => hour.dwellMinutes >= range.minMinutes &&
+      (range.maxMinutes === null || hour.dwellMinutes < range.maxMinutes));
+    const visitors = inRange.reduce((sum, hour) => sum + hour.totalEntries, 0);
+
+    return {
+      ...range,
+      hours: inRange.length,
+      visitors,
+      share: reliableEntries > 0 ? round(visitors / reliableEntries) : 0
+    };
+  });
+
+  return {
+    estimate: true,
+    method: 'littles-law',
+    assumptions: ASSUMPTIONS,
+    averageMinutes: totalEntries > 0 ? round(totalOccupancyMinutes / totalEntries) : null,
+    hours: hours.map(({ occupancyMinutes, ...hour }) => hour),
+    distribution
+  };
+};
+
+module.exports = {
+  MIN_RELIABLE_ENTRIES,
+  estimateDwellTime
+};
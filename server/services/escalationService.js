@@ -0,0 +1,115 @@
+const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const { alertEvents } = require('./alertEvents');
+
+const rank = severity => Alert.SEVERITIES.indexOf(severity);
+
+// Policy responsible for an alert: the one that first escalated it, or
+// else the oldest enabled policy of its store that covers it
+const policyFor = (alert, storePolicies, policiesById) => {
+  const pinned = alert.escalation && alert.escalation.policyId;
+  if (pinned) {
+    return policiesById.get(String(pinned)) || null;
+  }
+  return (storePolicies.get(alert.storeId) || []).find(policy => policy.covers(alert)) || null;
+};
+
+// Apply a policy step to an alert. The update only applies if the alert is
+// still unacknowledged at the expected level, so a concurrent acknowledge
+// or run wins. Returns the updated alert, or null.
+const applyStep = async (alert, policy, level, now) => {
+  const step = policy.steps[level];
+  const fromSeverity = alert.severity;
+  const toSeverity = step.severity && rank(step.severity) > rank(fromSeverity) ? step.severity : fromSeverity;
+
+  const update = {
+    $set: {
+      severity: toSeverity,
+      'escalation.policyId': policy._id,
+      'escalation.level': level + 1,
+      'escalation.lastEscalatedAt': now
+    },
+    $push: {
+      'escalation.history': {
+        level: level + 1,
+        escalatedAt: now,
+        fromSeverity,
+        toSeverity,
+        notifiedUsers: step.notifyUsers
+      }
+    }
+  };
+  if (toSeverity !== fromSeverity) {
+    update.$set['escalation.severity'] = toSeverity;
+  }
+
+  const escalated = await Alert.findOneAndUpdate(
+    {
+      _id: alert._id,
+      isActive: true,
+      isAcknowledged: false,
+      'escalation.level': level === 0 ? { $in: [0, null] } : level
+    },
+    update,
+    { new: true }
+  );
+
+  if (escalated) {
+    alertEvents.emit('escalated', escalated, { step, level: level + 1, notifiedUsers: step.notifyUsers });
+  }
+
+  return escalated;
+};
+
+// Escalate every active, unacknowledged alert whose next policy step is
+// due. Step times count from when the alert was first raised; one step is
+// applied per alert per run.
+const escalateDueAlerts = async (now = new Date()) => {
+  const policies = await EscalationPolicy.find({ isEnabled: true }).sort({ createdAt: 1 });
+
+  if (policies.length === 0) {
+    return { alertsChecked: 0, escalated: 0 };
+  }
+
+  const storePolicies = new Map();
+  const policiesById = new Map();
+  policies.forEach(policy => {
+    if (!storePolicies.has(policy.storeId)) {
+      storePolicies.set(policy.storeId, []);
+    }
+    storePolicies.get(policy.storeId).push(policy);
+    policiesById.set(String(policy._id), policy);
+  });
+
+  const alerts = await Alert.find({
+    storeId: { $in: [...storePolicies.keys()] },
+    isActive: true,
+    isAcknowledged: false
+  }).select('storeId alertType severity createdAt firstSeenAt escalation.policyId escalation.level');
+
+  let escalated = 0;
+
+  for (const alert of alerts) {
+    const policy = policyFor(alert, storePolicies, policiesById);
+    const level = (alert.escalation && alert.escalation.level) || 0;
+
+    if (!policy || level >= policy.steps.length) {
+      continue;
+    }
+
+    const raisedAt = alert.firstSeenAt || alert.createdAt;
+    if (now.getTime() - raisedAt.getTime() < policy.steps[level].afterMinutes * 60 * 1000) {
+      continue;
+    }
+
+    if (await applyStep(alert, policy, level, now)) {
+      escalated++;
+    }
+  }
+
+  return { alertsChecked: alerts.length, escalated };
+};
+
+module.exports = {
+  escalateDueAlerts
+};
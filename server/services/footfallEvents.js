@@ -0,0 +1,22 @@
+const { EventEmitter } = require('events');
+
+// In-process footfall events, so live channels can react to new readings
+// without the ingestion code knowing about them.
+//
+// 'reading' (footfallData, queueMetrics)  a stored, current (not late) reading
+const footfallEvents = new EventEmitter();
+
+// Listeners run synchronously inside emit(); a failing listener must not
+// break ingestion
+const onFootfallEvent = (event, listener) => {
+  footfallEvents.on(event, (...args) => {
+    Promise.resolve()
+      .then(() => listener(...args))
+      .catch(error => console.error(`Footfall ${event} listener error:`, error));
+  });
+};
+
+module.exports = {
+  footfallEvents,
+  onFootfallEvent
+};
@@ -0,0 +1,242 @@
+const FootfallData = require('../models/FootfallData');
+const Store = require('../models/Store');
+const Device = require('../models/Device');
+const { evaluateRules } = require('./alertRuleService');
+const { footfallEvents } = require('./footfallEvents');
+
+// Fields a reading may carry into a FootfallData document
+const READING_FIELDS = [
+  'storeId',
+  'timestamp',
+  'clientReadingId',
+  'entryCount',
+  'exitCount',
+  'posRate',
+  'transactionCount',
+  'salesValue',
+  'queueData',
+  'entryDetails',
+  'exitDetails',
+  'weather',
+  'specialEvents'
+];
+
+const isNonNegativeInt = (value) => Number.isInteger(Number(value)) && Number(value) >= 0 && value !== '' && value !== null;
+const isNonNegativeNumber = (value) => value !== '' && value !== null && !isNaN(Number(value)) && Number(value) >= 0;
+
+// Pick the known reading fields from a request payload. Anything that is
+// not an object (such as a null batch item) is returned as is for
+// validateReading to reject.
+const normalizeReading = (raw = {}) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return raw;
+  }
+
+  const reading = {};
+
+  READING_FIELDS.forEach(field => {
+    if (raw[field] !== undefined) {
+      reading[field] = raw[field];
+    }
+  });
+
+  return reading;
+};
+
+// Validate a single reading, mirroring the rules used by POST /api/footfall/ingest.
+// Returns an array of { path, msg, value } errors (empty when valid).
+const validateReading = (reading, { requireTimestamp = false } = {}) => {
+  const errors = [];
+
+  if (!reading || typeof reading !== 'object' || Array.isArray(reading)) {
+    return [{ path: '', msg: 'Reading must be an object', value: reading }];
+  }
+
+  if (!reading.storeId || typeof reading.storeId !== 'string' || !reading.storeId.trim()) {
+    errors.push({ path: 'storeId', msg: 'Store ID is required', value: reading.storeId });
+  }
+
+  if (!isNonNegativeInt(reading.entryCount)) {
+    errors.push({ path: 'entryCount', msg: 'Entry count must be non-negative', value: reading.entryCount });
+  }
+
+  if (!isNonNegativeInt(reading.exitCount)) {
+    errors.push({ path: 'exitCount', msg: 'Exit count must be non-negative', value: reading.exitCount });
+  }
+
+  if (!isNonNegativeNumber(reading.posRate)) {
+    errors.push({ path: 'posRate', msg: 'POS rate must be non-negative', value: reading.posRate });
+  }
+
+  if (reading.transactionCount !== undefined && !isNonNegativeInt(reading.transactionCount)) {
+    errors.push({ path: 'transactionCount', msg: 'Transaction count must be non-negative', value: reading.transactionCount });
+  }
+
+  if (reading.salesValue !== undefined && !isNonNegativeNumber(reading.salesValue)) {
+    errors.push({ path: 'salesValue', msg: 'Sales value must be non-negative', value: reading.salesValue });
+  }
+
+  if (reading.timestamp === undefined) {
+    if (requireTimestamp) {
+      errors.push({ path: 'timestamp', msg: 'Timestamp is required', value: reading.timestamp });
+    }
+  } else if (isNaN(new Date(reading.timestamp).getTime())) {
+    errors.push({ path: 'timestamp', msg: 'Timestamp must be a valid date', value: reading.timestamp });
+  }
+
+  if (reading.clientReadingId !== undefined &&
+    (typeof reading.clientReadingId !== 'string' || !reading.clientReadingId.trim() || reading.clientReadingId.length > 128)) {
+    errors.push({ path: 'clientReadingId', msg: 'Client reading ID must be a non-empty string of at most 128 characters', value: reading.clientReadingId });
+  }
+
+  if (reading.queueData && reading.queueData.tillQueues !== undefined) {
+    if (!Array.isArray(reading.queueData.tillQueues)) {
+      errors.push({ path: 'queueData.tillQueues', msg: 'Till queues must be an array', value: reading.queueData.tillQueues });
+    } else {
+      reading.queueData.tillQueues.forEach((till, index) => {
+        if (!till || !isNonNegativeInt(till.tillNumber)) {
+          errors.push({ path: `queueData.tillQueues[${index}].tillNumber`, msg: 'Till number is required', value: till && till.tillNumber });
+        }
+        if (till && till.queueLength !== undefined && !isNonNegativeInt(till.queueLength)) {
+          errors.push({ path: `queueData.tillQueues[${index}].queueLength`, msg: 'Queue length must be non-negative', value: till.queueLength });
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Auto-generate alerts for a stored reading from the store's alert rules
+const generateAlerts = async (footfallData, queueMetrics, owner) => {
+  const store = await Store.findOne({ storeId: footfallData.storeId });
+  if (!store) {
+    return [];
+  }
+
+  return evaluateRules(store, footfallData, { owner });
+};
+
+// Count a retried submission against the store and, if known, the device
+const recordDuplicate = async (storeId, deviceId) => {
+  const update = {
+    $inc: { 'ingestionStats.duplicateCount': 1 },
+    $set: { 'ingestionStats.lastDuplicateAt': new Date() }
+  };
+
+  await Store.updateOne({ storeId }, update);
+
+  if (deviceId) {
+    await Device.updateOne({ _id: deviceId }, {
+      $inc: { duplicateCount: 1 },
+      $set: { lastDuplicateAt: new Date() }
+    });
+  }
+};
+
+// Return the reading already stored under a client reading ID, if any
+const findExistingReading = (storeId, clientReadingId) => {
+  if (!clientReadingId) {
+    return null;
+  }
+  return FootfallData.findOne({ storeId, clientReadingId });
+};
+
+// Store a reading and (optionally) raise alerts for it.
+// A reading older than the store's latest one is treated as late: the
+// occupancy of every reading after it is recomputed and no alerts are
+// raised, since it no longer describes the store's current state.
+// A reading whose clientReadingId was already stored is not saved again;
+// the original document is returned with duplicate set.
+// Returns { footfallData, queueMetrics, isLate, recomputed, duplicate }.
+const ingestReading = async (reading, {
+  owner,
+  deviceId,
+  generateAlerts: shouldAlert = true,
+  recomputeOccupancy = true
+}) => {
+  const existing = await findExistingReading(reading.storeId, reading.clientReadingId);
+
+  if (existing) {
+    await recordDuplicate(reading.storeId, deviceId);
+    return {
+      footfallData: existing,
+      queueMetrics: existing.calculateQueueMetrics(),
+      isLate: false,
+      recomputed: 0,
+      duplicate: true
+    };
+  }
+
+  const footfallData = new FootfallData({
+    ...reading,
+    owner
+  });
+
+  // Persist queue totals derived from the tills when the client omitted them,
+  // so analytics and rollups can aggregate them
+  const tillQueues = footfallData.queueData && footfallData.queueData.tillQueues;
+  if (tillQueues && tillQueues.length > 0) {
+    const derived = footfallData.calculateQueueMetrics();
+    if (!reading.queueData || reading.queueData.totalQueue === undefined) {
+      footfallData.queueData.totalQueue = derived.totalQueue;
+    }
+    if (!reading.queueData || reading.queueData.avgWaitTime === undefined) {
+      footfallData.queueData.avgWaitTime = derived.avgWaitTime;
+    }
+  }
+
+  try {
+    await footfallData.save();
+  } catch (error) {
+    // A concurrent retry stored the same reading first
+    if (error.code === 11000 && reading.clientReadingId) {
+      const original = await findExistingReading(reading.storeId, reading.clientReadingId);
+      if (original) {
+        await recordDuplicate(reading.storeId, deviceId);
+        return {
+          footfallData: original,
+          queueMetrics: original.calculateQueueMetrics(),
+          isLate: false,
+          recomputed: 0,
+          duplicate: true
+        };
+      }
+    }
+    throw error;
+  }
+
+  const isLate = await FootfallData.hasReadingsAfter(
+    footfallData.storeId,
+    footfallData.timestamp,
+    footfallData._id
+  );
+  let recomputed = 0;
+
+  if (isLate && recomputeOccupancy) {
+    ({ updated: recomputed } = await FootfallData.recomputeOccupancy(
+      footfallData.storeId,
+      footfallData.timestamp
+    ));
+  }
+
+  // Calculate queue metrics
+  const queueMetrics = footfallData.calculateQueueMetrics();
+
+  if (!isLate) {
+    footfallEvents.emit('reading', footfallData, queueMetrics);
+  }
+
+  if (shouldAlert && !isLate) {
+    await generateAlerts(footfallData, queueMetrics, owner);
+  }
+
+  return { footfallData, queueMetrics, isLate, recomputed, duplicate: false };
+};
+
+module.exports = {
+  normalizeReading,
+  validateReading,
+  generateAlerts,
+  ingestReading
+};
@@ -0,0 +1,269 @@
+const FootfallData = require('../models/FootfallData');
+const { startOfHour, startOfDay, nextHour, nextDay, DAY_MS, HOUR_MS } = require('./rollupService');
+const { getZonedParts, formatLocalTime } = require('../utils/timezone');
+
+// Weeks of hourly rollups the seasonal profile is built from
+const DEFAULT_HISTORY_WEEKS = 8;
+// Same weekday-and-hour samples needed before falling back to hour of day
+const MIN_SEASONAL_SAMPLES = 2;
+// Recent hours needed before the level adjustment is trusted
+const MIN_LEVEL_SAMPLES = 24;
+const LEVEL_BOUNDS = [0.5, 2];
+// Change in entries that counts as a trend for the next-hour forecast
+const TREND_THRESHOLD = 0.1;
+
+// Normal quantiles for the reported intervals
+const Z_80 = 1.28;
+const Z_95 = 1.96;
+
+const METRICS = {
+  entries: hour => hour.entryCount || 0,
+  occupancy: hour => (hour.rollup ? hour.rollup.avgOccupancy : hour.currentOccupancy) || 0,
+  queueLength: hour => (hour.rollup ? hour.rollup.avgQueueLength : 0) || 0
+};
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Local weekday (0 = Sunday) and hour of a bucket
+const localSlot = (date, timeZone) => {
+  const { year, month, day, hour } = getZonedParts(date, timeZone);
+  return {
+    dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    hour
+  };
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const variance = (values) => {
+  if (values.length < 2) {
+    return null;
+  }
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+// Point estimate with 80% and 95% intervals. Without enough samples for a
+// spread, counts are treated as Poisson (variance = mean).
+const estimate = (values, level) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const expected = mean(values) * level;
+  const sampleVariance = variance(values);
+  const spreadVariance = sampleVariance === null
+    ? Math.max(expected, 1)
+    : sampleVariance * level * level * (1 + 1 / values.length);
+
+  return { expected, variance: spreadVariance };
+};
+
+const toInterval = ({ expected, variance: spread }) => {
+  const sd = Math.sqrt(spread);
+  return {
+    expected: round(expected),
+    lower80: round(Math.max(0, expected - Z_80 * sd)),
+    upper80: round(expected + Z_80 * sd),
+    lower95: round(Math.max(0, expected - Z_95 * sd)),
+    upper95: round(expected + Z_95 * sd)
+  };
+};
+
+const closedInterval = () => ({ expected: 0, lower80: 0, upper80: 0, lower95: 0, upper95: 0 });
+
+// Group hourly rollups by weekday-and-hour and by hour of day
+const buildProfile = (hours, timeZone) => {
+  const bySlot = new Map();
+  const byHour = new Map();
+
+  hours.forEach(hour => {
+    const { dayOfWeek, hour: hourOfDay } = localSlot(hour.timestamp, timeZone);
+    const slotKey = `${dayOfWeek}:${hourOfDay}`;
+
+    if (!bySlot.has(slotKey)) {
+      bySlot.set(slotKey, []);
+    }
+    if (!byHour.has(hourOfDay)) {
+      byHour.set(hourOfDay, []);
+    }
+    bySlot.get(slotKey).push(hour);
+    byHour.get(hourOfDay).push(hour);
+  });
+
+  return { bySlot, byHour, all: hours };
+};
+
+// Samples for a target hour: same weekday and hour when there are enough,
+// otherwise the same hour on any day, otherwise every hour
+const samplesFor = (profile, slot) => {
+  const seasonal = profile.bySlot.get(`${slot.dayOfWeek}:${slot.hour}`) || [];
+  if (seasonal.length >= MIN_SEASONAL_SAMPLES) {
+    return { method: 'weekday_hour', samples: seasonal };
+  }
+
+  const hourly = profile.byHour.get(slot.hour) || [];
+  if (hourly.length >= MIN_SEASONAL_SAMPLES) {
+    return { method: 'hour_of_day', samples: hourly };
+  }
+
+  return { method: 'overall', samples: profile.all };
+};
+
+// Ratio of the last week's entries to what the seasonal profile built from
+// older weeks expected, so a generally busier or quieter spell carries
+// into the forecast
+const levelFactor = (hours, timeZone, now) => {
+  const recentStart = now.getTime() - 7 * DAY_MS;
+  const older = hours.filter(hour => hour.timestamp.getTime() < recentStart);
+  const recent = hours.filter(hour => hour.timestamp.getTime() >= recentStart);
+
+  if (older.length === 0 || recent.length < MIN_LEVEL_SAMPLES) {
+    return 1;
+  }
+
+  const profile = buildProfile(older, timeZone);
+  let actual = 0;
+  let expected = 0;
+
+  recent.forEach(hour => {
+    const { samples } = samplesFor(profile, localSlot(hour.timestamp, timeZone));
+    actual += METRICS.entries(hour);
+    expected += mean(samples.map(METRICS.entries));
+  });
+
+  if (expected <= 0) {
+    return 1;
+  }
+
+  return Math.min(LEVEL_BOUNDS[1], Math.max(LEVEL_BOUNDS[0], actual / expected));
+};
+
+// Forecast entries, occupancy and queue length for a store from its hourly
+// rollups using weekday and hour-of-day seasonality.
+// horizon 'hour' forecasts the next local hour; 'day' forecasts each hour
+// of the next local day plus day totals.
+const forecastFootfall = async (store, {
+  horizon = 'hour',
+  historyWeeks = DEFAULT_HISTORY_WEEKS,
+  now = new Date()
+} = {}) => {
+  const timeZone = store.getTimeZone();
+  const currentHour = startOfHour(now, timeZone);
+
+  const hours = await FootfallData.find({
+    storeId: store.storeId,
+    dataType: 'hourly',
+    timestamp: { $gte: new Date(currentHour.getTime() - historyWeeks * 7 * DAY_MS), $lt: currentHour }
+  })
+    .select('timestamp entryCount currentOccupancy rollup.avgOccupancy rollup.avgQueueLength')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  let targets;
+  if (horizon === 'day') {
+    const dayStart = nextDay(startOfDay(now, timeZone), timeZone);
+    const dayEnd = nextDay(dayStart, timeZone);
+    targets = [];
+    for (let start = dayStart; start < dayEnd; start = nextHour(start)) {
+      targets.push(start);
+    }
+  } else {
+    targets = [nextHour(currentHour)];
+  }
+
+  const base = {
+    horizon,
+    timezone: timeZone,
+    generatedAt: now,
+    historyWeeks,
+    historyHours: hours.length
+  };
+
+  if (hours.length === 0) {
+    return { ...base, levelFactor: 1, points: [], totals: null, insufficientData: true };
+  }
+
+  const profile = buildProfile(hours, timeZone);
+  const level = levelFactor(hours, timeZone, now);
+
+  const estimates = targets.map(start => {
+    if (!store.isOpenAt(start)) {
+      return { start, closed: true };
+    }
+
+    const { method, samples } = samplesFor(profile, localSlot(start, timeZone));
+    const result = { start, closed: false, method, samples: samples.length };
+    Object.entries(METRICS).forEach(([metric, read]) => {
+      result[metric] = estimate(samples.map(read), level);
+    });
+    return result;
+  });
+
+  const points = estimates.map(point => ({
+    start: point.start,
+    end: nextHour(point.start),
+    localTime: formatLocalTime(point.start, timeZone),
+    closed: point.closed,
+    method: point.method || null,
+    samples: point.samples || 0,
+    entries: point.closed ? closedInterval() : toInterval(point.entries),
+    occupancy: point.closed ? closedInterval() : toInterval(point.occupancy),
+    queueLength: point.closed ? closedInterval() : toInterval(point.queueLength)
+  }));
+
+  // Hourly errors are assumed independent when summing to a day total
+  const open = estimates.filter(point => !point.closed);
+  const totals = {
+    entries: toInterval({
+      expected: open.reduce((sum, point) => sum + point.entries.expected, 0),
+      variance: open.reduce((sum, point) => sum + point.entries.variance, 0)
+    }),
+    peakOccupancy: points.reduce((max, point) => Math.max(max, point.occupancy.expected), 0),
+    peakQueueLength: points.reduce((max, point) => Math.max(max, point.queueLength.expected), 0),
+    peakHour: points.length > 0
+      ? points.reduce((peak, point) => (point.entries.expected > peak.entries.expected ? point : peak)).localTime
+      : null
+  };
+
+  return { ...base, levelFactor: round(level), points, totals };
+};
+
+// Compare the next-hour forecast with entries over the last hour
+const forecastTrend = async (store, forecast, now = new Date()) => {
+  const [next] = forecast.points;
+  if (!next) {
+    return null;
+  }
+
+  const [recent] = await FootfallData.aggregate([
+    {
+      $match: {
+        storeId: store.storeId,
+        dataType: 'realtime',
+        timestamp: { $gte: new Date(now.getTime() - HOUR_MS), $lte: now }
+      }
+    },
+    { $group: { _id: null, entries: { $sum: '$entryCount' } } }
+  ]);
+
+  const lastHourEntries = recent ? recent.entries : 0;
+  const expected = next.entries.expected;
+  let direction = 'steady';
+
+  if (next.closed) {
+    direction = 'closed';
+  } else if (expected > lastHourEntries * (1 + TREND_THRESHOLD)) {
+    direction = 'increase';
+  } else if (expected < lastHourEntries * (1 - TREND_THRESHOLD)) {
+    direction = 'decrease';
+  }
+
+  return { direction, lastHourEntries, expectedEntries: expected };
+};
+
+module.exports = {
+  forecastFootfall,
+  forecastTrend,
+  DEFAULT_HISTORY_WEEKS
+};
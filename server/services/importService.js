@@ -0,0 +1,359 @@
+const FootfallData = require('../models/FootfallData');
+const ImportJob = require('../models/ImportJob');
+const { parseCsv } = require('../utils/csv');
+const { parseZonedTimestamp } = require('../utils/timezone');
+const { rebuildRollups, HOUR_MS, DAY_MS } = require('./rollupService');
+
+// Readings written per insertMany call
+const CHUNK_SIZE = 500;
+
+// Header names recognised when suggesting a column mapping (normalised:
+// lower case, letters and digits only)
+const HEADER_ALIASES = {
+  timestamp: ['timestamp', 'time', 'datetime', 'date', 'datetimeutc', 'recordedat'],
+  entryCount: ['entrycount', 'entries', 'entry', 'in', 'ins', 'enters', 'visitorsin'],
+  exitCount: ['exitcount', 'exits', 'exit', 'out', 'outs', 'visitorsout'],
+  posRate: ['posrate', 'pos', 'transactionsperminute', 'transactionrate', 'tpm'],
+  transactionCount: ['transactioncount', 'transactions', 'txns', 'receipts'],
+  salesValue: ['salesvalue', 'sales', 'revenue', 'takings']
+};
+const TILL_QUEUE_HEADER = /^till(\d+)(queue|queuelength|q)$/;
+const TILL_SERVICE_HEADER = /^till(\d+)(service|servicetime|avgservicetime)$/;
+
+const REQUIRED_FIELDS = ['timestamp', 'entryCount', 'exitCount'];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Guess which CSV column feeds which reading field
+const suggestMapping = (headers) => {
+  const mapping = { tills: [] };
+  const normalized = headers.map(normalizeHeader);
+
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    const index = normalized.findIndex(header => aliases.includes(header));
+    if (index !== -1) {
+      mapping[field] = headers[index];
+    }
+  });
+
+  const tills = new Map();
+  normalized.forEach((header, index) => {
+    const queueMatch = header.match(TILL_QUEUE_HEADER);
+    const serviceMatch = header.match(TILL_SERVICE_HEADER);
+    const match = queueMatch || serviceMatch;
+    if (!match) {
+      return;
+    }
+
+    const tillNumber = parseInt(match[1]);
+    const till = tills.get(tillNumber) || { tillNumber };
+    till[queueMatch ? 'queueLength' : 'avgServiceTime'] = headers[index];
+    tills.set(tillNumber, till);
+  });
+
+  mapping.tills = Array.from(tills.values())
+    .filter(till => till.queueLength)
+    .sort((a, b) => a.tillNumber - b.tillNumber);
+
+  return mapping;
+};
+
+// Check a column mapping against the CSV headers. Returns error messages.
+const validateMapping = (mapping, headers) => {
+  const errors = [];
+
+  if (!mapping || typeof mapping !== 'object') {
+    return ['Column mapping is required'];
+  }
+
+  const checkColumn = (column, label) => {
+    if (column !== undefined && !headers.includes(column)) {
+      errors.push(`Column "${column}" mapped to ${label} does not exist in the file`);
+    }
+  };
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (!mapping[field]) {
+      errors.push(`A column must be mapped to ${field}`);
+    }
+  });
+
+  ['timestamp', 'entryCount', 'exitCount', 'posRate', 'transactionCount', 'salesValue']
+    .forEach(field => checkColumn(mapping[field], field));
+
+  if (mapping.tills !== undefined && !Array.isArray(mapping.tills)) {
+    errors.push('tills must be an array');
+  } else {
+    (mapping.tills || []).forEach((till, index) => {
+      if (!Number.isInteger(till.tillNumber) || till.tillNumber < 0) {
+        errors.push(`tills[${index}].tillNumber must be a non-negative integer`);
+      }
+      if (!till.queueLength) {
+        errors.push(`tills[${index}].queueLength column is required`);
+      }
+      checkColumn(till.queueLength, `till ${till.tillNumber} queue length`);
+      checkColumn(till.avgServiceTime, `till ${till.tillNumber} service time`);
+    });
+  }
+
+  return errors;
+};
+
+const parseNonNegative = (value, { integer }) => {
+  const trimmed = (value || '').trim();
+  if (trimmed === '') {
+    return null;
+  }
+  const number = Number(trimmed);
+  if (isNaN(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    return undefined;
+  }
+  return number;
+};
+
+// Turn CSV rows into readings using a column mapping. Timestamps without
+// a UTC offset are read as local time in timeZone.
+// Returns { readings, rowErrors, totalRows } where rowErrors holds
+// { row, messages } using 1-based line numbers (the header is line 1).
+const mapRows = (headers, rows, mapping, timeZone) => {
+  const column = (name) => headers.indexOf(name);
+  const readings = [];
+  const rowErrors = [];
+
+  rows.forEach((values, index) => {
+    const errors = [];
+    const cell = (name) => (name ? values[column(name)] : undefined);
+
+    const timestamp = parseZonedTimestamp(cell(mapping.timestamp), timeZone);
+    if (isNaN(timestamp.getTime())) {
+      errors.push(`Invalid timestamp "${cell(mapping.timestamp) || ''}"`);
+    }
+
+    const numbers = {};
+    [
+      ['entryCount', true, true],
+      ['exitCount', true, true],
+      ['posRate', false, false],
+      ['transactionCount', true, false],
+      ['salesValue', false, false]
+    ].forEach(([field, integer, required]) => {
+      const raw = cell(mapping[field]);
+      const value = parseNonNegative(raw, { integer });
+      if (value === undefined) {
+        errors.push(`${field} must be a non-negative ${integer ? 'integer' : 'number'} (got "${raw}")`);
+      } else if (value === null && required) {
+        errors.push(`${field} is required`);
+      }
+      numbers[field] = value;
+    });
+
+    const tillQueues = [];
+    (mapping.tills || []).forEach(till => {
+      const queueLength = parseNonNegative(cell(till.queueLength), { integer: true });
+      const avgServiceTime = parseNonNegative(cell(till.avgServiceTime), { integer: false });
+
+      if (queueLength === undefined) {
+        errors.push(`Till ${till.tillNumber} queue length must be a non-negative integer`);
+      }
+      if (avgServiceTime === undefined) {
+        errors.push(`Till ${till.tillNumber} service time must be a non-negative number`);
+      }
+      if (queueLength !== null && queueLength !== undefined) {
+        tillQueues.push({
+          tillNumber: till.tillNumber,
+          queueLength,
+          avgServiceTime: avgServiceTime || 0,
+          status: 'active'
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      rowErrors.push({ row: index + 2, messages: errors });
+      return;
+    }
+
+    const reading = {
+      timestamp,
+      entryCount: numbers.entryCount || 0,
+      exitCount: numbers.exitCount || 0,
+      posRate: numbers.posRate || 0
+    };
+
+    // Transactions and sales are only stored when the file has them
+    ['transactionCount', 'salesValue'].forEach(field => {
+      if (numbers[field] !== null && numbers[field] !== undefined) {
+        reading[field] = numbers[field];
+      }
+    });
+
+    if (tillQueues.length > 0) {
+      reading.queueData = { tillQueues };
+    }
+
+    readings.push(reading);
+  });
+
+  return { readings, rowErrors, totalRows: rows.length };
+};
+
+// Parse CSV text and apply a mapping (or the suggested one).
+// Returns { headers, mapping, mappingErrors, readings, rowErrors, totalRows }.
+const prepareImport = (csvText, mapping, { timeZone = 'UTC' } = {}) => {
+  const [headerRow, ...rows] = parseCsv(csvText || '');
+  const headers = (headerRow || []).map(header => header.trim());
+  const effectiveMapping = mapping || suggestMapping(headers);
+  const mappingErrors = headers.length === 0
+    ? ['The file has no header row']
+    : validateMapping(effectiveMapping, headers);
+
+  if (mappingErrors.length > 0) {
+    return {
+      headers,
+      mapping: effectiveMapping,
+      mappingErrors,
+      readings: [],
+      rowErrors: [],
+      totalRows: rows.length
+    };
+  }
+
+  return {
+    headers,
+    mapping: effectiveMapping,
+    mappingErrors,
+    ...mapRows(headers, rows, effectiveMapping, timeZone)
+  };
+};
+
+// Delete the readings an import wrote and rebuild the occupancy chain and
+// rollups over its date range. Returns the number of readings removed.
+const removeImportedReadings = async (job) => {
+  const result = await FootfallData.deleteMany({ importJobId: job._id });
+
+  if (job.dateRange && job.dateRange.start) {
+    const end = new Date(job.dateRange.end.getTime() + HOUR_MS);
+    await FootfallData.recomputeOccupancy(job.storeId, job.dateRange.start);
+    await rebuildRollups(job.storeId, job.dateRange.start, end, { pruneEmpty: true });
+  }
+
+  return result.deletedCount;
+};
+
+// Write prepared readings for an import job. Live alerts are never raised
+// for imported data. Runs in the background; progress is saved on the job.
+const runImport = async (job, store, readings) => {
+  try {
+    const sorted = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+
+    for (let offset = 0; offset < sorted.length; offset += CHUNK_SIZE) {
+      const chunk = sorted.slice(offset, offset + CHUNK_SIZE).map(reading => {
+        const tillQueues = reading.queueData ? reading.queueData.tillQueues : [];
+        return {
+          ...reading,
+          storeId: store.storeId,
+          dataType: 'realtime',
+          queueData: {
+            tillQueues,
+            totalQueue: tillQueues.reduce((sum, till) => sum + till.queueLength, 0),
+            avgWaitTime: tillQueues.length > 0
+              ? Math.round(tillQueues.reduce((sum, till) => sum + till.avgServiceTime * till.queueLength, 0) / tillQueues.length * 100) / 100
+              : 0
+          },
+          importJobId: job._id,
+          owner: store.owner
+        };
+      });
+
+      await FootfallData.insertMany(chunk, { ordered: true });
+
+      job.processedRows = Math.min(offset + CHUNK_SIZE, sorted.length);
+      job.importedCount = job.processedRows;
+      job.progress = Math.round((job.processedRows / sorted.length) * 100);
+      await job.save();
+    }
+
+    // insertMany skips the pre-save hook, so build the occupancy chain and
+    // rollups for the imported range in one pass
+    if (sorted.length > 0) {
+      const start = sorted[0].timestamp;
+      const end = new Date(sorted[sorted.length - 1].timestamp.getTime() + HOUR_MS);
+      await FootfallData.recomputeOccupancy(store.storeId, start);
+      await rebuildRollups(store.storeId, start, end);
+    }
+
+    job.status = 'completed';
+    job.progress = 100;
+    job.completedAt = new Date();
+    job.undoableUntil = new Date(job.completedAt.getTime() + ImportJob.UNDO_WINDOW_DAYS * DAY_MS);
+    await job.save();
+
+  } catch (error) {
+    console.error('Import job error:', error);
+    job.status = 'failed';
+    job.error = error.message;
+
+    // Roll back the chunks already written. If that fails too, the job
+    // stays undoable so they can be removed later.
+    try {
+      await removeImportedReadings(job);
+      job.importedCount = 0;
+      job.rolledBackAt = new Date();
+    } catch (rollbackError) {
+      console.error('Import rollback error:', rollbackError);
+    }
+
+    await job.save().catch(saveError => console.error('Import job save error:', saveError));
+  }
+};
+
+// Remove everything an import created and rebuild derived data. The job
+// is claimed in the status it was checked in, so only one of two
+// concurrent undos goes ahead; the other gets null back.
+const undoImport = async (job) => {
+  const claim = await ImportJob.updateOne(
+    { _id: job._id, status: job.status },
+    { $set: { status: 'undoing' } }
+  );
+  if (claim.modifiedCount === 0) {
+    return null;
+  }
+  job.status = 'undoing';
+
+  let deletedCount;
+  try {
+    deletedCount = await removeImportedReadings(job);
+  } catch (error) {
+    // Leave the job undoable so the undo can be tried again
+    job.status = 'failed';
+    job.error = `Undo failed: ${error.message}`;
+    await job.save().catch(saveError => console.error('Import job save error:', saveError));
+    throw error;
+  }
+
+  job.status = 'undone';
+  job.undoneAt = new Date();
+  await job.save();
+
+  return deletedCount;
+};
+
+// Imports run inside the server process, so jobs still processing or
+// undoing when it starts were cut off by a restart. Mark them failed,
+// which leaves whatever they wrote to be undone.
+const failInterruptedImports = async () => {
+  const result = await ImportJob.updateMany(
+    { status: { $in: ['processing', 'undoing'] } },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart' } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  suggestMapping,
+  prepareImport,
+  runImport,
+  undoImport,
+  failInterruptedImports
+};
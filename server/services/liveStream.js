@@ -0,0 +1,144 @@
+const { onAlertEvent } = require('./alertEvents');
+const { onFootfallEvent } = require('./footfallEvents');
+const { findAccessibleStore } = require('./accessControl');
+
+// Server-Sent Events hub: open streams per store, fed by the footfall and
+// alert events of this process. Subscribers are kept in memory, so with
+// several API instances each one only pushes what it ingested itself.
+//
+// Events sent on a stream:
+//   'ready'   { storeId }                       once, after connecting
+//   'reading' latest reading, as GET /api/footfall/latest returns it
+//   'alert'   { event, alert }                  event is created, acknowledged,
+//                                               resolved or escalated
+//
+// Streams of each store map to the user who opened them
+const clients = new Map();
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+// How often open streams are checked against their user's current access,
+// so users removed from a store stop receiving it
+const ACCESS_CHECK_MS = 60 * 1000;
+// Delay an EventSource waits before reconnecting after a drop
+const RECONNECT_MS = 5 * 1000;
+
+let heartbeat = null;
+let accessCheck = null;
+
+const countClients = () => [...clients.values()].reduce((sum, streams) => sum + streams.size, 0);
+
+const stopTimersIfIdle = () => {
+  if (heartbeat && clients.size === 0) {
+    clearInterval(heartbeat);
+    clearInterval(accessCheck);
+    heartbeat = null;
+    accessCheck = null;
+  }
+};
+
+const removeStream = (storeId, res) => {
+  const streams = clients.get(storeId);
+  if (streams) {
+    streams.delete(res);
+    if (streams.size === 0) {
+      clients.delete(storeId);
+    }
+  }
+  stopTimersIfIdle();
+};
+
+// Close the streams whose user can no longer read the store (or whose
+// store was deactivated)
+const checkAccess = async () => {
+  for (const [storeId, streams] of clients) {
+    const allowed = new Map();
+
+    for (const [res, userId] of streams) {
+      const key = String(userId);
+      if (!allowed.has(key)) {
+        allowed.set(key, Boolean(await findAccessibleStore(userId, storeId)));
+      }
+      if (!allowed.get(key)) {
+        removeStream(storeId, res);
+        res.end();
+      }
+    }
+  }
+};
+
+const startTimers = () => {
+  if (heartbeat) {
+    return;
+  }
+  heartbeat = setInterval(() => {
+    clients.forEach(streams => {
+      for (const res of streams.keys()) {
+        res.write(': heartbeat\n\n');
+      }
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  accessCheck = setInterval(() => {
+    checkAccess().catch(error => console.error('Stream access check error:', error));
+  }, ACCESS_CHECK_MS);
+  accessCheck.unref();
+};
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn a response into an event stream for a store, opened by a user. The
+// stream is removed when the client disconnects or the user loses access.
+const subscribe = (storeId, req, res, { userId }) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable response buffering in nginx
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  if (!clients.has(storeId)) {
+    clients.set(storeId, new Map());
+  }
+  clients.get(storeId).set(res, userId);
+  startTimers();
+
+  writeEvent(res, 'ready', { storeId });
+
+  req.on('close', () => removeStream(storeId, res));
+};
+
+// Send an event to every stream open for a store
+const publish = (storeId, event, data) => {
+  const streams = clients.get(storeId);
+  if (!streams) {
+    return 0;
+  }
+  for (const res of streams.keys()) {
+    writeEvent(res, event, data);
+  }
+  return streams.size;
+};
+
+// Push new readings and alert lifecycle events to store streams
+const registerStreamListeners = () => {
+  onFootfallEvent('reading', (footfallData, queueMetrics) => publish(footfallData.storeId, 'reading', {
+    ...footfallData.toObject(),
+    queueMetrics
+  }));
+
+  ['created', 'acknowledged', 'resolved', 'escalated'].forEach(event => {
+    onAlertEvent(event, alert => publish(alert.storeId, 'alert', { event, alert }));
+  });
+};
+
+module.exports = {
+  countClients,
+  subscribe,
+  publish,
+  registerStreamListeners
+};
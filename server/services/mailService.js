@@ -0,0 +1,47 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings come from the environment:
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for implicit TLS, e.g.
+//   port 465), SMTP_USER, SMTP_PASS, MAIL_FROM
+// Without SMTP_HOST email is disabled. For local testing point it at a
+// catcher such as MailHog or Mailpit (SMTP_HOST=localhost SMTP_PORT=1025).
+let transport = null;
+
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+};
+
+// Send an email; resolves with false (and sends nothing) when SMTP is not
+// configured
+const sendMail = async ({ to, subject, text, html, headers }) => {
+  if (!isMailConfigured()) {
+    return false;
+  }
+
+  await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'CodeMasters <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+    headers
+  });
+  return true;
+};
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
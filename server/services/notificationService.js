@@ -0,0 +1,440 @@
+const Alert = require('../models/Alert');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const FootfallData = require('../models/FootfallData');
+const NotificationPreference = require('../models/NotificationPreference');
+const { onAlertEvent } = require('./alertEvents');
+const { getStoreRole } = require('./accessControl');
+const { isMailConfigured, sendMail } = require('./mailService');
+const { getZonedParts, startOfZonedDay, addZonedDays } = require('../utils/timezone');
+
+// Base URL of this API, used in unsubscribe links
+const apiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+// Base URL of the web app, for links that need a signed-in user
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const UNSUBSCRIBE_SCOPES = ['alerts', 'digest', 'all'];
+
+const pad = value => String(value).padStart(2, '0');
+
+const escapeHtml = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Local calendar date (YYYY-MM-DD) of an instant
+const localDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const unsubscribeUrl = (token, scope) => `${apiUrl()}/api/notifications/unsubscribe/${token}?scope=${scope}`;
+
+// Footer and List-Unsubscribe headers (RFC 8058 one-click) for an email
+// sent under a preference
+const withUnsubscribe = (preference, scope, { subject, text, html }) => {
+  const url = unsubscribeUrl(preference.unsubscribeToken, scope);
+  const label = scope === 'digest' ? 'daily digests' : 'alert emails';
+
+  return {
+    subject,
+    text: `${text}\n\n--\nUnsubscribe from ${label} for this store: ${url}\n`,
+    html: `${html}<hr><p style="color:#666;font-size:12px">` +
+      `<a href="${escapeHtml(url)}">Unsubscribe from ${label} for this store</a></p>`,
+    headers: {
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
+
+// Create a user's preference for a store with the defaults if it does not
+// exist yet
+const upsertPreference = (userId, storeId) => NotificationPreference.updateOne(
+  { user: userId, storeId },
+  { $setOnInsert: { user: userId, storeId } },
+  { upsert: true }
+);
+
+// Store owners are notified without having to opt in
+const ensureOwnerPreference = (store) => upsertPreference(store.owner, store.storeId);
+
+// Check the preference's user can still access the store, so former
+// members stop receiving its emails
+const hasStoreAccess = async (preference, store) => Boolean(
+  preference.user && await getStoreRole(preference.user._id, store)
+);
+
+// Preferences of every user notified about a store, with their user
+const preferencesForStore = async (store) => {
+  await ensureOwnerPreference(store);
+
+  const preferences = await NotificationPreference.find({ storeId: store.storeId })
+    .select('+unsubscribeToken')
+    .populate('user', 'name email');
+  const allowed = await Promise.all(preferences.map(preference => hasStoreAccess(preference, store)));
+
+  return preferences.filter((preference, index) => allowed[index]);
+};
+
+// Get (creating it if needed) a user's preference for a store
+const getPreference = async (userId, storeId) => {
+  await upsertPreference(userId, storeId);
+  return NotificationPreference.findOne({ user: userId, storeId });
+};
+
+// Same as getPreference, with what is needed to email the user
+const getRecipient = async (userId, storeId) => {
+  await upsertPreference(userId, storeId);
+  return NotificationPreference.findOne({ user: userId, storeId })
+    .select('+unsubscribeToken')
+    .populate('user', 'name email');
+};
+
+// Apply an unsubscribe link. Returns the preference, or null if the token
+// is unknown.
+const unsubscribe = (token, scope = 'all') => {
+  const update = {};
+  if (scope === 'alerts' || scope === 'all') {
+    update['alertEmails.enabled'] = false;
+  }
+  if (scope === 'digest' || scope === 'all') {
+    update['digest.enabled'] = false;
+  }
+
+  return NotificationPreference.findOneAndUpdate(
+    { unsubscribeToken: token },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Subject and body of an alert email
+const renderAlertEmail = (alert, store, { escalated = false } = {}) => {
+  const prefix = escalated ? `Escalated (level ${alert.escalation.level})` : 'New alert';
+  const subject = `[${alert.severity.toUpperCase()}] ${store.storeName}: ${alert.title}`;
+  const actions = (alert.recommendations || []).map(rec => rec.action).filter(Boolean);
+
+  const text = [
+    `${prefix} for ${store.storeName} (${store.storeId})`,
+    '',
+    alert.title,
+    alert.message,
+    '',
+    `Severity: ${alert.severity}`,
+    `Type: ${alert.alertType}`,
+    `Raised: ${alert.createdAt ? alert.createdAt.toISOString() : ''}`,
+    ...(actions.length > 0 ? ['', 'Recommended actions:', ...actions.map(action => `- ${action}`)] : [])
+  ].join('\n');
+
+  const html = `<p>${escapeHtml(prefix)} for <strong>${escapeHtml(store.storeName)}</strong> (${escapeHtml(store.storeId)})</p>` +
+    `<h2>${escapeHtml(alert.title)}</h2>` +
+    `<p>${escapeHtml(alert.message)}</p>` +
+    `<p>Severity: <strong>${escapeHtml(alert.severity)}</strong><br>Type: ${escapeHtml(alert.alertType)}</p>` +
+    (actions.length > 0
+      ? `<p>Recommended actions:</p><ul>${actions.map(action => `<li>${escapeHtml(action)}</li>`).join('')}</ul>`
+      : '');
+
+  return { subject, text, html };
+};
+
+// Send an alert email to each preference; failures are logged per
+// recipient so one bad address does not stop the rest
+const sendAlertEmails = async (alert, store, preferences, options) => {
+  const content = renderAlertEmail(alert, store, options);
+  let sent = 0;
+
+  for (const preference of preferences) {
+    if (!preference.user || !preference.user.email) {
+      continue;
+    }
+    try {
+      await sendMail({ to: preference.user.email, ...withUnsubscribe(preference, 'alerts', content) });
+      sent++;
+    } catch (error) {
+      console.error(`Alert email to ${preference.user.email} failed:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+// Email users whose preferences match a new alert
+const notifyAlertCreated = async (alert) => {
+  if (!isMailConfigured()) {
+    return 0;
+  }
+
+  const store = await Store.findOne({ storeId: alert.storeId, isActive: true });
+  if (!store) {
+    return 0;
+  }
+
+  const preferences = await preferencesForStore(store);
+  return sendAlertEmails(alert, store, preferences.filter(preference => preference.wantsAlert(alert)));
+};
+
+// Email the users an escalation step names, plus users whose severity
+// filter the alert only matches now that it was raised. Users who turned
+// alert emails off for the store, or who can no longer access it, are
+// skipped.
+const notifyAlertEscalated = async (alert, { notifiedUsers = [] } = {}) => {
+  if (!isMailConfigured()) {
+    return 0;
+  }
+
+  const store = await Store.findOne({ storeId: alert.storeId, isActive: true });
+  if (!store) {
+    return 0;
+  }
+
+  const history = alert.escalation.history;
+  const before = history.length > 0
+    ? { alertType: alert.alertType, severity: history[history.length - 1].fromSeverity }
+    : null;
+  const preferences = await preferencesForStore(store);
+  const byUser = new Map(preferences.map(preference => [String(preference.user && preference.user._id), preference]));
+
+  const recipients = new Map();
+  preferences
+    .filter(preference => preference.user && preference.wantsAlert(alert) && !(before && preference.wantsAlert(before)))
+    .forEach(preference => recipients.set(String(preference.user._id), preference));
+
+  for (const userId of notifiedUsers.map(String)) {
+    if (recipients.has(userId)) {
+      continue;
+    }
+    // Preferences from preferencesForStore already passed the access
+    // check; anyone else named by the step is checked before a preference
+    // is created for them
+    let preference = byUser.get(userId);
+    if (!preference) {
+      if (!await getStoreRole(userId, store)) {
+        continue;
+      }
+      preference = await getRecipient(userId, store.storeId);
+    }
+    if (preference.user && preference.alertEmails.enabled) {
+      recipients.set(userId, preference);
+    }
+  }
+
+  return sendAlertEmails(alert, store, [...recipients.values()], { escalated: true });
+};
+
+// Summary of a store's previous local day: alert counts (as reported by
+// the alert stats endpoint), peak occupancy and the busiest hour by entries
+const buildDigest = async (store, now = new Date()) => {
+  const timeZone = store.getTimeZone();
+  const dayEnd = startOfZonedDay(now, timeZone);
+  const dayStart = addZonedDays(dayEnd, -1, timeZone);
+
+  const [alertStats, hours] = await Promise.all([
+    Alert.getStatsForStore(store.storeId, { owner: store.owner, from: dayStart, to: dayEnd }),
+    FootfallData.find({
+      storeId: store.storeId,
+      dataType: 'hourly',
+      timestamp: { $gte: dayStart, $lt: dayEnd }
+    }).select('timestamp entryCount rollup.maxOccupancy').sort({ timestamp: 1 })
+  ]);
+
+  const hourLabel = (date) => `${pad(getZonedParts(date, timeZone).hour)}:00`;
+  let peak = null;
+  let busiest = null;
+  let totalEntries = 0;
+
+  hours.forEach(hour => {
+    const maxOccupancy = (hour.rollup && hour.rollup.maxOccupancy) || 0;
+    totalEntries += hour.entryCount || 0;
+    if (!peak || maxOccupancy > peak.occupancy) {
+      peak = { occupancy: maxOccupancy, hour: hourLabel(hour.timestamp) };
+    }
+    if (!busiest || (hour.entryCount || 0) > busiest.entries) {
+      busiest = { entries: hour.entryCount || 0, hour: hourLabel(hour.timestamp) };
+    }
+  });
+
+  return {
+    storeId: store.storeId,
+    storeName: store.storeName,
+    date: localDate(dayStart, timeZone),
+    timezone: timeZone,
+    alertStats,
+    totalEntries,
+    peakOccupancy: peak,
+    busiestHour: busiest
+  };
+};
+
+// Subject and body of a digest email
+const renderDigestEmail = (digest) => {
+  const { alertStats } = digest;
+  const subject = `${digest.storeName} daily summary for ${digest.date}`;
+
+  const footfall = digest.peakOccupancy
+    ? [
+      `Total entries: ${digest.totalEntries}`,
+      `Peak occupancy: ${digest.peakOccupancy.occupancy} (${digest.peakOccupancy.hour})`,
+      `Busiest hour: ${digest.busiestHour.hour} with ${digest.busiestHour.entries} entries`
+    ]
+    : ['No footfall was recorded.'];
+
+  const alerts = [
+    `Alerts raised: ${alertStats.totalAlerts}`,
+    `  Critical: ${alertStats.criticalAlerts}, high: ${alertStats.highAlerts}, medium: ${alertStats.mediumAlerts}, low: ${alertStats.lowAlerts}`,
+    `  Acknowledged: ${alertStats.acknowledgedAlerts}, still active: ${alertStats.activeAlerts}`
+  ];
+
+  const text = [
+    `Daily summary for ${digest.storeName} (${digest.storeId}), ${digest.date} (${digest.timezone})`,
+    '',
+    ...footfall,
+    '',
+    ...alerts
+  ].join('\n');
+
+  const html = `<h2>${escapeHtml(digest.storeName)} &middot; ${escapeHtml(digest.date)}</h2>` +
+    `<h3>Footfall</h3><p>${footfall.map(escapeHtml).join('<br>')}</p>` +
+    `<h3>Alerts</h3><p>${alerts.map(line => escapeHtml(line.trim())).join('<br>')}</p>`;
+
+  return { subject, text, html };
+};
+
+// Send a store's digest to one preference
+const sendDigestEmail = (preference, digest) => sendMail({
+  to: preference.user.email,
+  ...withUnsubscribe(preference, 'digest', renderDigestEmail(digest))
+});
+
+// Send the previous day's digest to every subscriber whose local digest
+// hour has passed (run by the digest job). Each preference is claimed for
+// the day before sending, so a digest goes out at most once.
+const sendDueDigests = async (now = new Date()) => {
+  if (!isMailConfigured()) {
+    return { stores: 0, sent: 0, failed: 0 };
+  }
+
+  const stores = await Store.find({ isActive: true });
+  let sent = 0;
+  let failed = 0;
+
+  for (const store of stores) {
+    const timeZone = store.getTimeZone();
+    const { hour } = getZonedParts(now, timeZone);
+    const reportDate = localDate(addZonedDays(startOfZonedDay(now, timeZone), -1, timeZone), timeZone);
+
+    await ensureOwnerPreference(store);
+    const preferences = await NotificationPreference.find({
+      storeId: store.storeId,
+      'digest.enabled': true,
+      'digest.hour': { $lte: hour },
+      'digest.lastSentFor': { $ne: reportDate }
+    }).select('_id digest.lastSentFor');
+
+    let digest = null;
+
+    for (const { _id, digest: { lastSentFor } } of preferences) {
+      const preference = await NotificationPreference.findOneAndUpdate(
+        { _id, 'digest.enabled': true, 'digest.lastSentFor': { $ne: reportDate } },
+        { $set: { 'digest.lastSentFor': reportDate } },
+        { new: true }
+      ).select('+unsubscribeToken').populate('user', 'name email');
+
+      if (!preference || !preference.user || !preference.user.email || !await hasStoreAccess(preference, store)) {
+        continue;
+      }
+
+      try {
+        digest = digest || await buildDigest(store, now);
+        await sendDigestEmail(preference, digest);
+        sent++;
+      } catch (error) {
+        // Release the claim so the next run tries again
+        await NotificationPreference.updateOne(
+          { _id, 'digest.lastSentFor': reportDate },
+          { $set: { 'digest.lastSentFor': lastSentFor } }
+        );
+        console.error(`Digest email to ${preference.user.email} failed:`, error.message);
+        failed++;
+      }
+    }
+  }
+
+  return { stores: stores.length, sent, failed };
+};
+
+const ROLE_LABELS = {
+  org_admin: 'organization admin',
+  regional_manager: 'regional manager',
+  store_manager: 'store manager',
+  staff: 'staff member',
+  read_only: 'read-only member'
+};
+
+// Link that opens an invitation in the web app
+const invitationUrl = (token) => `${clientUrl()}/invitations/${token}`;
+
+// Email an invitation to join an organization
+const sendInvitationEmail = async (invitation, token, organization, inviter) => {
+  const url = invitationUrl(token);
+  const role = ROLE_LABELS[invitation.role] || invitation.role;
+  const expires = invitation.expiresAt.toISOString().slice(0, 10);
+
+  await sendMail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to ${organization.name} on CodeMasters`,
+    text: [
+      `${inviter.name} (${inviter.email}) invited you to join ${organization.name} as a ${role}.`,
+      '',
+      `Sign in or create an account with ${invitation.email}, then accept the invitation:`,
+      url,
+      '',
+      `The invitation expires on ${expires}.`
+    ].join('\n') + '\n',
+    html: `<p>${escapeHtml(inviter.name)} (${escapeHtml(inviter.email)}) invited you to join ` +
+      `<strong>${escapeHtml(organization.name)}</strong> as a ${escapeHtml(role)}.</p>` +
+      `<p>Sign in or create an account with ${escapeHtml(invitation.email)}, then ` +
+      `<a href="${escapeHtml(url)}">accept the invitation</a>.</p>` +
+      `<p style="color:#666;font-size:12px">The invitation expires on ${expires}.</p>`
+  });
+
+  return url;
+};
+
+// Send a test email to a user
+const sendTestEmail = async (userId) => {
+  const user = await User.findById(userId).select('name email');
+
+  await sendMail({
+    to: user.email,
+    subject: 'CodeMasters test email',
+    text: `Hi ${user.name},\n\nEmail notifications are working.\n`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Email notifications are working.</p>`
+  });
+
+  return user.email;
+};
+
+// Email alert notifications according to user preferences
+const registerEmailListeners = () => {
+  onAlertEvent('created', alert => notifyAlertCreated(alert));
+  onAlertEvent('escalated', (alert, details) => notifyAlertEscalated(alert, details));
+};
+
+module.exports = {
+  UNSUBSCRIBE_SCOPES,
+  escapeHtml,
+  getPreference,
+  getRecipient,
+  unsubscribe,
+  notifyAlertCreated,
+  notifyAlertEscalated,
+  buildDigest,
+  sendDigestEmail,
+  sendDueDigests,
+  sendTestEmail,
+  invitationUrl,
+  sendInvitationEmail,
+  registerEmailListeners
+};
@@ -0,0 +1,217 @@
+const Alert = require('../models/Alert');
+const Store = require('../models/Store');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECURRENCES = ['daily', 'weekly', 'monthly'];
+
+// Fields copied from a recurring alert to each occurrence
+const OCCURRENCE_FIELDS = [
+  'storeId',
+  'alertType',
+  'severity',
+  'title',
+  'message',
+  'triggerData',
+  'recommendations',
+  'owner'
+];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// First occurrence strictly after `after` of a recurrence anchored at
+// `anchor`. Occurrences keep the anchor's local time of day in the
+// timezone, and its weekday (weekly) or day of month (monthly, moved to
+// the last day in shorter months).
+const nextOccurrence = (anchor, recurrence, after, timeZone) => {
+  const anchorParts = getZonedParts(anchor, timeZone);
+  const time = { hour: anchorParts.hour, minute: anchorParts.minute, second: anchorParts.second };
+  const local = getZonedParts(after, timeZone);
+
+  if (recurrence === 'monthly') {
+    for (let offset = 0; offset <= 12; offset++) {
+      const year = local.year + Math.floor((local.month - 1 + offset) / 12);
+      const month = ((local.month - 1 + offset) % 12) + 1;
+      const day = Math.min(anchorParts.day, daysInMonth(year, month));
+      const candidate = zonedTimeToUtc({ year, month, day, ...time }, timeZone);
+      if (candidate > after) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  const stepDays = recurrence === 'weekly' ? 7 : 1;
+  let day = Date.UTC(local.year, local.month - 1, local.day);
+
+  if (recurrence === 'weekly') {
+    const anchorWeekday = new Date(Date.UTC(anchorParts.year, anchorParts.month - 1, anchorParts.day)).getUTCDay();
+    day += ((anchorWeekday - new Date(day).getUTCDay() + 7) % 7) * DAY_MS;
+  }
+
+  for (let attempt = 0; attempt < 3; attempt++, day += stepDays * DAY_MS) {
+    const date = new Date(day);
+    const candidate = zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      ...time
+    }, timeZone);
+    if (candidate > after) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// Recurrence fields for a new alert. Without a first trigger time the
+// alert itself counts as the first occurrence and the next one is a
+// period later.
+const scheduleRecurrence = (store, { recurrence, nextTriggerTime, recurrenceEndsAt }, now = new Date()) => {
+  const anchor = nextTriggerTime ? new Date(nextTriggerTime) : now;
+
+  return {
+    recurrence,
+    recurrenceStatus: 'active',
+    recurrenceAnchor: anchor,
+    recurrenceEndsAt: recurrenceEndsAt ? new Date(recurrenceEndsAt) : undefined,
+    nextTriggerTime: nextTriggerTime ? anchor : nextOccurrence(anchor, recurrence, now, store.getTimeZone())
+  };
+};
+
+// Apply changes to a recurring alert: pause, resume or end it, change the
+// period, first trigger time or end date, or edit what future occurrences
+// say. Returns an error message, or null once the alert is updated.
+const updateRecurrence = async (source, store, changes, now = new Date()) => {
+  if (source.recurrenceStatus === 'ended') {
+    return 'Recurrence has ended';
+  }
+
+  const timeZone = store.getTimeZone();
+  const status = changes.status || source.recurrenceStatus || 'active';
+
+  ['severity', 'title', 'message', 'recommendations'].forEach(field => {
+    if (changes[field] !== undefined) {
+      source[field] = changes[field];
+    }
+  });
+
+  if (changes.recurrence) {
+    source.recurrence = changes.recurrence;
+  }
+  if (changes.recurrenceEndsAt !== undefined) {
+    source.recurrenceEndsAt = changes.recurrenceEndsAt ? new Date(changes.recurrenceEndsAt) : undefined;
+  }
+
+  if (status === 'ended') {
+    source.recurrenceStatus = 'ended';
+    source.nextTriggerTime = undefined;
+    await source.save();
+    return null;
+  }
+
+  if (changes.nextTriggerTime) {
+    source.recurrenceAnchor = new Date(changes.nextTriggerTime);
+    source.nextTriggerTime = source.recurrenceAnchor;
+  } else if (changes.recurrence || !source.nextTriggerTime || source.nextTriggerTime <= now) {
+    // A new period, or resuming after slots were missed, continues from
+    // the next slot rather than firing everything that was skipped
+    source.recurrenceAnchor = source.recurrenceAnchor || source.nextTriggerTime || source.createdAt;
+    source.nextTriggerTime = nextOccurrence(source.recurrenceAnchor, source.recurrence, now, timeZone);
+  }
+
+  if (source.recurrenceEndsAt && source.nextTriggerTime > source.recurrenceEndsAt) {
+    return 'Recurrence would end before its next occurrence';
+  }
+
+  source.recurrenceStatus = status;
+  await source.save();
+  return null;
+};
+
+// Re-raise one recurring alert whose next trigger time has passed, then
+// move it on to the following slot. The occurrence is keyed on its slot,
+// so if the server stops between the two steps the retry does not create
+// a second copy. Slots missed while the server was down are not replayed;
+// the one overdue slot fires and the schedule continues from now.
+const fireRecurrence = async (source, store, now) => {
+  const scheduledFor = source.nextTriggerTime;
+  const occurrence = {};
+  OCCURRENCE_FIELDS.forEach(field => {
+    occurrence[field] = source[field];
+  });
+
+  let created = null;
+  try {
+    created = await Alert.create({
+      ...occurrence,
+      recurrenceSourceId: source._id,
+      scheduledFor,
+      autoGenerated: true
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const next = nextOccurrence(source.recurrenceAnchor || scheduledFor, source.recurrence, now, store.getTimeZone());
+  const ended = !next || (source.recurrenceEndsAt && next > source.recurrenceEndsAt);
+
+  await Alert.updateOne(
+    { _id: source._id, nextTriggerTime: scheduledFor },
+    {
+      $set: ended
+        ? { recurrenceStatus: 'ended', lastRecurredAt: scheduledFor }
+        : { nextTriggerTime: next, lastRecurredAt: scheduledFor },
+      ...(ended ? { $unset: { nextTriggerTime: '' } } : {})
+    }
+  );
+
+  return created;
+};
+
+// Fire every recurring alert that is due. Alerts created before
+// recurrences were scheduled have no status and count as active.
+const fireDueRecurrences = async (now = new Date()) => {
+  const due = await Alert.find({
+    recurrence: { $in: RECURRENCES },
+    recurrenceStatus: { $in: ['active', null] },
+    recurrenceSourceId: { $exists: false },
+    nextTriggerTime: { $lte: now }
+  });
+
+  const stores = new Map();
+  let fired = 0;
+  let failed = 0;
+
+  for (const source of due) {
+    try {
+      if (!stores.has(source.storeId)) {
+        stores.set(source.storeId, await Store.findOne({ storeId: source.storeId, isActive: true }));
+      }
+      const store = stores.get(source.storeId);
+      if (!store) {
+        continue;
+      }
+
+      if (await fireRecurrence(source, store, now)) {
+        fired++;
+      }
+    } catch (error) {
+      console.error(`Recurring alert ${source._id} error:`, error);
+      failed++;
+    }
+  }
+
+  return { due: due.length, fired, failed };
+};
+
+module.exports = {
+  RECURRENCES,
+  nextOccurrence,
+  scheduleRecurrence,
+  updateRecurrence,
+  fireDueRecurrences
+};
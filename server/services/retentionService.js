@@ -0,0 +1,292 @@
+const FootfallData = require('../models/FootfallData');
+const ImportJob = require('../models/ImportJob');
+const Store = require('../models/Store');
+const {
+  rebuildRollups,
+  startOfHour,
+  startOfDay,
+  nextHour,
+  nextDay,
+  toRanges,
+  DAY_MS
+} = require('./rollupService');
+
+// Deleting data is opt-in: stores without a policy keep everything
+const DEFAULT_POLICY = {
+  realtimeDays: null,
+  hourlyDays: null,
+  dailyDays: null
+};
+
+// Resolve a store's retention policy, applying defaults and overrides. Only
+// a policy that was explicitly saved counts.
+const getRetentionPolicy = (store, overrides = {}) => {
+  const retention = store.configuration && store.configuration.retention;
+  const configured = retention && retention.configuredAt ? retention : {};
+  const policy = {};
+
+  Object.keys(DEFAULT_POLICY).forEach(field => {
+    if (overrides[field] !== undefined) {
+      policy[field] = overrides[field];
+    } else if (configured[field] !== undefined) {
+      policy[field] = configured[field];
+    } else {
+      policy[field] = DEFAULT_POLICY[field];
+    }
+  });
+
+  return policy;
+};
+
+const cutoffFor = (days, now, floor) => (days ? floor(new Date(now.getTime() - days * DAY_MS)) : null);
+
+// Bucket helpers for a store's timezone
+const bucketsFor = (store) => {
+  const timeZone = store.getTimeZone();
+  return {
+    timeZone,
+    startOfHour: date => startOfHour(date, timeZone),
+    startOfDay: date => startOfDay(date, timeZone),
+    nextDay: date => nextDay(date, timeZone)
+  };
+};
+
+// Raw readings older than the cutoff, per hour, checked against the
+// hourly rollup that has to summarise them before they can go. Readings
+// from imports that can still be undone are left out, which keeps their
+// hours blocked until the undo window has passed.
+const planRealtime = async (storeId, cutoff, now, timeZone) => {
+  const undoCutoff = new Date(now.getTime() - ImportJob.UNDO_WINDOW_DAYS * DAY_MS);
+
+  const hours = await FootfallData.aggregate([
+    {
+      $match: {
+        storeId,
+        dataType: 'realtime',
+        timestamp: { $lt: cutoff },
+        $or: [
+          { importJobId: { $exists: false } },
+          { createdAt: { $lt: undoCutoff } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit: 'hour', timezone: timeZone } },
+        count: { $sum: 1 },
+        lastUpdatedAt: { $max: '$updatedAt' }
+      }
+    }
+  ]);
+
+  const rollups = await FootfallData.find({
+    storeId,
+    dataType: 'hourly',
+    timestamp: { $in: hours.map(hour => hour._id) }
+  }).select('timestamp updatedAt rollup.dataPoints');
+  const rollupByHour = new Map(rollups.map(rollup => [rollup.timestamp.getTime(), rollup]));
+
+  const covered = [];
+  const blocked = [];
+
+  hours.forEach(hour => {
+    const rollup = rollupByHour.get(hour._id.getTime());
+    const isCovered = rollup &&
+      rollup.rollup && rollup.rollup.dataPoints === hour.count &&
+      (!hour.lastUpdatedAt || !rollup.updatedAt || rollup.updatedAt >= hour.lastUpdatedAt);
+
+    (isCovered ? covered : blocked).push({ bucket: hour._id, count: hour.count });
+  });
+
+  return { covered, blocked };
+};
+
+// Hourly rollups older than the cutoff, per day, checked against the
+// daily rollup that has to summarise them before they can go
+const planHourly = async (storeId, cutoff, timeZone) => {
+  const hours = await FootfallData.find({
+    storeId,
+    dataType: 'hourly',
+    timestamp: { $lt: cutoff }
+  }).select('timestamp updatedAt');
+
+  const days = new Map();
+  hours.forEach(hour => {
+    const key = startOfDay(hour.timestamp, timeZone).getTime();
+    const day = days.get(key) || { bucket: new Date(key), count: 0, lastUpdatedAt: null };
+    day.count++;
+    if (hour.updatedAt && (!day.lastUpdatedAt || hour.updatedAt > day.lastUpdatedAt)) {
+      day.lastUpdatedAt = hour.updatedAt;
+    }
+    days.set(key, day);
+  });
+
+  const dailies = await FootfallData.find({
+    storeId,
+    dataType: 'daily',
+    timestamp: { $in: Array.from(days.values()).map(day => day.bucket) }
+  }).select('timestamp updatedAt');
+  const dailyByDay = new Map(dailies.map(daily => [daily.timestamp.getTime(), daily]));
+
+  const covered = [];
+  const blocked = [];
+
+  days.forEach((day, key) => {
+    const daily = dailyByDay.get(key);
+    const isCovered = daily &&
+      (!day.lastUpdatedAt || !daily.updatedAt || daily.updatedAt >= day.lastUpdatedAt);
+
+    (isCovered ? covered : blocked).push({ bucket: day.bucket, count: day.count });
+  });
+
+  return { covered, blocked };
+};
+
+const sumCounts = (buckets) => buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+// Work out what the retention policy would remove for a store, without
+// deleting anything
+const planRetention = async (store, { now = new Date(), overrides } = {}) => {
+  const policy = getRetentionPolicy(store, overrides);
+  const buckets = bucketsFor(store);
+  const realtimeCutoff = cutoffFor(policy.realtimeDays, now, buckets.startOfHour);
+  const hourlyCutoff = cutoffFor(policy.hourlyDays, now, buckets.startOfDay);
+  const dailyCutoff = cutoffFor(policy.dailyDays, now, buckets.startOfDay);
+
+  const realtime = realtimeCutoff
+    ? await planRealtime(store.storeId, realtimeCutoff, now, buckets.timeZone)
+    : { covered: [], blocked: [] };
+  const hourly = hourlyCutoff
+    ? await planHourly(store.storeId, hourlyCutoff, buckets.timeZone)
+    : { covered: [], blocked: [] };
+  const dailyCount = dailyCutoff
+    ? await FootfallData.countDocuments({ storeId: store.storeId, dataType: 'daily', timestamp: { $lt: dailyCutoff } })
+    : 0;
+
+  return {
+    policy,
+    realtime: {
+      cutoff: realtimeCutoff,
+      removable: sumCounts(realtime.covered),
+      awaitingRollup: sumCounts(realtime.blocked),
+      covered: realtime.covered,
+      blocked: realtime.blocked
+    },
+    hourly: {
+      cutoff: hourlyCutoff,
+      removable: sumCounts(hourly.covered),
+      awaitingRollup: sumCounts(hourly.blocked),
+      covered: hourly.covered,
+      blocked: hourly.blocked
+    },
+    daily: {
+      cutoff: dailyCutoff,
+      removable: dailyCount,
+      awaitingRollup: 0
+    }
+  };
+};
+
+// Delete documents of a data type inside the given buckets. Each bucket's
+// rollup is read again right before, and only documents last written
+// before it are deleted, so a rollup rebuilt or removed since planning
+// never takes unsummarised data with it. The rollup is sealed first, so
+// later rebuilds from what is left cannot overwrite it.
+const deleteCovered = async (storeId, dataType, rollupType, buckets, bucketEnd) => {
+  let deleted = 0;
+
+  for (const { bucket } of buckets) {
+    const rollup = await FootfallData.findOne({
+      storeId,
+      dataType: rollupType,
+      timestamp: bucket
+    }).select('updatedAt');
+
+    if (!rollup || !rollup.updatedAt) {
+      continue;
+    }
+
+    // Leave updatedAt alone: it is what the documents are checked against
+    await FootfallData.updateOne(
+      { _id: rollup._id },
+      { $set: { 'rollup.sealed': true } },
+      { timestamps: false }
+    );
+
+    const result = await FootfallData.deleteMany({
+      storeId,
+      dataType,
+      timestamp: { $gte: bucket, $lt: bucketEnd(bucket) },
+      updatedAt: { $lte: rollup.updatedAt }
+    });
+    deleted += result.deletedCount;
+  }
+
+  return deleted;
+};
+
+// Enforce the retention policy for a store. Buckets whose rollups are
+// missing or stale are rolled up first; data is only removed once it is
+// covered by the next rollup level.
+const applyRetention = async (store, { now = new Date() } = {}) => {
+  const buckets = bucketsFor(store);
+  let plan = await planRetention(store, { now });
+
+  if (plan.realtime.blocked.length > 0 || plan.hourly.blocked.length > 0) {
+    for (const range of toRanges(plan.realtime.blocked.map(bucket => bucket.bucket), nextHour)) {
+      await rebuildRollups(store.storeId, range.start, range.end);
+    }
+    for (const range of toRanges(plan.hourly.blocked.map(bucket => bucket.bucket), buckets.nextDay)) {
+      await rebuildRollups(store.storeId, range.start, range.end);
+    }
+    plan = await planRetention(store, { now });
+  }
+
+  const deleted = {
+    realtime: await deleteCovered(store.storeId, 'realtime', 'hourly', plan.realtime.covered, nextHour),
+    hourly: await deleteCovered(store.storeId, 'hourly', 'daily', plan.hourly.covered, buckets.nextDay),
+    daily: 0
+  };
+
+  if (plan.daily.cutoff) {
+    const result = await FootfallData.deleteMany({
+      storeId: store.storeId,
+      dataType: 'daily',
+      timestamp: { $lt: plan.daily.cutoff }
+    });
+    deleted.daily = result.deletedCount;
+  }
+
+  return {
+    deleted,
+    skipped: {
+      realtime: plan.realtime.awaitingRollup,
+      hourly: plan.hourly.awaitingRollup
+    }
+  };
+};
+
+// Enforce retention for every active store; deactivated stores keep their
+// data as it was
+const applyRetentionToAllStores = async () => {
+  const stores = await Store.find({ isActive: true });
+  const summary = { stores: 0, realtime: 0, hourly: 0, daily: 0, skipped: 0 };
+
+  for (const store of stores) {
+    const { deleted, skipped } = await applyRetention(store);
+    summary.stores++;
+    summary.realtime += deleted.realtime;
+    summary.hourly += deleted.hourly;
+    summary.daily += deleted.daily;
+    summary.skipped += skipped.realtime + skipped.hourly;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getRetentionPolicy,
+  planRetention,
+  applyRetention,
+  applyRetentionToAllStores
+};
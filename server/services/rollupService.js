@@ -0,0 +1,462 @@
+const FootfallData = require('../models/FootfallData');
+const Store = require('../models/Store');
+const { startOfZonedHour, startOfZonedDay, addZonedDays } = require('../utils/timezone');
+const { transactionAccumulators, estimateTransactions } = require('../utils/transactions');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Bucket boundaries in a store's local time. Hours always last an hour;
+// days run from local midnight to local midnight, so DST days are 23 or
+// 25 hours long.
+const startOfHour = (date, timeZone = 'UTC') => startOfZonedHour(date, timeZone);
+const startOfDay = (date, timeZone = 'UTC') => startOfZonedDay(date, timeZone);
+const nextHour = (date) => new Date(date.getTime() + HOUR_MS);
+const nextDay = (date, timeZone = 'UTC') => addZonedDays(date, 1, timeZone);
+
+// Start times of the sealed rollups of a data type in [startDate, endDate).
+// Their source data is gone, so rebuilding them would lose what they hold.
+const sealedBuckets = async (storeId, dataType, startDate, endDate) => {
+  const sealed = await FootfallData.find({
+    storeId,
+    dataType,
+    'rollup.sealed': true,
+    timestamp: { $gte: startDate, $lt: endDate }
+  }).select('timestamp');
+  return new Set(sealed.map(rollup => rollup.timestamp.getTime()));
+};
+
+// Aggregate realtime readings into hourly rollup documents for every
+// local hour touching [startDate, endDate), except sealed ones. Returns
+// the bucket start times that were written.
+const rollupHours = async (store, startDate, endDate) => {
+  const timeZone = store.getTimeZone();
+  const match = {
+    storeId: store.storeId,
+    dataType: 'realtime',
+    timestamp: {
+      $gte: startOfHour(startDate, timeZone),
+      $lt: nextHour(startOfHour(new Date(endDate.getTime() - 1), timeZone))
+    }
+  };
+  const bucket = { $dateTrunc: { date: '$timestamp', unit: 'hour', timezone: timeZone } };
+
+  const [readingBuckets, tillBuckets, sealed] = await Promise.all([
+    FootfallData.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1, _id: 1 } },
+      {
+        $group: {
+          _id: bucket,
+          entryCount: { $sum: '$entryCount' },
+          exitCount: { $sum: '$exitCount' },
+          closingOccupancy: { $last: '$currentOccupancy' },
+          avgOccupancy: { $avg: '$currentOccupancy' },
+          maxOccupancy: { $max: '$currentOccupancy' },
+          avgPosRate: { $avg: '$posRate' },
+          avgQueueLength: { $avg: '$queueData.totalQueue' },
+          maxQueueLength: { $max: '$queueData.totalQueue' },
+          avgWaitTime: { $avg: '$queueData.avgWaitTime' },
+          dataPoints: { $sum: 1 },
+          ...transactionAccumulators
+        }
+      }
+    ]),
+    FootfallData.aggregate([
+      { $match: match },
+      { $unwind: '$queueData.tillQueues' },
+      {
+        $group: {
+          _id: { bucket, tillNumber: '$queueData.tillQueues.tillNumber' },
+          avgQueueLength: { $avg: '$queueData.tillQueues.queueLength' },
+          maxQueueLength: { $max: '$queueData.tillQueues.queueLength' },
+          avgServiceTime: { $avg: '$queueData.tillQueues.avgServiceTime' },
+          samples: { $sum: 1 },
+          activeSamples: {
+            $sum: { $cond: [{ $eq: ['$queueData.tillQueues.status', 'active'] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { '_id.tillNumber': 1 } }
+    ]),
+    sealedBuckets(store.storeId, 'hourly', match.timestamp.$gte, match.timestamp.$lt)
+  ]);
+  const buckets = readingBuckets.filter(hour => !sealed.has(hour._id.getTime()));
+
+  const tillsByBucket = new Map();
+  tillBuckets.forEach(till => {
+    const key = till._id.bucket.getTime();
+    if (!tillsByBucket.has(key)) {
+      tillsByBucket.set(key, []);
+    }
+    tillsByBucket.get(key).push({
+      tillNumber: till._id.tillNumber,
+      avgQueueLength: round(till.avgQueueLength),
+      maxQueueLength: till.maxQueueLength || 0,
+      avgServiceTime: round(till.avgServiceTime),
+      samples: till.samples,
+      activeSamples: till.activeSamples
+    });
+  });
+
+  // The hour in progress is only estimated over the minutes so far
+  const now = Date.now();
+  const transactionsIn = (hour) => round(estimateTransactions(hour, Math.min(60, (now - hour._id.getTime()) / 60000)));
+
+  const operations = buckets.map(hour => ({
+    updateOne: {
+      filter: { storeId: store.storeId, dataType: 'hourly', timestamp: hour._id },
+      update: {
+        $set: {
+          entryCount: hour.entryCount,
+          exitCount: hour.exitCount,
+          currentOccupancy: hour.closingOccupancy,
+          posRate: round(hour.avgPosRate),
+          'queueData.totalQueue': round(hour.avgQueueLength),
+          'queueData.avgWaitTime': round(hour.avgWaitTime),
+          rollup: {
+            bucketEnd: nextHour(hour._id),
+            dataPoints: hour.dataPoints,
+            avgOccupancy: round(hour.avgOccupancy),
+            maxOccupancy: hour.maxOccupancy,
+            avgPosRate: round(hour.avgPosRate),
+            avgQueueLength: round(hour.avgQueueLength),
+            maxQueueLength: hour.maxQueueLength || 0,
+            avgWaitTime: round(hour.avgWaitTime),
+            transactions: transactionsIn(hour),
+            salesValue: round(hour.salesValue),
+            salesTransactions: hour.salesTransactions,
+            tills: tillsByBucket.get(hour._id.getTime()) || []
+          },
+          owner: store.owner
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await FootfallData.bulkWrite(operations);
+  }
+
+  return buckets.map(hour => hour._id);
+};
+
+// Combine hourly rollups into one summary, weighting averages by the
+// number of underlying readings
+const mergeRollups = (hours) => {
+  const dataPoints = hours.reduce((sum, hour) => sum + (hour.rollup.dataPoints || 0), 0);
+  const weighted = (field) => (dataPoints > 0
+    ? round(hours.reduce((sum, hour) => sum + (hour.rollup[field] || 0) * (hour.rollup.dataPoints || 0), 0) / dataPoints)
+    : 0);
+
+  const tills = new Map();
+  hours.forEach(hour => {
+    (hour.rollup.tills || []).forEach(till => {
+      const summary = tills.get(till.tillNumber) || {
+        tillNumber: till.tillNumber,
+        queueTotal: 0,
+        serviceTotal: 0,
+        maxQueueLength: 0,
+        samples: 0,
+        activeSamples: 0
+      };
+      summary.queueTotal += till.avgQueueLength * till.samples;
+      summary.serviceTotal += till.avgServiceTime * till.samples;
+      summary.maxQueueLength = Math.max(summary.maxQueueLength, till.maxQueueLength);
+      summary.samples += till.samples;
+      summary.activeSamples += till.activeSamples;
+      tills.set(till.tillNumber, summary);
+    });
+  });
+
+  return {
+    entryCount: hours.reduce((sum, hour) => sum + hour.entryCount, 0),
+    exitCount: hours.reduce((sum, hour) => sum + hour.exitCount, 0),
+    closingOccupancy: hours[hours.length - 1].currentOccupancy,
+    dataPoints,
+    avgOccupancy: weighted('avgOccupancy'),
+    maxOccupancy: Math.max(...hours.map(hour => hour.rollup.maxOccupancy || 0)),
+    avgPosRate: weighted('avgPosRate'),
+    avgQueueLength: weighted('avgQueueLength'),
+    maxQueueLength: Math.max(...hours.map(hour => hour.rollup.maxQueueLength || 0)),
+    avgWaitTime: weighted('avgWaitTime'),
+    transactions: round(hours.reduce((sum, hour) => sum + (hour.rollup.transactions || 0), 0)),
+    salesValue: round(hours.reduce((sum, hour) => sum + (hour.rollup.salesValue || 0), 0)),
+    salesTransactions: hours.reduce((sum, hour) => sum + (hour.rollup.salesTransactions || 0), 0),
+    tills: Array.from(tills.values())
+      .sort((a, b) => a.tillNumber - b.tillNumber)
+      .map(till => ({
+        tillNumber: till.tillNumber,
+        avgQueueLength: till.samples > 0 ? round(till.queueTotal / till.samples) : 0,
+        maxQueueLength: till.maxQueueLength,
+        avgServiceTime: till.samples > 0 ? round(till.serviceTotal / till.samples) : 0,
+        samples: till.samples,
+        activeSamples: till.activeSamples
+      }))
+  };
+};
+
+// Build daily rollups from the hourly rollups of every local day touching
+// [startDate, endDate), except sealed ones. Returns the day start times
+// that were written.
+const rollupDays = async (store, startDate, endDate) => {
+  const timeZone = store.getTimeZone();
+  const rangeStart = startOfDay(startDate, timeZone);
+  const rangeEnd = nextDay(startOfDay(new Date(endDate.getTime() - 1), timeZone), timeZone);
+  const [hours, sealed] = await Promise.all([
+    FootfallData.find({
+      storeId: store.storeId,
+      dataType: 'hourly',
+      timestamp: { $gte: rangeStart, $lt: rangeEnd }
+    }).sort({ timestamp: 1 }),
+    sealedBuckets(store.storeId, 'daily', rangeStart, rangeEnd)
+  ]);
+
+  const days = new Map();
+  hours.forEach(hour => {
+    const key = startOfDay(hour.timestamp, timeZone).getTime();
+    if (sealed.has(key)) {
+      return;
+    }
+    if (!days.has(key)) {
+      days.set(key, []);
+    }
+    days.get(key).push(hour);
+  });
+
+  const operations = Array.from(days.entries()).map(([key, dayHours]) => {
+    const summary = mergeRollups(dayHours);
+    const dayStart = new Date(key);
+
+    return {
+      updateOne: {
+        filter: { storeId: store.storeId, dataType: 'daily', timestamp: dayStart },
+        update: {
+          $set: {
+            entryCount: summary.entryCount,
+            exitCount: summary.exitCount,
+            currentOccupancy: summary.closingOccupancy,
+            posRate: summary.avgPosRate,
+            'queueData.totalQueue': summary.avgQueueLength,
+            'queueData.avgWaitTime': summary.avgWaitTime,
+            rollup: {
+              bucketEnd: nextDay(dayStart, timeZone),
+              dataPoints: summary.dataPoints,
+              avgOccupancy: summary.avgOccupancy,
+              maxOccupancy: summary.maxOccupancy,
+              avgPosRate: summary.avgPosRate,
+              avgQueueLength: summary.avgQueueLength,
+              maxQueueLength: summary.maxQueueLength,
+              avgWaitTime: summary.avgWaitTime,
+              transactions: summary.transactions,
+              salesValue: summary.salesValue,
+              salesTransactions: summary.salesTransactions,
+              tills: summary.tills
+            },
+            owner: store.owner
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await FootfallData.bulkWrite(operations);
+  }
+
+  return Array.from(days.keys()).map(key => new Date(key));
+};
+
+// Remove unsealed rollups in [startDate, endDate) whose bucket is not in
+// keep
+const pruneRollups = async (storeId, dataType, startDate, endDate, keep) => {
+  const result = await FootfallData.deleteMany({
+    storeId,
+    dataType,
+    timestamp: { $gte: startDate, $lt: endDate, $nin: keep },
+    'rollup.sealed': { $ne: true }
+  });
+  return result.deletedCount;
+};
+
+// Rebuild hourly and daily rollups for a store over a date range.
+// With pruneEmpty, rollups for buckets that no longer have any realtime
+// readings are removed (e.g. after an import was undone). Sealed rollups
+// are never rebuilt or removed.
+const rebuildRollups = async (storeId, startDate, endDate, { pruneEmpty = false } = {}) => {
+  const store = await Store.findOne({ storeId });
+  if (!store) {
+    throw new Error(`Store ${storeId} not found`);
+  }
+
+  const timeZone = store.getTimeZone();
+  const hourStart = startOfHour(startDate, timeZone);
+  const hourEnd = nextHour(startOfHour(new Date(endDate.getTime() - 1), timeZone));
+  const dayStart = startOfDay(startDate, timeZone);
+  const dayEnd = nextDay(startOfDay(new Date(endDate.getTime() - 1), timeZone), timeZone);
+
+  const hours = await rollupHours(store, hourStart, hourEnd);
+  let pruned = 0;
+  if (pruneEmpty) {
+    pruned += await pruneRollups(storeId, 'hourly', hourStart, hourEnd, hours);
+  }
+
+  const days = await rollupDays(store, dayStart, dayEnd);
+  if (pruneEmpty) {
+    pruned += await pruneRollups(storeId, 'daily', dayStart, dayEnd, days);
+  }
+
+  return { hourly: hours.length, daily: days.length, pruned };
+};
+
+// Group bucket start times into contiguous [start, end) ranges.
+// bucketEnd maps a bucket start to the start of the following bucket.
+const toRanges = (bucketStarts, bucketEnd) => {
+  const ranges = [];
+  bucketStarts
+    .map(date => date.getTime())
+    .sort((a, b) => a - b)
+    .forEach(start => {
+      const end = bucketEnd(new Date(start)).getTime();
+      const last = ranges[ranges.length - 1];
+      if (last && last.end === start) {
+        last.end = end;
+      } else {
+        ranges.push({ start, end });
+      }
+    });
+  return ranges.map(range => ({ start: new Date(range.start), end: new Date(range.end) }));
+};
+
+// Re-roll every hour (and its day) that received new, late or corrected
+// realtime readings since the given time. Changes are found per UTC hour;
+// rollupHours widens each range to the store's local hours.
+const rollupChangedSince = async (since) => {
+  const changed = await FootfallData.aggregate([
+    { $match: { dataType: 'realtime', updatedAt: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          storeId: '$storeId',
+          bucket: { $dateTrunc: { date: '$timestamp', unit: 'hour' } }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.storeId',
+        buckets: { $push: '$_id.bucket' }
+      }
+    }
+  ]);
+
+  const summary = { stores: 0, hourly: 0, daily: 0 };
+
+  for (const { _id: storeId, buckets } of changed) {
+    const store = await Store.findOne({ storeId });
+    if (!store) {
+      continue;
+    }
+
+    const timeZone = store.getTimeZone();
+    const touchedDays = [];
+    for (const range of toRanges(buckets, nextHour)) {
+      const hours = await rollupHours(store, range.start, range.end);
+      summary.hourly += hours.length;
+      touchedDays.push(...hours.map(hour => startOfDay(hour, timeZone)));
+    }
+
+    const uniqueDays = Array.from(new Set(touchedDays.map(day => day.getTime()))).map(time => new Date(time));
+    for (const range of toRanges(uniqueDays, day => nextDay(day, timeZone))) {
+      const days = await rollupDays(store, range.start, range.end);
+      summary.daily += days.length;
+    }
+
+    summary.stores++;
+  }
+
+  return summary;
+};
+
+// Days of readings rolled up at a time when backfilling
+const BACKFILL_CHUNK_DAYS = 7;
+
+// Roll up every store's history, from its first realtime reading up to
+// now. Used the first time the rollup job runs, so data ingested before
+// rollups existed shows up in week and month views.
+const backfillRollups = async (now = new Date()) => {
+  const firsts = await FootfallData.aggregate([
+    { $match: { dataType: 'realtime' } },
+    { $group: { _id: '$storeId', first: { $min: '$timestamp' } } }
+  ]);
+
+  const summary = { stores: 0, hourly: 0, daily: 0 };
+
+  for (const { _id: storeId, first } of firsts) {
+    if (!await Store.exists({ storeId })) {
+      continue;
+    }
+
+    for (let start = first; start < now; start = new Date(start.getTime() + BACKFILL_CHUNK_DAYS * DAY_MS)) {
+      const end = new Date(Math.min(start.getTime() + BACKFILL_CHUNK_DAYS * DAY_MS, now.getTime()));
+      const { hourly, daily } = await rebuildRollups(storeId, start, end);
+      summary.hourly += hourly;
+      summary.daily += daily;
+    }
+
+    summary.stores++;
+  }
+
+  return summary;
+};
+
+// Re-bucket a store's rollups after its timezone changed. Hourly rollups
+// are rebuilt from the raw readings still retained and daily rollups from
+// the hourly ones; older rollups keep their original alignment.
+const realignRollups = async (storeId, now = new Date()) => {
+  const store = await Store.findOne({ storeId });
+  if (!store) {
+    throw new Error(`Store ${storeId} not found`);
+  }
+
+  const timeZone = store.getTimeZone();
+  const summary = { hourly: 0, daily: 0, pruned: 0 };
+
+  const firstReading = await FootfallData.findOne({ storeId, dataType: 'realtime' }).sort({ timestamp: 1 });
+  if (firstReading) {
+    const hourStart = startOfHour(firstReading.timestamp, timeZone);
+    const hourEnd = nextHour(startOfHour(now, timeZone));
+    const hours = await rollupHours(store, hourStart, hourEnd);
+    summary.hourly = hours.length;
+    summary.pruned += await pruneRollups(storeId, 'hourly', hourStart, hourEnd, hours);
+  }
+
+  const firstHour = await FootfallData.findOne({ storeId, dataType: 'hourly' }).sort({ timestamp: 1 });
+  if (firstHour) {
+    const dayStart = startOfDay(firstHour.timestamp, timeZone);
+    const dayEnd = nextDay(startOfDay(now, timeZone), timeZone);
+    const days = await rollupDays(store, dayStart, dayEnd);
+    summary.daily = days.length;
+    summary.pruned += await pruneRollups(storeId, 'daily', dayStart, dayEnd, days);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  rebuildRollups,
+  rollupChangedSince,
+  backfillRollups,
+  realignRollups,
+  startOfHour,
+  startOfDay,
+  nextHour,
+  nextDay,
+  toRanges,
+  HOUR_MS,
+  DAY_MS
+};
@@ -0,0 +1,254 @@
+const FootfallData = require('../models/FootfallData');
+
+// Used for any service level setting a store has not configured
+const DEFAULT_SERVICE_LEVEL = {
+  // Customers should wait no longer than targetWaitMinutes...
+  targetWaitMinutes: 5,
+  // ...at least this percentage of the time
+  targetPercent: 80,
+  // Share of entering customers who go on to a till, used when the POS
+  // rate under-reports demand (e.g. every till is saturated)
+  checkoutRatio: 0.6,
+  // Service time assumed when no till reports one
+  defaultServiceTimeMinutes: 2
+};
+
+// Minutes of realtime readings used to measure current demand
+const DEFAULT_WINDOW_MINUTES = 15;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Resolve a store's service level settings, applying defaults and overrides
+const getServiceLevel = (store, overrides = {}) => {
+  const configured = (store.configuration && store.configuration.serviceLevel) || {};
+  const serviceLevel = {};
+
+  Object.keys(DEFAULT_SERVICE_LEVEL).forEach(field => {
+    if (overrides[field] !== undefined) {
+      serviceLevel[field] = overrides[field];
+    } else if (configured[field] !== undefined && configured[field] !== null) {
+      serviceLevel[field] = configured[field];
+    } else {
+      serviceLevel[field] = DEFAULT_SERVICE_LEVEL[field];
+    }
+  });
+
+  return serviceLevel;
+};
+
+// Erlang C: probability that an arriving customer has to queue, for a
+// number of servers and an offered load in Erlangs. Computed through the
+// Erlang B recursion, which stays stable for large server counts.
+const erlangC = (servers, load) => {
+  if (load <= 0) {
+    return 0;
+  }
+  if (servers <= load) {
+    return 1;
+  }
+
+  let erlangB = 1;
+  for (let k = 1; k <= servers; k++) {
+    erlangB = (load * erlangB) / (k + load * erlangB);
+  }
+
+  return (servers * erlangB) / (servers - load * (1 - erlangB));
+};
+
+// Queue performance of an M/M/c system with the given number of tills
+const queuePerformance = (servers, { arrivalRate, serviceTimeMinutes, targetWaitMinutes }) => {
+  const load = arrivalRate * serviceTimeMinutes;
+
+  if (servers <= 0 || servers <= load) {
+    return {
+      tills: servers,
+      probabilityOfWait: 1,
+      serviceLevel: 0,
+      avgWaitMinutes: null,
+      utilization: servers > 0 ? 1 : null,
+      stable: false
+    };
+  }
+
+  const probabilityOfWait = erlangC(servers, load);
+  const serviceLevel = 1 - probabilityOfWait * Math.exp(-(servers - load) * targetWaitMinutes / serviceTimeMinutes);
+
+  return {
+    tills: servers,
+    probabilityOfWait: round(probabilityOfWait),
+    serviceLevel: round(serviceLevel * 100),
+    avgWaitMinutes: round(probabilityOfWait * serviceTimeMinutes / (servers - load)),
+    utilization: round(load / servers),
+    stable: true
+  };
+};
+
+// Work out how many tills are needed to meet the service level for a
+// given demand, and compare it with the tills currently open
+const calculateStaffing = ({
+  arrivalRate,
+  serviceTimeMinutes,
+  activeTills,
+  tillCount,
+  serviceLevel
+}) => {
+  const params = {
+    arrivalRate,
+    serviceTimeMinutes,
+    targetWaitMinutes: serviceLevel.targetWaitMinutes
+  };
+  const load = arrivalRate * serviceTimeMinutes;
+
+  // At least one till stays open; search well past the store's till count
+  // so an under-sized store still gets an honest answer
+  let required = Math.max(1, Math.floor(load) + 1);
+  const searchLimit = Math.max(tillCount || 0, required) + 100;
+  while (required < searchLimit && queuePerformance(required, params).serviceLevel < serviceLevel.targetPercent) {
+    required++;
+  }
+
+  let action = 'maintain';
+  if (required > activeTills) {
+    action = 'increase';
+  } else if (required < activeTills) {
+    action = 'decrease';
+  }
+
+  return {
+    action,
+    requiredTills: required,
+    activeTills,
+    tillCount: tillCount || null,
+    change: required - activeTills,
+    exceedsTillCount: Boolean(tillCount) && required > tillCount,
+    offeredLoad: round(load),
+    current: queuePerformance(activeTills, params),
+    recommended: queuePerformance(required, params)
+  };
+};
+
+// Summarise demand from realtime readings (oldest first) covering a
+// window of windowMinutes
+const demandFromReadings = (readings, windowMinutes) => {
+  if (readings.length === 0) {
+    return null;
+  }
+
+  const first = readings[0];
+  const latest = readings[readings.length - 1];
+  const reportedTills = (latest.queueData && latest.queueData.tillQueues) || [];
+  const tills = reportedTills.filter(till => till.status === 'active');
+  const serviceTimes = tills
+    .map(till => till.avgServiceTime)
+    .filter(serviceTime => serviceTime > 0);
+  const queueAt = (reading) => (reading.queueData ? reading.queueData.totalQueue || 0 : 0);
+
+  return {
+    readings: readings.length,
+    entriesPerMinute: readings.reduce((sum, reading) => sum + reading.entryCount, 0) / windowMinutes,
+    posRate: readings.reduce((sum, reading) => sum + (reading.posRate || 0), 0) / readings.length,
+    queueGrowthPerMinute: (queueAt(latest) - queueAt(first)) / windowMinutes,
+    // Unknown when the latest reading reports no tills at all
+    activeTills: reportedTills.length > 0 ? tills.length : null,
+    serviceTimeMinutes: serviceTimes.length > 0
+      ? serviceTimes.reduce((sum, serviceTime) => sum + serviceTime, 0) / serviceTimes.length
+      : null
+  };
+};
+
+// Measure demand from the realtime readings in [at - windowMinutes, at]
+const measureDemand = async (storeId, { at, windowMinutes }) => {
+  const windowStart = new Date(at.getTime() - windowMinutes * 60 * 1000);
+
+  const readings = await FootfallData.find({
+    storeId,
+    dataType: 'realtime',
+    timestamp: { $gte: windowStart, $lte: at }
+  })
+    .select('timestamp entryCount posRate queueData')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  return demandFromReadings(readings, windowMinutes);
+};
+
+// Staffing recommendation for a store from measured demand.
+// Arrivals at the tills are the larger of what the tills processed plus
+// the queue growth, and entries scaled by the checkout ratio.
+// arrivalRate, serviceTimeMinutes and activeTills may be given to run a
+// what-if.
+const staffingFromDemand = (store, demand, {
+  at = new Date(),
+  windowMinutes = DEFAULT_WINDOW_MINUTES,
+  arrivalRate,
+  serviceTimeMinutes,
+  activeTills
+} = {}) => {
+  const serviceLevel = getServiceLevel(store);
+
+  const measuredArrivalRate = demand
+    ? Math.max(
+        demand.posRate + Math.max(0, demand.queueGrowthPerMinute),
+        demand.entriesPerMinute * serviceLevel.checkoutRatio
+      )
+    : 0;
+
+  const inputs = {
+    windowMinutes,
+    readings: demand ? demand.readings : 0,
+    arrivalRate: round(arrivalRate !== undefined ? arrivalRate : measuredArrivalRate),
+    serviceTimeMinutes: round(serviceTimeMinutes
+      || (demand && demand.serviceTimeMinutes)
+      || serviceLevel.defaultServiceTimeMinutes),
+    entriesPerMinute: demand ? round(demand.entriesPerMinute) : 0,
+    posRate: demand ? round(demand.posRate) : 0,
+    queueGrowthPerMinute: demand ? round(demand.queueGrowthPerMinute) : 0
+  };
+
+  // Without a till report, assume every configured till is open
+  const tillCount = store.configuration && store.configuration.tillCount;
+  const activeTillsKnown = activeTills !== undefined || Boolean(demand && demand.activeTills !== null);
+  let currentTills = tillCount || 0;
+  if (activeTills !== undefined) {
+    currentTills = activeTills;
+  } else if (activeTillsKnown) {
+    currentTills = demand.activeTills;
+  }
+
+  return {
+    storeId: store.storeId,
+    at,
+    serviceLevel,
+    inputs,
+    activeTillsKnown,
+    ...calculateStaffing({
+      arrivalRate: inputs.arrivalRate,
+      serviceTimeMinutes: inputs.serviceTimeMinutes,
+      activeTills: currentTills,
+      tillCount,
+      serviceLevel
+    })
+  };
+};
+
+// Staffing recommendation for a store from its recent readings
+const recommendStaffing = async (store, options = {}) => {
+  const at = options.at || new Date();
+  const windowMinutes = options.windowMinutes || DEFAULT_WINDOW_MINUTES;
+  const demand = await measureDemand(store.storeId, { at, windowMinutes });
+
+  return staffingFromDemand(store, demand, { ...options, at, windowMinutes });
+};
+
+module.exports = {
+  DEFAULT_SERVICE_LEVEL,
+  DEFAULT_WINDOW_MINUTES,
+  getServiceLevel,
+  erlangC,
+  queuePerformance,
+  calculateStaffing,
+  demandFromReadings,
+  measureDemand,
+  staffingFromDemand,
+  recommendStaffing
+};
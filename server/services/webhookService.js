@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { onAlertEvent } = require('./alertEvents');
+
+// Attempts before a delivery is given up on
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// Retry delays double from BASE_DELAY_MS up to MAX_DELAY_MS
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// How long an in-flight attempt holds a delivery before it can be retried
+const CLAIM_MS = REQUEST_TIMEOUT_MS + 50 * 1000;
+// Deliveries attempted per worker run
+const BATCH_SIZE = 100;
+
+// Receivers on private, loopback and link-local addresses are refused so
+// webhooks cannot reach internal services (or cloud metadata endpoints).
+// Set WEBHOOK_ALLOW_PRIVATE_TARGETS=true to allow them, e.g. to test with a
+// receiver on localhost.
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// Check whether an IP address may not be delivered to (IPv4-mapped IPv6
+// addresses are matched against the IPv4 ranges)
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const privateTargetError = (address) => new Error(`Refusing to deliver to private address ${address}`);
+
+// dns.lookup that fails on private addresses. Used as the request's lookup,
+// so the address checked is the one connected to.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked && !allowPrivateTargets()) {
+      return callback(privateTargetError(blocked));
+    }
+
+    return callback(null, address, family);
+  });
+};
+
+// Delay before retrying after a number of failed attempts
+const backoffDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+
+// HMAC-SHA256 over "<timestamp>.<body>". Receivers recompute it with the
+// subscription secret and compare, and can reject stale timestamps.
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Alert fields sent to subscribers
+const serializeAlert = (alert) => ({
+  id: String(alert._id),
+  storeId: alert.storeId,
+  alertType: alert.alertType,
+  severity: alert.severity,
+  title: alert.title,
+  message: alert.message,
+  triggerData: alert.triggerData,
+  recommendations: (alert.recommendations || []).map(({ action, priority, estimatedImpact, timeframe }) => ({
+    action,
+    priority,
+    estimatedImpact,
+    timeframe
+  })),
+  isActive: alert.isActive,
+  isAcknowledged: alert.isAcknowledged,
+  acknowledgedAt: alert.acknowledgedAt,
+  resolvedAt: alert.resolvedAt,
+  resolvedReason: alert.resolvedReason,
+  occurrenceCount: alert.occurrenceCount,
+  escalationLevel: alert.escalation ? alert.escalation.level : 0,
+  createdAt: alert.createdAt
+});
+
+// POST a JSON body; resolves with the response status, rejects on network
+// errors, timeouts and private targets. The response body is discarded so
+// a receiver's reply is never stored or shown.
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  // IP literals are connected to without a lookup
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host) && !allowPrivateTargets()) {
+    reject(privateTargetError(host));
+    return;
+  }
+
+  const req = client.request(target, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    },
+    lookup: publicLookup,
+    timeout: REQUEST_TIMEOUT_MS
+  }, (res) => {
+    res.resume();
+    res.on('end', () => resolve({ status: res.statusCode }));
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+  req.on('error', reject);
+  req.end(body);
+});
+
+// Build an unsaved delivery of an event to a subscription
+const buildDelivery = (subscription, event, data, alertId) => {
+  const delivery = new WebhookDelivery({
+    subscriptionId: subscription._id,
+    storeId: subscription.storeId,
+    event,
+    alertId,
+    nextAttemptAt: new Date(),
+    owner: subscription.owner
+  });
+
+  delivery.body = JSON.stringify({
+    id: String(delivery._id),
+    event,
+    storeId: subscription.storeId,
+    createdAt: delivery.nextAttemptAt.toISOString(),
+    data
+  });
+
+  return delivery;
+};
+
+// Make one attempt at a delivery that is due. The delivery is claimed
+// first, so the immediate attempt and the retry worker never send the same
+// attempt twice. Returns the updated delivery, or null if it was not due.
+const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+    { new: true }
+  );
+
+  if (!delivery) {
+    return null;
+  }
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+  if (!subscription || !subscription.isActive) {
+    delivery.status = 'failed';
+    delivery.error = 'Subscription was deleted or disabled';
+    delivery.completedAt = now;
+    delivery.nextAttemptAt = undefined;
+    return delivery.save();
+  }
+
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const startedAt = Date.now();
+  let responseStatus;
+  let error;
+
+  try {
+    const response = await postJson(subscription.url, delivery.body, {
+      'User-Agent': 'CodeMasters-Webhooks/1.0',
+      'X-Webhook-Id': String(delivery._id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, delivery.body)}`
+    });
+    responseStatus = response.status;
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Receiver responded with HTTP ${responseStatus}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const succeeded = !error;
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  delivery.responseStatus = responseStatus;
+  delivery.error = error;
+  delivery.attemptLog.push({ at: now, responseStatus, error, durationMs });
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.completedAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.completedAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attempts));
+  }
+
+  await delivery.save();
+
+  await WebhookSubscription.updateOne({ _id: subscription._id }, succeeded
+    ? { $set: { lastDeliveryAt: now, lastSuccessAt: now, consecutiveFailures: 0 } }
+    : { $set: { lastDeliveryAt: now, lastFailureAt: now }, $inc: { consecutiveFailures: 1 } });
+
+  return delivery;
+};
+
+// Queue an alert event for every matching subscription of its store and
+// make the first attempt straight away
+const enqueueAlertEvent = async (event, alert) => {
+  const subscriptions = await WebhookSubscription.find({ storeId: alert.storeId, isActive: true });
+  const data = { alert: serializeAlert(alert) };
+
+  const deliveries = subscriptions
+    .filter(subscription => subscription.wants(event, alert))
+    .map(subscription => buildDelivery(subscription, event, data, alert._id));
+
+  if (deliveries.length === 0) {
+    return [];
+  }
+
+  await WebhookDelivery.insertMany(deliveries);
+
+  deliveries.forEach(delivery => {
+    attemptDelivery(delivery._id).catch(error => console.error('Webhook delivery error:', error));
+  });
+
+  return deliveries;
+};
+
+// Send a sample event to a subscription and wait for the result
+const sendTestEvent = async (subscription) => {
+  const delivery = buildDelivery(subscription, 'test', {
+    message: 'Test event from CodeMasters',
+    subscriptionId: String(subscription._id)
+  });
+  await delivery.save();
+
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+// Queue a finished delivery to be sent again with a fresh set of attempts
+const redeliver = async (delivery) => {
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.completedAt = undefined;
+  delivery.nextAttemptAt = new Date();
+  await delivery.save();
+
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+// Retry every pending delivery that is due (run by the delivery worker)
+const deliverDueWebhooks = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now }
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let succeeded = 0;
+  let failed = 0;
+
+  for (const { _id } of due) {
+    const delivery = await attemptDelivery(_id);
+    if (delivery && delivery.status === 'succeeded') {
+      succeeded++;
+    } else if (delivery) {
+      failed++;
+    }
+  }
+
+  return { due: due.length, succeeded, failed };
+};
+
+// Send alert lifecycle events to webhook subscribers
+const registerWebhookListeners = () => {
+  onAlertEvent('created', alert => enqueueAlertEvent('alert.created', alert));
+  onAlertEvent('acknowledged', alert => enqueueAlertEvent('alert.acknowledged', alert));
+  onAlertEvent('resolved', alert => enqueueAlertEvent('alert.resolved', alert));
+  onAlertEvent('escalated', alert => enqueueAlertEvent('alert.escalated', alert));
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  backoffDelay,
+  signPayload,
+  attemptDelivery,
+  enqueueAlertEvent,
+  sendTestEvent,
+  redeliver,
+  deliverDueWebhooks,
+  registerWebhookListeners
+};
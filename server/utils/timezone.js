@@ -0,0 +1,145 @@
+// Timezone helpers built on Intl, which ships full IANA data with Node
+
+const formatters = new Map();
+
+// Cached per zone; building an Intl.DateTimeFormat is comparatively slow
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Check that a string is an IANA timezone name Intl understands
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of a date in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value);
+    }
+  });
+  return parts;
+};
+
+// Offset of a timezone from UTC at the given instant, in minutes
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const seconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - seconds) / 60000);
+};
+
+// Instant at which a wall-clock time occurs in a timezone. Out of range
+// fields roll over (day 32 is the 1st of the next month). Times skipped by
+// a DST change are moved forward by the length of the gap; repeated times
+// resolve to their first occurrence.
+const zonedTimeToUtc = ({ year, month, day = 1, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone) * 60000;
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  const result = asUtc - offset * 60000;
+
+  return getTimeZoneOffset(new Date(result), timeZone) === offset
+    ? new Date(result)
+    : new Date(firstGuess);
+};
+
+// Start of the local hour containing a date. Hours are an hour long even
+// across DST changes; only zones with a :30 or :45 offset differ from UTC.
+const startOfZonedHour = (date, timeZone) => {
+  const offsetMs = getTimeZoneOffset(date, timeZone) * 60000;
+  return new Date(Math.floor((date.getTime() + offsetMs) / 3600000) * 3600000 - offsetMs);
+};
+
+// Local midnight at the start of the day containing a date
+const startOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+// Same local time a number of days later (days vary from 23 to 25 hours)
+const addZonedDays = (date, days, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ ...parts, day: parts.day + days }, timeZone);
+};
+
+// Local midnight on the first of the month containing a date
+const startOfZonedMonth = (date, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month }, timeZone);
+};
+
+// Local midnight on the first of a month a number of months later
+const addZonedMonths = (date, months, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month: month + months }, timeZone);
+};
+
+// Parse a timestamp string. Strings with a zone designator (Z or +hh:mm)
+// are absolute; bare local times such as "2024-03-10 14:30" are read as
+// wall-clock time in the given timezone.
+const LOCAL_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const parseZonedTimestamp = (value, timeZone) => {
+  const trimmed = String(value || '').trim();
+  const match = trimmed.match(LOCAL_TIMESTAMP);
+
+  if (!match) {
+    return new Date(trimmed);
+  }
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map((part, index) => (
+    index > 0 && part !== undefined ? parseInt(part) : part
+  ));
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// ISO 8601 local time with offset, e.g. 2024-03-10T14:30:00-05:00
+const formatLocalTime = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+
+  return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  startOfZonedHour,
+  startOfZonedDay,
+  addZonedDays,
+  startOfZonedMonth,
+  addZonedMonths,
+  parseZonedTimestamp,
+  formatLocalTime
+};
@@ -0,0 +1,73 @@
+// POS transaction and sales metrics. Readings may carry the number of
+// transactions since the previous reading (transactionCount) and their
+// total value (salesValue). Readings without a count are estimated from
+// posRate, the POS transactions per minute, assuming readings are evenly
+// spaced over the time they cover.
+
+const hasCount = { $isNumber: '$transactionCount' };
+const hasSales = { $and: [hasCount, { $isNumber: '$salesValue' }] };
+
+// $group accumulators over realtime readings
+const transactionAccumulators = {
+  reportedTransactions: { $sum: { $cond: [hasCount, '$transactionCount', 0] } },
+  estimatedReadings: { $sum: { $cond: [hasCount, 0, 1] } },
+  estimatedPosRate: { $avg: { $cond: [hasCount, '$$REMOVE', '$posRate'] } },
+  salesValue: { $sum: { $cond: [hasSales, '$salesValue', 0] } },
+  salesTransactions: { $sum: { $cond: [hasSales, '$transactionCount', 0] } }
+};
+
+// Accumulator fields that only feed the transaction estimate
+const ESTIMATE_FIELDS = ['reportedTransactions', 'estimatedReadings', 'estimatedPosRate'];
+
+// Transactions in a group of readings covering `minutes` (a number or an
+// expression): reported counts plus the POS rate of the other readings
+// over their share of the time
+const transactionsExpression = (minutes) => ({
+  $add: [
+    '$reportedTransactions',
+    {
+      $multiply: [
+        { $ifNull: ['$estimatedPosRate', 0] },
+        minutes,
+        { $cond: [{ $gt: ['$dataPoints', 0] }, { $divide: ['$estimatedReadings', '$dataPoints'] }, 0] }
+      ]
+    }
+  ]
+});
+
+// Same estimate for accumulated stats already read from the database
+const estimateTransactions = (stats, minutes) => (stats.reportedTransactions || 0) +
+  (stats.dataPoints > 0 ? (stats.estimatedPosRate || 0) * minutes * (stats.estimatedReadings || 0) / stats.dataPoints : 0);
+
+const ratio = (numerator, denominator) => ({
+  $cond: [{ $gt: [denominator, 0] }, { $divide: [numerator, denominator] }, null]
+});
+
+// Derived fields for totals carrying totalEntries, transactions, salesValue
+// and salesTransactions. Conversion rate is transactions per entry; basket
+// value and sales per visitor are null unless the POS reports sales.
+const salesMetricsExpression = {
+  conversionRate: ratio('$transactions', '$totalEntries'),
+  basketValue: ratio('$salesValue', '$salesTransactions'),
+  salesPerVisitor: {
+    $cond: [{ $gt: ['$salesTransactions', 0] }, ratio('$salesValue', '$totalEntries'), null]
+  }
+};
+
+const divide = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Same derived fields for totals combined outside the database
+const salesMetrics = ({ totalEntries, transactions, salesValue, salesTransactions }) => ({
+  conversionRate: divide(transactions || 0, totalEntries),
+  basketValue: divide(salesValue || 0, salesTransactions),
+  salesPerVisitor: salesTransactions > 0 ? divide(salesValue || 0, totalEntries) : null
+});
+
+module.exports = {
+  transactionAccumulators,
+  ESTIMATE_FIELDS,
+  transactionsExpression,
+  estimateTransactions,
+  salesMetricsExpression,
+  salesMetrics
+};